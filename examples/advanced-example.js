@@ -196,12 +196,12 @@ async function advancedExample() {
     if (errors.length > 0) {
       console.log('\nErrors found:');
       errors.forEach((error, index) => {
-        console.log(`${index + 1}. [${error.type}] ${error.message}`);
-        if (error.variable) {
-          console.log(`   Variable: ${error.variable}`);
+        console.log(`${index + 1}. [${error.code}] ${error.message}`);
+        if (error.tag) {
+          console.log(`   Tag: ${error.tag}`);
         }
-        if (error.position) {
-          console.log(`   Position: ${error.position}`);
+        if (error.part) {
+          console.log(`   Location: ${error.part}, paragraph ${error.paragraph}`);
         }
       });
     } else {
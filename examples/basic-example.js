@@ -82,7 +82,7 @@ async function basicExample() {
     if (errors.length > 0) {
       console.log('\nErrors found:');
       errors.forEach((error, index) => {
-        console.log(`${index + 1}. ${error.type}: ${error.message}`);
+        console.log(`${index + 1}. ${error.code}: ${error.message}`);
       });
     } else {
       console.log('\nNo errors found');
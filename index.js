@@ -1,4 +1,12 @@
 const DocxTemplaterPro = require('./src/core/DocxTemplaterPro');
+const {
+  TemplateError,
+  TemplateSyntaxError,
+  MissingDataError,
+  ModuleError,
+  XmlIntegrityError,
+  MultiError
+} = require('./src/core/TemplateError');
 const { 
   HtmlModule,
   ImageModule,
@@ -21,6 +29,12 @@ const {
 
 module.exports = {
   DocxTemplaterPro,
+  TemplateError,
+  TemplateSyntaxError,
+  MissingDataError,
+  ModuleError,
+  XmlIntegrityError,
+  MultiError,
   modules: {
     HtmlModule,
     ImageModule,
@@ -1,133 +1,758 @@
+const TemplateParser = require('./TemplateParser');
+const ExpressionParser = require('./ExpressionParser');
+const ExpressionEvaluator = require('./ExpressionEvaluator');
+const FilterRegistry = require('./FilterRegistry');
+const DocumentProcessor = require('../parsers/DocumentProcessor');
+const BidiProcessor = require('../parsers/BidiProcessor');
+const SpreadsheetProcessor = require('../parsers/SpreadsheetProcessor');
+const Scope = require('./Scope');
+const LruCache = require('./LruCache');
+const { TemplateError, TemplateSyntaxError, MissingDataError, MultiError } = require('./TemplateError');
+
+// Elements a loop can repeat as a whole, by structural level
+const STRUCTURE_ELEMENTS = {
+  table: ['w:tbl', 'a:tbl', 'sheetData'],
+  row: ['w:tr', 'a:tr', 'row'],
+  cell: ['w:tc', 'a:tc', 'c'],
+  paragraph: ['w:p', 'a:p']
+};
+
+// Maximum nesting of macro calls, guarding against runaway recursion
+const MAX_MACRO_DEPTH = 50;
+
+// Parsed loop and conditional bodies kept for reuse
+const PARSE_CACHE_SIZE = 200;
+
 /**
  * Context processor for handling data binding and template evaluation
  */
 class ContextProcessor {
-  constructor(options = {}) {
+  constructor(options = {}, templateParser = null) {
     this.options = {
       nullGetter: () => '',
       errorOnMissingData: false,
+      locale: undefined,
+      timeZone: undefined,
+      dateFormat: 'medium',
+      rtl: undefined,
+      concurrency: 8,
       ...options
     };
+    
+    // Loop and conditional bodies are parsed with the same parser as the document
+    this.templateParser = templateParser || new TemplateParser(this.options);
+    this.parseCache = new LruCache(PARSE_CACHE_SIZE);
+    this.documentProcessor = new DocumentProcessor();
+    this.bidiProcessor = new BidiProcessor();
+    this.spreadsheetProcessor = new SpreadsheetProcessor(this.options);
+    this.expressionParser = new ExpressionParser(this.options);
+    this.filterRegistry = new FilterRegistry(this.options.filters);
+    this.expressionEvaluator = new ExpressionEvaluator(this.options, this.filterRegistry);
+    
+    this.resolvedValues = new WeakMap();
+    this.limit = createLimiter(this.options.concurrency);
+    this.errors = [];
+  }
+
+  /**
+   * Create a processor sharing this one's parser, caches and filters but with
+   * some options overridden (e.g. a per-render locale)
+   *
+   * The derived processor has its own resolved-value cache, concurrency
+   * limit and reported errors, so one is created for each render.
+   * @param {Object} overrides - Options to override
+   * @returns {ContextProcessor} - Derived processor
+   */
+  withOptions(overrides = {}) {
+    const processor = Object.create(this);
+    const defined = Object.entries(overrides).filter(([, value]) => value !== undefined);
+    processor.options = { ...this.options, ...Object.fromEntries(defined) };
+    processor.resolvedValues = new WeakMap();
+    processor.limit = createLimiter(processor.options.concurrency);
+    processor.errors = [];
+    return processor;
   }
 
   /**
    * Process parsed template with context data
+   *
+   * Tokens are processed concurrently, so lazy values referenced anywhere in
+   * the template are fetched in parallel (up to the `concurrency` option).
+   * Macros are declared for the whole token list first; each `{%set%}` is
+   * evaluated in order and opens a child scope for the tokens after it.
+   * When several tags fail, their errors are thrown together as a
+   * MultiError.
+   * @param {Object} parsedTemplate - Parsed template structure
+   * @param {Object|Scope} context - Data context or scope
+   * @returns {Promise<string>} - Processed content
+   */
+  async process(parsedTemplate, context) {
+    const { content } = await this.processWithScope(parsedTemplate, context);
+    return content;
+  }
+
+  /**
+   * Process parsed template and also return the scope it ends with, holding
+   * its top-level `{%set%}` variables and macros, so that related content
+   * (e.g. the notes of a slide) can be processed in the same context
    * @param {Object} parsedTemplate - Parsed template structure
-   * @param {Object} context - Data context
-   * @returns {string} - Processed content
-   */
-  process(parsedTemplate, context) {
-    let result = '';
-    
-    for (const token of parsedTemplate.tokens) {
-      switch (token.type) {
-        case 'text':
-          result += token.content;
-          break;
-          
-        case 'placeholder':
-          result += this._processPlaceholder(token, context);
-          break;
-          
-        case 'loop':
-          result += this._processLoop(token, context);
-          break;
-          
-        case 'conditional':
-          result += this._processConditional(token, context);
-          break;
-          
-        case 'rawXml':
-          result += this._processRawXml(token, context);
-          break;
-          
-        case 'paragraphPlaceholder':
-          result += this._processParagraphPlaceholder(token, context);
-          break;
-          
-        case 'module':
-          // Module processing is handled by ModuleManager
-          result += token.fullMatch;
-          break;
-          
-        default:
-          result += token.fullMatch || token.content;
+   * @param {Object|Scope} context - Data context or scope
+   * @returns {Promise<Object>} - { content, scope }
+   */
+  async processWithScope(parsedTemplate, context) {
+    const tokens = this._expandStructures(parsedTemplate);
+    let scope = this._toScope(context);
+    
+    const macros = tokens.filter(token => token.type === 'macro');
+    if (macros.length > 0) {
+      const definitions = new Map();
+      scope = scope.createMacroScope(definitions);
+      macros.forEach(token => definitions.set(token.name, { token, scope }));
+    }
+    
+    const scopes = [];
+    for (const token of tokens) {
+      if (token.type === 'set') {
+        const value = await this._processSet(token, scope).catch(error => {
+          throw this._toTemplateError(error, token);
+        });
+        scope = scope.createChild({ [token.name]: value });
       }
+      scopes.push(scope);
     }
     
-    return result;
+    const results = await Promise.allSettled(tokens.map((token, i) => this._processToken(token, scopes[i])));
+    const failures = results.filter(result => result.status === 'rejected').map(result => result.reason);
+    
+    // Report every failing tag, not only the first one
+    if (failures.length > 0) {
+      const errors = failures.flatMap(error => error instanceof MultiError ? error.errors : [error]);
+      throw errors.length === 1 ? errors[0] : new MultiError(errors);
+    }
+    
+    return { content: results.map(result => result.value).join(''), scope };
+  }
+
+  /**
+   * Wrap plain context data in a root scope
+   * @private
+   */
+  _toScope(context) {
+    return context instanceof Scope ? context : new Scope(context || {});
+  }
+
+  /**
+   * Process a single token; failures become TemplateErrors naming the
+   * innermost tag that failed
+   * @private
+   */
+  async _processToken(token, context) {
+    try {
+      return await this._renderToken(token, context);
+    } catch (error) {
+      throw this._toTemplateError(error, token);
+    }
+  }
+
+  /**
+   * Render a single token
+   * @private
+   */
+  async _renderToken(token, context) {
+    switch (token.type) {
+      case 'text':
+        return token.content;
+        
+      case 'placeholder':
+        return this._processPlaceholder(token, context);
+        
+      case 'loop':
+      case 'group':
+        return this._processLoop(token, context);
+        
+      case 'conditional':
+        return this._processConditional(token, context);
+        
+      case 'rawXml':
+        return this._processRawXml(token, context);
+        
+      case 'paragraphPlaceholder':
+        return this._processParagraphPlaceholder(token, context);
+        
+      case 'literal':
+        return token.content;
+        
+      case 'call':
+        return this._processCall(token, context);
+        
+      case 'set':
+      case 'macro':
+        // Evaluated by process(); the tags themselves render nothing
+        return '';
+        
+      case 'module':
+        // Module processing is handled by ModuleManager, which expects {%name data%}
+        return `{%${token.moduleName}${token.data ? ` ${token.data}` : ''}%}`;
+        
+      default:
+        return token.fullMatch || token.content;
+    }
+  }
+
+  /**
+   * Widen loops and paragraph placeholders to the XML elements enclosing them
+   *
+   * A loop whose tags sit in different cells of a table repeats the enclosing
+   * rows, and a loop whose tags are alone in their own paragraphs repeats the
+   * paragraphs between them while dropping the tag paragraphs (macros are
+   * widened the same way). A paragraph placeholder takes over its whole
+   * paragraph, as do set and call tags standing alone in one. The expanded
+   * token list is cached on the parsed template.
+   * @private
+   */
+  _expandStructures(parsedTemplate) {
+    if (parsedTemplate.structuredTokens) {
+      return parsedTemplate.structuredTokens;
+    }
+    
+    const source = parsedTemplate.originalContent;
+    const { tokens } = parsedTemplate;
+    
+    if (typeof source !== 'string') {
+      return tokens;
+    }
+    
+    const expansions = [];
+    
+    for (const token of tokens) {
+      let expansion = null;
+      
+      if (token.type === 'loop' || token.type === 'group' || token.type === 'macro') {
+        expansion = this._findLoopStructure(source, token);
+      } else if (token.type === 'paragraphPlaceholder') {
+        expansion = this._findParagraphStructure(source, token);
+      } else if (token.type === 'set' || token.type === 'call') {
+        expansion = this._findStatementStructure(source, token);
+      }
+      
+      const overlaps = expansion && (
+        expansions.some(other => expansion.start < other.end && other.start < expansion.end) ||
+        tokens.some(other => other.type !== 'text' && other !== token &&
+          other.index < expansion.end && expansion.start < other.index + other.length &&
+          (other.index < expansion.start || other.index + other.length > expansion.end))
+      );
+      
+      if (expansion && !overlaps) {
+        expansions.push(expansion);
+      }
+    }
+    
+    parsedTemplate.structuredTokens = expansions.length > 0 ?
+      this._applyExpansions(tokens, expansions) :
+      tokens;
+    
+    return parsedTemplate.structuredTokens;
+  }
+
+  /**
+   * Determine the row or paragraph range a loop should repeat
+   * @private
+   */
+  _findLoopStructure(source, token) {
+    const openStart = token.index;
+    const openEnd = openStart + token.openTag.length;
+    const closeEnd = token.index + token.length;
+    const closeStart = closeEnd - token.closeTag.length;
+    const hasElse = token.elseIndex !== undefined && token.elseIndex !== -1;
+    const elseStart = hasElse ? token.elseIndex : -1;
+    const elseEnd = hasElse ? elseStart + token.elseTag.length : -1;
+    const dp = this.documentProcessor;
+    
+    // Row level: the tags are in different cells of the same table
+    const openRow = dp.findEnclosingElement(source, openStart, STRUCTURE_ELEMENTS.row);
+    const closeRow = dp.findEnclosingElement(source, closeStart, STRUCTURE_ELEMENTS.row);
+    
+    if (openRow && closeRow && openRow.tagName === closeRow.tagName && openRow.start <= closeRow.start) {
+      const openCell = dp.findEnclosingElement(source, openStart, STRUCTURE_ELEMENTS.cell);
+      const closeCell = dp.findEnclosingElement(source, closeStart, STRUCTURE_ELEMENTS.cell);
+      const openTable = dp.findEnclosingElement(source, openRow.start + 1, STRUCTURE_ELEMENTS.table);
+      const closeTable = dp.findEnclosingElement(source, closeRow.start + 1, STRUCTURE_ELEMENTS.table);
+      const sameTable = (openTable && openTable.start) === (closeTable && closeTable.start);
+      
+      // An else tag starts its own row: the rows from there to the close tag
+      const elseRow = hasElse ? dp.findEnclosingElement(source, elseStart, STRUCTURE_ELEMENTS.row) : null;
+      const validElse = !hasElse || (elseRow && elseRow.start > openRow.start && elseRow.start <= closeRow.start);
+      
+      if (sameTable && validElse && openCell && closeCell && openCell.start !== closeCell.start) {
+        const tail = source.substring(closeEnd, closeRow.end);
+        const patch = hasElse ? {
+          structure: 'row',
+          content: source.substring(openRow.start, openStart) + source.substring(openEnd, elseRow.start),
+          elseContent: source.substring(elseRow.start, elseStart) + source.substring(elseEnd, closeStart) + tail
+        } : {
+          structure: 'row',
+          content: source.substring(openRow.start, openStart) + token.content + tail
+        };
+        
+        return { token, start: openRow.start, end: closeRow.end, patch };
+      }
+    }
+    
+    // Paragraph level: each tag is alone in its own paragraph
+    const openParagraph = dp.findEnclosingElement(source, openStart, STRUCTURE_ELEMENTS.paragraph);
+    const closeParagraph = dp.findEnclosingElement(source, closeStart, STRUCTURE_ELEMENTS.paragraph);
+    
+    if (openParagraph && closeParagraph && openParagraph.start !== closeParagraph.start &&
+        this._isAloneInElement(source, openParagraph, openStart, openEnd) &&
+        this._isAloneInElement(source, closeParagraph, closeStart, closeEnd)) {
+      if (hasElse) {
+        const elseParagraph = dp.findEnclosingElement(source, elseStart, STRUCTURE_ELEMENTS.paragraph);
+        
+        if (!elseParagraph || elseParagraph.start <= openParagraph.start || elseParagraph.start >= closeParagraph.start ||
+            !this._isAloneInElement(source, elseParagraph, elseStart, elseEnd)) {
+          return null;
+        }
+        
+        return {
+          token,
+          start: openParagraph.start,
+          end: closeParagraph.end,
+          patch: {
+            structure: 'paragraph',
+            content: source.substring(openParagraph.end, elseParagraph.start),
+            elseContent: source.substring(elseParagraph.end, closeParagraph.start)
+          }
+        };
+      }
+      
+      return {
+        token,
+        start: openParagraph.start,
+        end: closeParagraph.end,
+        patch: {
+          structure: 'paragraph',
+          content: source.substring(openParagraph.end, closeParagraph.start)
+        }
+      };
+    }
+    
+    return null;
+  }
+
+  /**
+   * Determine the paragraph a paragraph placeholder controls
+   * @private
+   */
+  _findParagraphStructure(source, token) {
+    const tagEnd = token.index + token.length;
+    const paragraph = this.documentProcessor.findEnclosingElement(source, token.index, STRUCTURE_ELEMENTS.paragraph);
+    
+    if (!paragraph) {
+      return null;
+    }
+    
+    return {
+      token,
+      start: paragraph.start,
+      end: paragraph.end,
+      patch: {
+        structure: 'paragraph',
+        before: source.substring(paragraph.start, token.index),
+        after: source.substring(tagEnd, paragraph.end)
+      }
+    };
+  }
+
+  /**
+   * Determine the paragraph a set or call tag stands alone in, if any
+   * @private
+   */
+  _findStatementStructure(source, token) {
+    const tagEnd = token.index + token.length;
+    const paragraph = this.documentProcessor.findEnclosingElement(source, token.index, STRUCTURE_ELEMENTS.paragraph);
+    
+    if (!paragraph || !this._isAloneInElement(source, paragraph, token.index, tagEnd)) {
+      return null;
+    }
+    
+    return {
+      token,
+      start: paragraph.start,
+      end: paragraph.end,
+      patch: {
+        structure: 'paragraph',
+        before: source.substring(paragraph.start, token.index),
+        after: source.substring(tagEnd, paragraph.end)
+      }
+    };
+  }
+
+  /**
+   * Check that an element holds no visible text besides one tag
+   * @private
+   */
+  _isAloneInElement(source, element, tagStart, tagEnd) {
+    const before = source.substring(element.start, tagStart);
+    const after = source.substring(tagEnd, element.end);
+    
+    return this.documentProcessor.getTextContent(before + after).trim() === '';
+  }
+
+  /**
+   * Rebuild a token list with loops widened to their structural ranges
+   * @private
+   */
+  _applyExpansions(tokens, expansions) {
+    const result = [];
+    const sorted = [...expansions].sort((a, b) => a.start - b.start);
+    
+    const pushText = (content, index) => {
+      if (content) {
+        result.push({ type: 'text', content, index });
+      }
+    };
+    
+    for (const token of tokens) {
+      const start = token.index;
+      const end = token.index + (token.type === 'text' ? token.content.length : token.length);
+      
+      if (token.type !== 'text') {
+        const expansion = sorted.find(item => item.token === token);
+        
+        if (expansion) {
+          result.push({
+            ...token,
+            index: expansion.start,
+            length: expansion.end - expansion.start,
+            ...expansion.patch
+          });
+        } else if (!sorted.some(item => start >= item.start && end <= item.end)) {
+          result.push(token);
+        }
+        continue;
+      }
+      
+      // Cut the parts of text tokens that now belong to an expanded loop
+      let position = start;
+      for (const item of sorted) {
+        if (item.end <= position || item.start >= end) {
+          continue;
+        }
+        pushText(token.content.substring(position - start, Math.max(item.start, position) - start), position);
+        position = Math.min(item.end, end);
+      }
+      pushText(token.content.substring(position - start), position);
+    }
+    
+    // Keep tokens in document order
+    return result.sort((a, b) => a.index - b.index);
   }
 
   /**
    * Process a simple placeholder
    * @private
    */
-  _processPlaceholder(token, context) {
+  async _processPlaceholder(token, context) {
     try {
-      const value = this._getValue(token.variable, context);
+      const value = await this._evaluate(token.variable, context);
       return this._formatValue(value);
     } catch (error) {
       if (this.options.errorOnMissingData) {
-        throw new Error(`Missing data for placeholder: ${token.variable}`);
+        throw this._missingData(error, `Missing data for placeholder: ${token.variable}`);
       }
+      this._report(error, token);
       return this.options.nullGetter();
     }
   }
 
+  /**
+   * Evaluate the value of a {%set%} tag
+   * @private
+   */
+  async _processSet(token, scope) {
+    try {
+      return await this._evaluate(token.expression, scope);
+    } catch (error) {
+      if (this.options.errorOnMissingData) {
+        throw this._missingData(error, `Missing data for set ${token.name}: ${error.message}`);
+      }
+      this._report(error, token);
+      return undefined;
+    }
+  }
+
+  /**
+   * Render a macro call
+   *
+   * The macro body is rendered in the scope the macro was declared in, with
+   * its parameters bound to the call's arguments. A call standing alone in
+   * a paragraph is replaced by the macro output when the macro body is made
+   * of whole paragraphs or rows; otherwise the output stays in the paragraph.
+   * @private
+   */
+  async _processCall(token, context) {
+    const scope = this._toScope(context);
+    const macro = scope.findMacro(token.name);
+    
+    if (!macro) {
+      const error = new TemplateSyntaxError(`Unknown macro: ${token.name}`, { code: 'UNKNOWN_MACRO' });
+      if (this.options.errorOnMissingData) {
+        throw error;
+      }
+      this._report(error, token);
+      return '';
+    }
+    
+    if (scope.macroDepth >= MAX_MACRO_DEPTH) {
+      throw new TemplateError(`Macro calls nested too deeply: ${token.name}`, { code: 'MACRO_TOO_DEEP' });
+    }
+    
+    const args = await Promise.all(token.args.map(arg => this._evaluate(arg, scope).catch(error => {
+      if (this.options.errorOnMissingData) {
+        throw this._missingData(error, `Missing data for macro argument ${arg}: ${error.message}`);
+      }
+      this._report(error, token);
+      return undefined;
+    })));
+    
+    const { params, content, delimiters } = macro.token;
+    const locals = {};
+    params.forEach((param, i) => {
+      locals[param] = args[i];
+    });
+    
+    const callScope = macro.scope.createChild(locals);
+    callScope.macroDepth = scope.macroDepth + 1;
+    
+    const output = await this.process(this._parseContent(content, delimiters), callScope);
+    
+    if (token.structure === 'paragraph' && !macro.token.structure) {
+      return token.before + output + token.after;
+    }
+    
+    return output;
+  }
+
   /**
    * Process a loop construct
+   *
+   * Arrays are iterated directly, objects and Maps as { key, value }
+   * entries. `where`, `orderby` and `limit` modifiers filter, sort and cut
+   * the items before they are rendered; the `{%else%}` part is rendered
+   * when no item is left. A group construct renders its content once per
+   * distinct key instead, with `group` holding { key, items } and the item
+   * variable bound to the group's first item.
    * @private
    */
-  _processLoop(token, context) {
+  async _processLoop(token, context) {
     try {
-      const collection = this._getValue(token.collection, context);
+      const scope = this._toScope(context);
+      let items = await this._loopItems(token, scope);
       
-      if (!Array.isArray(collection)) {
-        if (this.options.errorOnMissingData) {
-          throw new Error(`Loop collection is not an array: ${token.collection}`);
-        }
-        return '';
+      if (token.type === 'group') {
+        items = await this._groupItems(token, items, scope);
       }
       
-      let result = '';
-      
-      for (let i = 0; i < collection.length; i++) {
-        const item = collection[i];
-        const loopContext = {
-          ...context,
-          [token.variable]: item,
-          $index: i,
-          $first: i === 0,
-          $last: i === collection.length - 1,
-          $length: collection.length
-        };
-        
-        // Recursively process the loop content
-        const parsedContent = this._parseContent(token.content);
-        result += this.process(parsedContent, loopContext);
+      if (items.length === 0) {
+        return token.elseContent ?
+          await this.process(this._parseContent(token.elseContent, token.elseDelimiters), scope) :
+          '';
       }
       
-      return result;
+      const parsedContent = this._parseContent(token.content, token.delimiters);
+      
+      // Recursively process the loop content, items in parallel
+      const results = await Promise.all(items.map((item, i) => this.process(
+        parsedContent,
+        token.type === 'group' ?
+          scope.createLoopScope('group', item, i, items.length, { [token.variable]: item.items[0] }) :
+          scope.createLoopScope(token.variable, item, i, items.length)
+      )));
+      
+      return results.join('');
     } catch (error) {
       if (this.options.errorOnMissingData) {
         throw error;
       }
+      this._report(error, token);
       return '';
     }
   }
 
+  /**
+   * Evaluate a loop header outside of a template, for constructs repeating
+   * whole parts (e.g. worksheets)
+   *
+   * The header is read as the header of a `{%loop%}` tag, so `where`,
+   * `orderby` and `limit` modifiers apply. Failures are handled as in a
+   * loop: thrown with errorOnMissingData, reported otherwise, leaving no
+   * items.
+   * @param {string} header - Loop header without its keyword (`item in items`)
+   * @param {Object|Scope} context - Data context or scope
+   * @param {string} [tag] - Tag holding the header, to locate errors
+   * @returns {Promise<Array<Scope>>} - The scope of each item
+   */
+  async loopScopes(header, context, tag = header) {
+    const { start, end } = this.templateParser.options.moduleDelimiters;
+    const [token] = this.templateParser.parse(`${start}loop ${header}${end}${start}endloop${end}`).tokens;
+    
+    if (!token || token.type !== 'loop') {
+      throw new TemplateSyntaxError(`Invalid loop header: ${header}`, { code: 'MALFORMED_TAG', tag });
+    }
+    
+    try {
+      const scope = this._toScope(context);
+      const items = await this._loopItems(token, scope);
+      return items.map((item, i) => scope.createLoopScope(token.variable, item, i, items.length));
+    } catch (error) {
+      if (this.options.errorOnMissingData) {
+        throw error;
+      }
+      this._report(error, { openTag: tag });
+      return [];
+    }
+  }
+
+  /**
+   * Get the items of a loop: its collection, filtered, sorted and cut by
+   * its modifiers
+   * @private
+   */
+  async _loopItems(token, scope) {
+    let items = this._toLoopItems(await this._evaluate(token.collection, scope));
+    
+    if (!items) {
+      if (this.options.errorOnMissingData) {
+        throw new MissingDataError(`Loop collection is not iterable: ${token.collection}`, { code: 'LOOP_NOT_ITERABLE' });
+      }
+      items = [];
+    }
+    
+    return this._applyLoopModifiers(token, items, scope);
+  }
+
+  /**
+   * Split items into { key, items } groups in order of first appearance
+   * @private
+   */
+  async _groupItems(token, items, scope) {
+    const keys = await Promise.all(items.map((item, i) => this._evaluate(
+      token.key,
+      scope.createLoopScope(token.variable, item, i, items.length),
+      false
+    )));
+    const groups = new Map();
+    
+    items.forEach((item, i) => {
+      const key = keys[i];
+      const id = key instanceof Date ? key.getTime() : key;
+      
+      if (!groups.has(id)) {
+        groups.set(id, { key, items: [] });
+      }
+      groups.get(id).items.push(item);
+    });
+    
+    return [...groups.values()];
+  }
+
+  /**
+   * Get the items a loop iterates, or null if the value is not iterable
+   * @private
+   */
+  _toLoopItems(collection) {
+    if (Array.isArray(collection)) {
+      return collection;
+    }
+    
+    if (collection instanceof Map) {
+      return [...collection].map(([key, value]) => ({ key, value }));
+    }
+    
+    if (collection && typeof collection === 'object' && !(collection instanceof Date)) {
+      return Object.keys(collection).map(key => ({ key, value: collection[key] }));
+    }
+    
+    return null;
+  }
+
+  /**
+   * Apply a loop's where, orderby and limit modifiers
+   * @private
+   */
+  async _applyLoopModifiers(token, items, scope) {
+    const { variable, where, orderBy = [], limit } = token;
+    const itemScope = (item, i) => scope.createLoopScope(variable, item, i, items.length);
+    let result = items;
+    
+    if (where) {
+      const matches = await Promise.all(items.map((item, i) => this._evaluateCondition(where, itemScope(item, i), token)));
+      result = items.filter((item, i) => matches[i]);
+    }
+    
+    if (orderBy.length > 0) {
+      const keys = await Promise.all(result.map((item, i) => Promise.all(
+        orderBy.map(key => this._evaluate(key.expression, itemScope(item, i), false))
+      )));
+      const collator = new Intl.Collator(this.options.locale, { numeric: true });
+      const order = result.map((item, i) => i);
+      
+      order.sort((a, b) => {
+        for (let k = 0; k < orderBy.length; k++) {
+          const comparison = this._compareSortKeys(keys[a][k], keys[b][k], collator, orderBy[k].descending);
+          if (comparison !== 0) {
+            return comparison;
+          }
+        }
+        return a - b;
+      });
+      
+      result = order.map(i => result[i]);
+    }
+    
+    if (limit) {
+      const count = Number(await this._evaluate(limit, scope));
+      
+      if (!Number.isFinite(count) || count < 0) {
+        throw new MissingDataError(`Loop limit must be a non-negative number: ${limit}`, { code: 'INVALID_LIMIT' });
+      }
+      result = result.slice(0, count);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Compare two sort keys; missing values sort last in both directions
+   * @private
+   */
+  _compareSortKeys(a, b, collator, descending) {
+    const missing = value => value === null || value === undefined;
+    
+    if (missing(a) || missing(b)) {
+      return missing(a) - missing(b);
+    }
+    
+    const comparison = typeof a === 'string' && typeof b === 'string' ?
+      collator.compare(a, b) :
+      (a < b ? -1 : a > b ? 1 : 0);
+    
+    return descending ? -comparison : comparison;
+  }
+
   /**
    * Process a conditional construct
    * @private
    */
-  _processConditional(token, context) {
+  async _processConditional(token, context) {
     try {
-      const conditionResult = this._evaluateCondition(token.condition, context);
+      const conditionResult = await this._evaluateCondition(token.condition, context, token);
       const contentToProcess = conditionResult ? token.ifContent : token.elseContent;
       
       if (contentToProcess) {
-        const parsedContent = this._parseContent(contentToProcess);
-        return this.process(parsedContent, context);
+        const delimiters = conditionResult ? token.delimiters : token.elseDelimiters;
+        const parsedContent = this._parseContent(contentToProcess, delimiters);
+        return await this.process(parsedContent, context);
       }
       
       return '';
@@ -135,7 +760,7 @@ class ContextProcessor {
       if (this.options.errorOnMissingData) {
         throw error;
       }
-      return token.elseContent ? this._parseContent(token.elseContent) : '';
+      return token.elseContent ? this.process(this._parseContent(token.elseContent, token.elseDelimiters), context) : '';
     }
   }
 
@@ -143,136 +768,278 @@ class ContextProcessor {
    * Process raw XML insertion
    * @private
    */
-  _processRawXml(token, context) {
+  async _processRawXml(token, context) {
     try {
-      const value = this._getValue(token.variable, context);
+      const value = await this._evaluate(token.variable, context);
       return value || '';
     } catch (error) {
       if (this.options.errorOnMissingData) {
         throw error;
       }
+      this._report(error, token);
       return '';
     }
   }
 
   /**
-   * Process paragraph placeholder (removes paragraph if value is null/undefined)
+   * Process paragraph placeholder
+   *
+   * The containing paragraph is removed when the value is null, undefined or
+   * empty, and cloned once per element (keeping its formatting) when the
+   * value is an array.
    * @private
    */
-  _processParagraphPlaceholder(token, context) {
+  async _processParagraphPlaceholder(token, context) {
+    let value;
+    
     try {
-      const value = this._getValue(token.variable, context);
-      
-      if (value === null || value === undefined || value === '') {
-        // Find the containing paragraph and remove it
-        return this._removeParagraph(token);
-      }
-      
-      return this._formatValue(value);
+      value = await this._evaluate(token.variable, context);
     } catch (error) {
       if (this.options.errorOnMissingData) {
         throw error;
       }
+      this._report(error, token);
       // Remove paragraph if data is missing
-      return this._removeParagraph(token);
+      value = null;
     }
+    
+    const values = Array.isArray(value) ? value : [value];
+    const { before = '', after = '' } = token;
+    
+    return values
+      .filter(item => item !== null && item !== undefined && item !== '')
+      .map(item => before + this._formatValue(item) + after)
+      .join('');
   }
 
   /**
-   * Get value from context using dot notation
+   * Evaluate an expression, strictly by default: missing data throws
    * @private
    */
-  _getValue(path, context) {
-    const keys = path.split('.');
-    let value = context;
+  async _evaluate(expression, context, strict = true) {
+    const ast = this.expressionParser.parse(expression);
+    return this.expressionEvaluator.evaluate(ast, context, {
+      strict,
+      filterContext: this._getFilterContext(),
+      resolveValue: (value, owner, scope) => this._resolveValue(value, owner, scope)
+    });
+  }
+
+  /**
+   * Resolve a value read from the context
+   *
+   * Promises are awaited and functions are called during the render, so
+   * only data the template references is fetched. Functions declaring a
+   * parameter receive the current scope (including loop variables) and are
+   * called for each use; functions without parameters are called once per
+   * render. Calls are limited by the `concurrency` option, except for reads
+   * made by a lazy function that already holds a slot: those start at once,
+   * even when the same value is already waiting for a slot, so a function
+   * never waits for slots held by itself or its siblings. A rejected or
+   * throwing resolver fails with a `RESOLVE_FAILED` error carrying its
+   * message.
+   * @private
+   */
+  _resolveValue(value, owner, scope, inSlot = false) {
+    const fail = error => {
+      throw error instanceof TemplateError ?
+        error :
+        new TemplateError(error && error.message ? error.message : String(error), { code: 'RESOLVE_FAILED', cause: error });
+    };
+    
+    if (typeof value !== 'function') {
+      return value && typeof value.then === 'function' ? Promise.resolve(value).catch(fail) : value;
+    }
     
-    for (const key of keys) {
-      if (value === null || value === undefined) {
-        throw new Error(`Cannot access property '${key}' of ${value}`);
+    const run = task => new Promise(resolve => resolve(task())).catch(fail);
+    
+    if (value.length > 0) {
+      const view = scope instanceof Scope ? this._getView(scope) : scope;
+      const call = () => value.call(owner, view);
+      return inSlot ? run(call) : this.limit(() => run(call));
+    }
+    
+    let entry = this.resolvedValues.get(value);
+    
+    if (!entry) {
+      let started = null;
+      entry = { start: () => started || (started = run(() => value.call(owner))), queued: null };
+      this.resolvedValues.set(value, entry);
+    }
+    
+    if (inSlot) {
+      return entry.start();
+    }
+    
+    entry.queued = entry.queued || this.limit(entry.start);
+    return entry.queued;
+  }
+
+  /**
+   * Get the read-only view of a scope passed to lazy functions
+   *
+   * Lazy values read through the view, including properties of nested
+   * objects and array elements, are resolved as they are for templates and
+   * come back as Promises of their result. They are called outside the
+   * `concurrency` limit, as the function reading them already holds a slot.
+   * @param {Scope} scope - Scope the view reads from
+   * @param {Object} [target] - Object or array read through the view, or
+   *   null for the scope itself
+   * @returns {Object} - Proxy resolving the values read through it
+   * @private
+   */
+  _getView(scope, target = null) {
+    const hasProperty = (object, key) => key in Object(object);
+    const read = (object, key) => {
+      if (target === null) {
+        return scope.lookup(key, hasProperty);
       }
       
-      if (typeof value === 'object' && key in value) {
-        value = value[key];
-      } else {
-        throw new Error(`Property '${key}' not found in context`);
-      }
-    }
+      // Values the proxy must report unchanged (frozen data) are left as is
+      const descriptor = Reflect.getOwnPropertyDescriptor(object, key);
+      return descriptor && !descriptor.configurable && !descriptor.writable ?
+        { value: object[key], owner: null } :
+        { value: object[key], owner: object };
+    };
     
-    return value;
+    return new Proxy(target || {}, {
+      get: (object, key) => {
+        if (typeof key !== 'string') {
+          return target === null ? undefined : object[key];
+        }
+        
+        const { value, owner } = read(object, key);
+        
+        // `$parent` and `$root` are viewed like the current scope
+        if (value instanceof Scope) {
+          return this._getView(value);
+        }
+        
+        // Only data is resolved, not inherited methods such as Array#map
+        if (owner === null || !Object.prototype.hasOwnProperty.call(Object(owner), key)) {
+          return value;
+        }
+        
+        if (typeof value === 'function') {
+          return this._resolveValue(value, owner, scope, true);
+        }
+        
+        const prototype = value !== null && typeof value === 'object' ? Object.getPrototypeOf(value) : undefined;
+        return Array.isArray(value) || prototype === Object.prototype || prototype === null ?
+          this._getView(scope, value) :
+          value;
+      },
+      has: (object, key) => (target === null ?
+        typeof key === 'string' && scope.lookup(key, hasProperty).found :
+        key in object),
+      set: () => false
+    });
+  }
+
+  /**
+   * Get the object filters receive as `this`
+   * @private
+   */
+  _getFilterContext() {
+    return {
+      locale: this.options.locale,
+      timeZone: this.options.timeZone
+    };
   }
 
   /**
    * Evaluate a condition expression
+   *
+   * Missing data makes a condition falsy instead of failing; syntax errors
+   * are only raised when errorOnMissingData is set, and otherwise reported
+   * against the tag holding the condition.
    * @private
    */
-  _evaluateCondition(condition, context) {
+  async _evaluateCondition(condition, context, token = null) {
     try {
-      // Simple condition evaluation
-      // Support for basic comparisons: ==, !=, >, <, >=, <=
-      const operators = ['==', '!=', '>=', '<=', '>', '<'];
-      
-      for (const op of operators) {
-        if (condition.includes(op)) {
-          const [left, right] = condition.split(op).map(s => s.trim());
-          const leftValue = this._getValue(left, context);
-          const rightValue = this._parseValue(right, context);
-          
-          switch (op) {
-            case '==': return leftValue == rightValue;
-            case '!=': return leftValue != rightValue;
-            case '>': return leftValue > rightValue;
-            case '<': return leftValue < rightValue;
-            case '>=': return leftValue >= rightValue;
-            case '<=': return leftValue <= rightValue;
-          }
-        }
-      }
-      
-      // Simple truthiness check
-      const value = this._getValue(condition, context);
-      return !!value;
+      return !!(await this._evaluate(condition, context, false));
     } catch (error) {
+      if (this.options.errorOnMissingData) {
+        throw error;
+      }
+      this._report(error, token);
       return false;
     }
   }
 
   /**
-   * Parse a value (could be a literal or a context reference)
+   * Turn an evaluation failure into a MissingDataError; syntax errors and
+   * failed resolvers are passed through unchanged
    * @private
    */
-  _parseValue(value, context) {
-    // Remove quotes if present
-    if ((value.startsWith('"') && value.endsWith('"')) || 
-        (value.startsWith("'") && value.endsWith("'"))) {
-      return value.slice(1, -1);
-    }
-    
-    // Check if it's a number
-    if (!isNaN(value)) {
-      return parseFloat(value);
+  _missingData(error, message) {
+    return error instanceof TemplateSyntaxError || error.code === 'RESOLVE_FAILED' ?
+      error :
+      new MissingDataError(message, { cause: error });
+  }
+
+  /**
+   * Give an error the tag it was raised for, unless an inner tag already
+   * claimed it; anything that is not a TemplateError is wrapped first
+   * @private
+   */
+  _toTemplateError(error, token) {
+    if (error instanceof MultiError) {
+      return error;
     }
     
-    // Check if it's a boolean
-    if (value === 'true') return true;
-    if (value === 'false') return false;
+    const templateError = error instanceof TemplateError ?
+      error :
+      new TemplateError(error.message, { code: 'RENDER_FAILED', cause: error });
     
-    // Try to get from context
-    try {
-      return this._getValue(value, context);
-    } catch (error) {
-      return value; // Return as literal string
+    return templateError.locate({ tag: token && (token.openTag || token.fullMatch) });
+  }
+
+  /**
+   * Record a syntax error or failed resolver that lenient rendering
+   * otherwise swallows, so it still shows up in getErrors()
+   * @private
+   */
+  _report(error, token) {
+    if (error instanceof TemplateSyntaxError || error.code === 'RESOLVE_FAILED') {
+      this.errors.push(this._toTemplateError(error, token));
     }
   }
 
   /**
    * Format a value for output
+   *
+   * The text is XML-escaped, and right-to-left text is marked so the runs
+   * holding it get bidi properties once the part is rendered (see
+   * BidiProcessor). With the `typedValues` option, numbers, booleans and
+   * dates are marked so a spreadsheet cell holding only them gets their type
+   * (see SpreadsheetProcessor).
    * @private
    */
   _formatValue(value) {
+    const text = this._escapeXml(this._stringifyValue(value));
+    const marked = this.bidiProcessor.resolveRtl(text, this.options.rtl) ?
+      this.bidiProcessor.markText(text) :
+      text;
+    
+    return this.options.typedValues ?
+      this.spreadsheetProcessor.markValue(value, marked, this.options.timeZone) :
+      marked;
+  }
+
+  /**
+   * Convert a value to its text representation
+   * @private
+   */
+  _stringifyValue(value) {
     if (value === null || value === undefined) {
       return this.options.nullGetter();
     }
     
+    if (value instanceof Date) {
+      return this.filterRegistry.get('date').call(this._getFilterContext(), value, this.options.dateFormat);
+    }
+    
     if (typeof value === 'object') {
       return JSON.stringify(value);
     }
@@ -281,31 +1048,73 @@ class ContextProcessor {
   }
 
   /**
-   * Parse content into tokens (simplified version for nested processing)
+   * Escape text for use in XML content
    * @private
    */
-  _parseContent(content) {
-    // This is a simplified parser for nested content
-    // In a full implementation, this would use the TemplateParser
-    return {
-      tokens: [{
-        type: 'text',
-        content: content
-      }]
-    };
+  _escapeXml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
   }
 
   /**
-   * Remove paragraph containing the placeholder
+   * Parse a loop or conditional body into tokens
+   *
+   * Bodies are parsed with the full TemplateParser, so nested loops,
+   * conditionals and placeholders are processed recursively. Parsed bodies
+   * are cached because loop bodies are processed once per item; the cache
+   * keeps the most recently used ones, so it stays small across renders.
+   * @param {string} content - Body content
+   * @param {Object} [delimiters] - Placeholder delimiters in effect at the body start
    * @private
    */
-  _removeParagraph(token) {
-    // This is a placeholder implementation
-    // In a full implementation, this would analyze the XML structure
-    // and remove the containing paragraph element
-    return '';
+  _parseContent(content, delimiters = null) {
+    const key = delimiters ? `${delimiters.start}\u0000${delimiters.end}\u0000${content}` : content;
+    let parsed = this.parseCache.get(key);
+    
+    if (!parsed) {
+      parsed = this.templateParser.parse(content, delimiters);
+      this.parseCache.set(key, parsed);
+    }
+    
+    return parsed;
   }
 }
 
+/**
+ * Create a limiter running at most `concurrency` tasks at a time
+ * @private
+ * @param {number} concurrency - Maximum number of running tasks
+ * @returns {Function} - limit(task) => Promise of the task's result
+ */
+function createLimiter(concurrency) {
+  const queue = [];
+  let active = 0;
+  
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+    
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+  
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
 module.exports = ContextProcessor;
 
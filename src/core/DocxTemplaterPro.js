@@ -4,7 +4,16 @@ const path = require('path');
 const TemplateParser = require('./TemplateParser');
 const ContextProcessor = require('./ContextProcessor');
 const ModuleManager = require('./ModuleManager');
+const TemplateInspector = require('./TemplateInspector');
+const SchemaValidator = require('./SchemaValidator');
+const PackageValidator = require('./PackageValidator');
+const { TemplateError, MissingDataError, MultiError } = require('./TemplateError');
 const DocumentProcessor = require('../parsers/DocumentProcessor');
+const RunLexer = require('../parsers/RunLexer');
+const BidiProcessor = require('../parsers/BidiProcessor');
+const PartLocator = require('../parsers/PartLocator');
+const SpreadsheetProcessor = require('../parsers/SpreadsheetProcessor');
+const SheetCloner = require('../parsers/SheetCloner');
 
 /**
  * Main class for the DocxTemplaterPro library
@@ -14,19 +23,27 @@ class DocxTemplaterPro {
   constructor(options = {}) {
     this.options = {
       errorOnMissingData: false,
+      validateOutput: true,
       nullGetter: () => '',
       ...options
     };
     
     this.moduleManager = new ModuleManager();
     this.templateParser = new TemplateParser(this.options);
-    this.contextProcessor = new ContextProcessor(this.options);
+    this.contextProcessor = new ContextProcessor(this.options, this.templateParser);
     this.documentProcessor = new DocumentProcessor();
+    this.runLexer = new RunLexer(this.options);
+    this.bidiProcessor = new BidiProcessor();
+    this.partLocator = new PartLocator(this.options.parts);
+    this.spreadsheetProcessor = new SpreadsheetProcessor(this.options);
+    this.sheetCloner = new SheetCloner(this.options);
     
     this.template = null;
     this.zip = null;
     this.context = {};
     this.errors = [];
+    this.renderOptions = {};
+    this.renderProcessor = null;
   }
 
   /**
@@ -49,7 +66,7 @@ class DocxTemplaterPro {
       this.template = buffer;
       
       // Determine document type
-      this.documentType = this._detectDocumentType();
+      this.documentType = await this._detectDocumentType();
       
       return this;
     } catch (error) {
@@ -75,30 +92,161 @@ class DocxTemplaterPro {
     return this;
   }
 
+  /**
+   * Register a custom filter for use in expressions ({{ value | name:arg }})
+   * @param {string} name - Filter name
+   * @param {Function} fn - Filter function (value, ...args) => result
+   */
+  addFilter(name, fn) {
+    this.contextProcessor.filterRegistry.register(name, fn);
+    return this;
+  }
+
   /**
    * Process the template with the given context
+   *
+   * Errors are collected as TemplateErrors in getErrors(). With
+   * `errorOnMissingData` every part is still processed and all errors are
+   * then thrown together as a MultiError; otherwise the parts that failed
+   * are left as they were. The rendered package is then checked (see
+   * PackageValidator) unless `validateOutput` is false, and a package that
+   * would not open is never returned: its XmlIntegrityErrors are thrown as a
+   * MultiError in both modes. With a `schema` option the context is validated
+   * first (see validateContext), and with `errorOnMissingData` violations
+   * stop the render before any part is processed.
+   * @param {Object} [options] - Per-render overrides: { locale, timeZone, dateFormat, rtl, schema }
    * @returns {Promise<Buffer>} - Generated document as buffer
+   * @throws {MultiError} - With `errorOnMissingData` when any error occurred,
+   *   and whenever the rendered package is corrupt
    */
-  async render() {
+  async render(options = {}) {
     if (!this.zip) {
       throw new Error('No template loaded. Call loadTemplate() first.');
     }
-
+    
     try {
       this.errors = [];
+      this.renderOptions = options;
+      
+      if (options.schema) {
+        const violations = await this.validateContext(options.schema);
+        this.errors.push(...violations);
+        
+        if (violations.length > 0 && this.options.errorOnMissingData) {
+          throw new MultiError(violations);
+        }
+      }
+      
+      // One processor per render: lazy values are resolved once per render;
+      // spreadsheet values keep their type
+      this.renderProcessor = this.contextProcessor.withOptions({ ...options, typedValues: this.documentType === 'xlsx' });
       
       // Process the document based on type
       const processedZip = await this._processDocument();
       
+      // Never hand out a package Office would report as corrupt
+      const integrityErrors = this.options.validateOutput ?
+        await new PackageValidator(this.documentProcessor).validate(processedZip, this.zip) :
+        [];
+      this.errors.push(...integrityErrors);
+      
+      if (this.errors.length > 0 && (this.options.errorOnMissingData || integrityErrors.length > 0)) {
+        throw new MultiError(this.errors);
+      }
+      
       // Generate the final document
       const buffer = await processedZip.generateAsync({ type: 'nodebuffer' });
       
       return buffer;
     } catch (error) {
-      throw new Error(`Failed to render template: ${error.message}`);
+      if (error instanceof TemplateError) {
+        throw error;
+      }
+      throw new TemplateError(`Failed to render template: ${error.message}`, { code: 'RENDER_FAILED', cause: error });
     }
   }
 
+  /**
+   * List the template's tags and infer the data they expect
+   * @returns {Promise<Object>} - { documentType, parts: [{ name, kind, tags }], schema }
+   *   where tags nest as in the template and schema is a JSON Schema
+   */
+  async inspect() {
+    if (!this.zip) {
+      throw new Error('No template loaded. Call loadTemplate() first.');
+    }
+    
+    const inspector = new TemplateInspector(this.options, this.templateParser, this.contextProcessor.expressionParser);
+    const templateParts = await this._getTemplateParts(this.zip, this.documentType);
+    const contents = await this._readParts(this.zip, templateParts.map(({ name }) => name));
+    const parts = templateParts.map(({ name, kind }) => ({ name, kind, content: this.runLexer.normalize(contents.get(name)) }));
+    
+    return {
+      documentType: this.documentType,
+      ...inspector.inspect(parts)
+    };
+  }
+
+  /**
+   * Validate the context against a JSON Schema without rendering
+   *
+   * Each violation is a MissingDataError with code `SCHEMA_VIOLATION`
+   * pointing at the template tags reading the offending data: `part`,
+   * `paragraph`, `index` and `tag` locate the first one, `locations` lists
+   * all. `keyword` is the schema keyword that failed (`required`, `type`...).
+   * @param {Object|boolean} [schema] - JSON Schema, or true for the schema
+   *   inferred by inspect()
+   * @returns {Promise<Array<MissingDataError>>} - Violations: { type: 'schema',
+   *   code, keyword, path, message, expected, actual, part, paragraph,
+   *   context, index, tag, locations }
+   */
+  async validateContext(schema = true) {
+    const { schema: inferred, locations } = await this.inspect();
+    const violations = new SchemaValidator().validate(this.context, schema === true ? inferred : schema);
+    const partContents = new Map();
+    
+    return Promise.all(violations.map(async ({ code, message, ...violation }) => {
+      // Fall back to the closest enclosing path read by a tag
+      let path = violation.schemaPath;
+      while (path && !locations[path]) {
+        path = path.replace(/(\.[^.[\]]+|\[\])$|^[^.[\]]+$/, '');
+      }
+      
+      const tags = path ? locations[path] : [];
+      const [first = {}] = tags;
+      const error = new MissingDataError(message, {
+        code: 'SCHEMA_VIOLATION',
+        type: 'schema',
+        keyword: code,
+        ...violation,
+        tag: first.tag,
+        locations: tags,
+        documentType: this.documentType
+      });
+      
+      if (first.part) {
+        if (!partContents.has(first.part)) {
+          partContents.set(first.part, this._readParts(this.zip, [first.part]).then(contents => this.runLexer.normalize(contents.get(first.part))));
+        }
+        this._locateError(error, await partContents.get(first.part), first.part, first.index);
+      }
+      
+      return error;
+    }));
+  }
+
+  /**
+   * Inspect a template without rendering it
+   * @param {string|Buffer} template - Path to template file or buffer
+   * @param {Object} [options] - Templater options (e.g. delimiters)
+   * @returns {Promise<Object>} - See inspect()
+   */
+  static async inspect(template, options = {}) {
+    const templater = new DocxTemplaterPro(options);
+    await templater.loadTemplate(template);
+    return templater.inspect();
+  }
+
   /**
    * Get any errors that occurred during processing
    * @returns {Array} - Array of error objects
@@ -110,9 +258,10 @@ class DocxTemplaterPro {
   /**
    * Save the rendered document to a file
    * @param {string} outputPath - Path to save the document
+   * @param {Object} [options] - Per-render overrides, see render()
    */
-  async saveAs(outputPath) {
-    const buffer = await this.render();
+  async saveAs(outputPath, options = {}) {
+    const buffer = await this.render(options);
     fs.writeFileSync(outputPath, buffer);
     return this;
   }
@@ -121,14 +270,14 @@ class DocxTemplaterPro {
    * Detect the document type based on content
    * @private
    */
-  _detectDocumentType() {
+  async _detectDocumentType() {
     const contentTypes = this.zip.file('[Content_Types].xml');
     if (!contentTypes) {
       throw new Error('Invalid document: missing Content_Types.xml');
     }
     
     // Read content types to determine document format
-    const contentTypesXml = contentTypes.asText();
+    const contentTypesXml = await contentTypes.async('text');
     
     if (contentTypesXml.includes('application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml')) {
       return 'docx';
@@ -146,7 +295,8 @@ class DocxTemplaterPro {
    * @private
    */
   async _processDocument() {
-    const processedZip = this.zip.clone();
+    // A fresh copy, so the loaded template can be rendered again
+    const processedZip = await JSZip.loadAsync(this.template);
     
     switch (this.documentType) {
       case 'docx':
@@ -161,120 +311,289 @@ class DocxTemplaterPro {
   }
 
   /**
-   * Process DOCX document
+   * Get the parts holding template tags, in processing order
    * @private
+   * @returns {Promise<Array>} - [{ name, kind }], see PartLocator
    */
-  async _processDocx(zip) {
-    // Process main document
-    const documentXml = zip.file('word/document.xml');
-    if (documentXml) {
-      const content = await documentXml.async('text');
-      const processedContent = await this._processXmlContent(content, 'docx');
-      zip.file('word/document.xml', processedContent);
+  async _getTemplateParts(zip, documentType) {
+    return this.partLocator.locate(zip, documentType);
+  }
+
+  /**
+   * Read template parts as text
+   *
+   * In workbooks, cells using shared strings with tags get their own inline
+   * copy, so the tags are read where they are used (see SpreadsheetProcessor).
+   * @private
+   * @returns {Promise<Map>} - Part name to content
+   */
+  async _readParts(zip, names) {
+    if (this.documentType === 'xlsx') {
+      return this.spreadsheetProcessor.inlineSharedStrings(zip, names);
     }
+    
+    return new Map(await Promise.all(names.map(async name => [name, await zip.file(name).async('text')])));
+  }
 
-    // Process headers and footers
-    const headerFooterFiles = Object.keys(zip.files).filter(name => 
-      name.startsWith('word/header') || name.startsWith('word/footer')
-    );
+  /**
+   * Process every template part of a document
+   *
+   * A part with an `owner` (the notes of a slide) is processed in the scope
+   * its owner ended with, so the owner's variables and macros apply to it.
+   * @private
+   * @param {Map} [contexts] - Part name to the scope of parts rendered with
+   *   their own item (copies of a sheet)
+   */
+  async _processParts(zip, documentType, contexts = new Map()) {
+    const scopes = new Map();
     
-    for (const fileName of headerFooterFiles) {
-      const file = zip.file(fileName);
-      if (file) {
-        const content = await file.async('text');
-        const processedContent = await this._processXmlContent(content, 'docx');
-        zip.file(fileName, processedContent);
-      }
+    for (const { name: fileName, owner } of await this._getTemplateParts(zip, documentType)) {
+      const content = await zip.file(fileName).async('text');
+      const context = contexts.get(fileName) || (owner && scopes.has(owner) ? scopes.get(owner) : this.context);
+      const { content: processedContent, scope } = await this._processXmlContent(content, documentType, fileName, zip, context);
+      scopes.set(fileName, scope);
+      zip.file(fileName, processedContent);
     }
-
+    
     return zip;
   }
 
+  /**
+   * Process DOCX document
+   * @private
+   */
+  async _processDocx(zip) {
+    return this._finishModules(await this._processParts(zip, 'docx'), 'docx');
+  }
+
   /**
    * Process PPTX document
    * @private
    */
   async _processPptx(zip) {
-    // Find all slide files
-    const slideFiles = Object.keys(zip.files).filter(name => 
-      name.startsWith('ppt/slides/slide') && name.endsWith('.xml')
-    );
-    
-    for (const fileName of slideFiles) {
-      const file = zip.file(fileName);
-      if (file) {
-        const content = await file.async('text');
-        const processedContent = await this._processXmlContent(content, 'pptx');
-        zip.file(fileName, processedContent);
-      }
-    }
-
-    return zip;
+    return this._finishModules(await this._processParts(zip, 'pptx'), 'pptx');
   }
 
   /**
    * Process XLSX document
+   *
+   * Sheets are rendered with their shared strings inlined, sheets holding a
+   * `{%sheets%}` loop being repeated first, then finished: typed cells,
+   * shared strings and rows renumbered after loops (see
+   * SpreadsheetProcessor). Modules finishing the workbook get the sheets'
+   * `references`.
    * @private
    */
   async _processXlsx(zip) {
-    // Process shared strings
-    const sharedStrings = zip.file('xl/sharedStrings.xml');
-    if (sharedStrings) {
-      const content = await sharedStrings.async('text');
-      const processedContent = await this._processXmlContent(content, 'xlsx');
-      zip.file('xl/sharedStrings.xml', processedContent);
+    const located = await this._getTemplateParts(zip, 'xlsx');
+    const templates = await this._readParts(zip, located.map(({ name }) => name));
+    templates.forEach((content, name) => zip.file(name, content));
+    
+    const contexts = await this._cloneSheets(zip, located);
+    const parts = await this._getTemplateParts(zip, 'xlsx');
+    const sheets = new Map();
+    for (const { name } of parts.filter(({ kind }) => kind === 'sheet')) {
+      sheets.set(name, await zip.file(name).async('text'));
     }
+    
+    await this._processParts(zip, 'xlsx', contexts);
+    
+    const references = await this.spreadsheetProcessor.finish(zip, sheets);
+    
+    return this._finishModules(zip, 'xlsx', { references });
+  }
 
-    // Process worksheets
-    const worksheetFiles = Object.keys(zip.files).filter(name => 
-      name.startsWith('xl/worksheets/sheet') && name.endsWith('.xml')
-    );
+  /**
+   * Repeat the sheets holding a `{%sheets%}` loop, once per item
+   *
+   * Every copy is named by rendering the template sheet's name with its
+   * item (see SheetCloner). A loop that cannot be read, or an empty list
+   * that would remove the workbook's only visible sheet, leaves its sheet
+   * in place; errors are recorded for render() to throw.
+   * @private
+   * @returns {Promise<Map>} - Worksheet part of every copy to the scope of
+   *   its item
+   */
+  async _cloneSheets(zip, parts) {
+    const contextProcessor = this.renderProcessor || this.contextProcessor;
+    const nameProcessor = contextProcessor.withOptions({ typedValues: false });
+    const { workbook, sheets } = await this.partLocator.locateWorkbook(zip);
+    const used = new Set(sheets.map(({ name }) => (name || '').toLowerCase()));
+    const contexts = new Map();
     
-    for (const fileName of worksheetFiles) {
-      const file = zip.file(fileName);
-      if (file) {
-        const content = await file.async('text');
-        const processedContent = await this._processXmlContent(content, 'xlsx');
-        zip.file(fileName, processedContent);
+    for (const { name: part } of parts.filter(({ kind }) => kind === 'sheet')) {
+      const content = this.runLexer.normalize(await zip.file(part).async('text'));
+      const loop = this.sheetCloner.findLoop(content);
+      const sheet = sheets.find(candidate => candidate.part === part);
+      
+      if (!loop || !sheet || sheet.name === null) {
+        continue;
+      }
+      
+      try {
+        const scopes = await contextProcessor.loopScopes(loop.header, this.context, loop.tag);
+        contextProcessor.errors.splice(0).forEach(error => this.errors.push(this._locateError(error, content, part, loop.index, 'xlsx')));
+        zip.file(part, loop.content);
+        
+        // Excel refuses a workbook without a visible sheet
+        if (scopes.length === 0 && await this.sheetCloner.isLastVisible(zip, part)) {
+          throw new MissingDataError(`No sheet to render: the list of {%sheets%} is empty and "${sheet.name}" is the workbook's only visible sheet`, {
+            code: 'EMPTY_WORKBOOK',
+            tag: loop.tag
+          });
+        }
+        
+        const template = this.templateParser.parse(sheet.name);
+        const names = [];
+        used.delete(sheet.name.toLowerCase());
+        for (const scope of scopes) {
+          const { content: name } = await nameProcessor.processWithScope(template, scope);
+          nameProcessor.errors.splice(0).forEach(error => this.errors.push(this._locateError(error, '', workbook, undefined, 'xlsx')));
+          names.push(this.sheetCloner.sanitizeName(name, used));
+        }
+        
+        const copies = await this.sheetCloner.clone(zip, part, names);
+        copies.forEach((copy, i) => contexts.set(copy, scopes[i]));
+      } catch (error) {
+        contextProcessor.errors.splice(0);
+        nameProcessor.errors.splice(0);
+        this.errors.push(this._locateError(error instanceof TemplateError ?
+          error :
+          new TemplateError(error.message, { code: 'RENDER_FAILED', cause: error }), content, part, loop.index, 'xlsx'));
       }
     }
+    
+    return contexts;
+  }
 
+  /**
+   * Let modules finish the rendered package (see ModuleManager#finish); a
+   * failure thrown in strict mode is recorded for render() to throw
+   * @private
+   */
+  async _finishModules(zip, documentType, extra = {}) {
+    const contextProcessor = this.renderProcessor || this.contextProcessor;
+    
+    try {
+      await this.moduleManager.finish({
+        context: this.context,
+        documentType,
+        zip,
+        options: contextProcessor.options,
+        errors: this.errors,
+        ...extra
+      });
+    } catch (error) {
+      this.errors.push(error);
+    }
+    
     return zip;
   }
 
   /**
    * Process XML content with template parsing and module processing
+   *
+   * Syntax errors, errors reported by lenient rendering and the error that
+   * stopped the part, if any, are added to `this.errors` with their
+   * location; a part that failed is returned unchanged.
    * @private
+   * @returns {Promise<Object>} - { content, scope } where scope holds the
+   *   part's top-level variables and macros
    */
-  async _processXmlContent(xmlContent, documentType) {
+  async _processXmlContent(xmlContent, documentType, partName = null, zip = this.zip, context = this.context) {
+    // Reassemble tags split across text runs
+    let normalizedContent = this.runLexer.normalize(xmlContent);
+    const contextProcessor = this.renderProcessor || this.contextProcessor;
+    const record = errors => {
+      const seen = new Set();
+      for (const error of errors) {
+        const key = `${error.code}|${error.message}|${error.tag}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          this.errors.push(this._locateError(error, normalizedContent, partName, undefined, documentType));
+        }
+      }
+    };
+    
+    const moduleContext = {
+      context: this.context,
+      documentType,
+      zip,
+      options: contextProcessor.options,
+      contextProcessor,
+      part: partName,
+      errors: this.errors
+    };
+    
     try {
+      // Let modules rearrange the template before it is parsed
+      normalizedContent = await this.moduleManager.prepare(normalizedContent, moduleContext);
+      record(this.templateParser.validate(normalizedContent));
+      
+      // Mark the tags with reported errors for ErrorLocationModule
+      const marks = this.errors
+        .map((error, id) => ({ id, index: error.index, part: error.part }))
+        .filter(mark => mark.part === partName && mark.index !== undefined && mark.index !== null);
+      const markedContent = this.templateParser.markErrors(normalizedContent, marks);
+      
       // Parse template tags
-      const parsedContent = this.templateParser.parse(xmlContent);
+      const parsedContent = this.templateParser.parse(markedContent);
       
       // Process with context
-      let processedContent = this.contextProcessor.process(parsedContent, this.context);
+      const processed = await contextProcessor.processWithScope(parsedContent, context);
+      let processedContent = processed.content;
+      record(contextProcessor.errors.splice(0));
       
-      // Apply modules
-      processedContent = await this.moduleManager.process(processedContent, {
-        context: this.context,
-        documentType,
-        zip: this.zip
-      });
+      // Apply modules; their errors are located once they are done
+      const reported = this.errors.length;
+      processedContent = await this.moduleManager.process(processedContent, moduleContext);
+      this.errors.slice(reported).forEach(error => this._locateError(error, normalizedContent, partName, undefined, documentType));
       
-      return processedContent;
-    } catch (error) {
-      this.errors.push({
-        message: error.message,
-        location: 'XML processing',
-        documentType
-      });
+      // Give right-to-left values their bidi run and paragraph properties
+      processedContent = this.bidiProcessor.applyMarks(processedContent, documentType, contextProcessor.options.rtl);
       
-      if (this.options.errorOnMissingData) {
-        throw error;
+      return {
+        content: this.templateParser.removeErrorMarks(this.templateParser.removeEscapeMarks(processedContent)),
+        scope: processed.scope
+      };
+    } catch (error) {
+      contextProcessor.errors.splice(0);
+      if (error instanceof MultiError) {
+        record(error.errors);
+      } else {
+        record([error instanceof TemplateError ?
+          error :
+          new TemplateError(error.message, { code: 'RENDER_FAILED', cause: error })]);
       }
       
-      return xmlContent; // Return original content if error handling is lenient
+      // Leave the part as it was; render() decides whether to throw
+      return { content: xmlContent, scope: context };
+    }
+  }
+
+  /**
+   * Fill in the part, paragraph and surrounding text of an error
+   *
+   * The offset is the error's own `index` or, failing that, the first
+   * occurrence of its tag in the normalized part.
+   * @private
+   */
+  _locateError(error, content, part, index, documentType = this.documentType) {
+    let position = index !== undefined ? index : error.index;
+    
+    if ((position === undefined || position === null) && error.tag) {
+      position = content.indexOf(error.tag);
     }
+    
+    const location = position !== undefined && position !== null && position !== -1 ?
+      { index: position, ...this.documentProcessor.describeLocation(content, position) } :
+      {};
+    
+    if (error instanceof TemplateError) {
+      return error.locate({ part, documentType, ...location });
+    }
+    
+    return Object.assign(error, { part, documentType, ...location });
   }
 }
 
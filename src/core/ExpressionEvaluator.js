@@ -0,0 +1,233 @@
+const Scope = require('./Scope');
+const { TemplateSyntaxError, MissingDataError } = require('./TemplateError');
+
+/**
+ * Evaluator for expression ASTs produced by ExpressionParser
+ *
+ * Property access is limited to data: prototype internals (`__proto__`,
+ * `constructor`, `prototype`) and inherited methods are never reachable.
+ * Evaluation is asynchronous: every value read from the context goes
+ * through the caller's `resolveValue` hook, which awaits Promises and calls
+ * lazy values (own function properties of the data). Filters may be async.
+ */
+class ExpressionEvaluator {
+  constructor(options = {}, filterRegistry = null) {
+    this.options = options;
+    this.filterRegistry = filterRegistry;
+    this.blockedProperties = new Set(['__proto__', 'constructor', 'prototype']);
+  }
+
+  /**
+   * Evaluate an AST against a data context
+   * @param {Object} node - AST node
+   * @param {Object} context - Data context
+   * @param {Object} [evaluationOptions] - { strict, filterContext, resolveValue }
+   *   strict throws on missing data; filterContext is passed to filters as
+   *   `this`; resolveValue(value, owner, context) resolves lazy values
+   * @returns {Promise<*>} - Expression value
+   */
+  async evaluate(node, context, evaluationOptions = {}) {
+    const strict = !!evaluationOptions.strict;
+    
+    switch (node.type) {
+      case 'Literal':
+        return node.value;
+      
+      case 'Identifier':
+        return this._lookup(context, node.name, context, evaluationOptions);
+      
+      case 'Member': {
+        const object = await this.evaluate(node.object, context, evaluationOptions);
+        const property = await this.evaluate(node.property, context, evaluationOptions);
+        return this._lookup(object, property, context, evaluationOptions);
+      }
+      
+      case 'Array':
+        return Promise.all(node.elements.map(element => this.evaluate(element, context, evaluationOptions)));
+      
+      case 'Unary':
+        return this._unary(node.operator, await this.evaluate(node.argument, context, evaluationOptions));
+      
+      case 'Logical': {
+        const left = await this.evaluate(node.left, context, evaluationOptions);
+        if (node.operator === '&&') {
+          return left ? this.evaluate(node.right, context, evaluationOptions) : left;
+        }
+        return left ? left : this.evaluate(node.right, context, evaluationOptions);
+      }
+      
+      case 'Binary': {
+        const [left, right] = await Promise.all([
+          this.evaluate(node.left, context, evaluationOptions),
+          this.evaluate(node.right, context, evaluationOptions)
+        ]);
+        return this._binary(node.operator, left, right);
+      }
+      
+      case 'Conditional':
+        return (await this.evaluate(node.test, context, evaluationOptions)) ?
+          this.evaluate(node.consequent, context, evaluationOptions) :
+          this.evaluate(node.alternate, context, evaluationOptions);
+      
+      case 'Filter':
+        return this._applyFilter(node, context, evaluationOptions);
+      
+      default:
+        throw new Error(`Unsupported expression node: ${node.type}`);
+    }
+  }
+
+  /**
+   * Apply a registered filter to its input
+   * @private
+   */
+  async _applyFilter(node, context, evaluationOptions) {
+    const filter = this.filterRegistry && this.filterRegistry.get(node.name);
+    
+    if (!filter) {
+      throw new TemplateSyntaxError(`Unknown filter: ${node.name}`, { code: 'UNKNOWN_FILTER' });
+    }
+    
+    // `default` exists to replace missing values, so its input may be missing
+    const inputOptions = node.name === 'default' ?
+      { ...evaluationOptions, strict: false } :
+      evaluationOptions;
+    
+    const [input, ...args] = await Promise.all([
+      this.evaluate(node.input, context, inputOptions),
+      ...node.args.map(arg => this.evaluate(arg, context, evaluationOptions))
+    ]);
+    
+    return filter.call(evaluationOptions.filterContext || {}, input, ...args);
+  }
+
+  /**
+   * Read a property from a value, restricted to data properties
+   * @private
+   */
+  async _lookup(value, key, context, evaluationOptions) {
+    const strict = !!evaluationOptions.strict;
+    
+    if (value === null || value === undefined) {
+      if (strict) {
+        throw new MissingDataError(`Cannot access property '${key}' of ${value}`, { path: String(key) });
+      }
+      return undefined;
+    }
+    
+    const { resolveValue } = evaluationOptions;
+    
+    // Scopes resolve names through their chain of enclosing scopes
+    if (value instanceof Scope) {
+      const entry = value.lookup(String(key), (object, name) => this._hasProperty(object, name));
+      if (entry.found) {
+        return resolveValue ? resolveValue(entry.value, entry.owner, context) : entry.value;
+      }
+    } else if (this._hasProperty(value, key)) {
+      return resolveValue ? resolveValue(value[key], value, context) : value[key];
+    }
+    
+    if (strict) {
+      throw new MissingDataError(`Property '${key}' not found in context`, { path: String(key) });
+    }
+    
+    return undefined;
+  }
+
+  /**
+   * Check whether a property is readable by templates
+   * @private
+   */
+  _hasProperty(value, key) {
+    const name = String(key);
+    
+    if (this.blockedProperties.has(name)) {
+      return false;
+    }
+    
+    const object = Object(value);
+    
+    if (Object.prototype.hasOwnProperty.call(object, name)) {
+      return true;
+    }
+    
+    // Inherited data such as array/string length or getters, but no methods
+    return name in object && typeof object[name] !== 'function';
+  }
+
+  /**
+   * Apply a unary operator
+   * @private
+   */
+  _unary(operator, value) {
+    switch (operator) {
+      case '!': return !value;
+      case '-': return -value;
+      case '+': return +value;
+      default: throw new Error(`Unsupported operator: ${operator}`);
+    }
+  }
+
+  /**
+   * Apply a binary operator
+   * @private
+   */
+  _binary(operator, left, right) {
+    switch (operator) {
+      case '==': return left == right;
+      case '!=': return left != right;
+      case '===': return left === right;
+      case '!==': return left !== right;
+      case '<': return left < right;
+      case '>': return left > right;
+      case '<=': return left <= right;
+      case '>=': return left >= right;
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/': return left / right;
+      case '%': return left % right;
+      case 'in': return this._contains(right, left);
+      case '..': return this._range(left, right);
+      default: throw new Error(`Unsupported operator: ${operator}`);
+    }
+  }
+
+  /**
+   * Inclusive integer range used by the `..` operator (`1..5`, `5..1`)
+   * @private
+   */
+  _range(start, end) {
+    const from = Number(start);
+    const to = Number(end);
+    
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      throw new MissingDataError(`Range bounds must be integers: ${start}..${end}`, { code: 'INVALID_RANGE' });
+    }
+    
+    const step = from <= to ? 1 : -1;
+    return Array.from({ length: Math.abs(to - from) + 1 }, (value, i) => from + i * step);
+  }
+
+  /**
+   * Membership test used by the `in` operator
+   * @private
+   */
+  _contains(collection, item) {
+    if (collection instanceof Scope) {
+      return collection.lookup(String(item), (object, name) => this._hasProperty(object, name)).found;
+    }
+    
+    if (Array.isArray(collection) || typeof collection === 'string') {
+      return collection.includes(item);
+    }
+    
+    if (collection && typeof collection === 'object') {
+      return this._hasProperty(collection, item);
+    }
+    
+    return false;
+  }
+}
+
+module.exports = ExpressionEvaluator;
@@ -0,0 +1,373 @@
+const { TemplateSyntaxError } = require('./TemplateError');
+const LruCache = require('./LruCache');
+
+// Parsed expressions kept for reuse
+const CACHE_SIZE = 1000;
+
+/**
+ * Expression parser for conditions and placeholders
+ *
+ * Parses expressions such as `total > 1000 && !customer.exempt` or
+ * `items[0].name + " (" + items.length + ")"` into a small AST that is
+ * evaluated by ExpressionEvaluator. Pipe filters (`amount | currency:"EUR"`)
+ * bind tighter than binary operators, so `items | length > 2` compares the
+ * filtered value. Nothing is ever passed to `eval` or `Function`.
+ */
+class ExpressionParser {
+  constructor(options = {}) {
+    this.options = options;
+    this.cache = new LruCache(CACHE_SIZE);
+    
+    this.patterns = {
+      whitespace: /\s+/y,
+      number: /\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y,
+      identifier: /[A-Za-z_$][\w$]*/y,
+      punctuator: /===|!==|==|!=|<=|>=|&&|\|\||\.\.|[-+*/%!<>?:.,()[\]|]/y
+    };
+    
+    // Binary operators by precedence level, lowest first
+    this.binaryLevels = [
+      ['||'],
+      ['&&'],
+      ['==', '!=', '===', '!=='],
+      ['<', '>', '<=', '>=', 'in'],
+      ['..'],
+      ['+', '-'],
+      ['*', '/', '%']
+    ];
+  }
+
+  /**
+   * Parse an expression into an AST
+   * @param {string} expression - Expression source, possibly XML-escaped
+   * @returns {Object} - AST root node
+   */
+  parse(expression) {
+    let ast = this.cache.get(expression);
+    
+    if (!ast) {
+      const source = this._decodeXml(expression);
+      const state = { tokens: this._tokenize(source), position: 0, source };
+      
+      ast = this._parseTernary(state);
+      
+      if (state.position < state.tokens.length) {
+        this._fail(state, `Unexpected token '${this._peek(state).value}'`);
+      }
+      
+      this.cache.set(expression, ast);
+    }
+    
+    return ast;
+  }
+
+  /**
+   * Split an expression into tokens
+   * @private
+   */
+  _tokenize(source) {
+    const tokens = [];
+    let position = 0;
+    
+    const matchAt = pattern => {
+      pattern.lastIndex = position;
+      const match = pattern.exec(source);
+      return match ? match[0] : null;
+    };
+    
+    while (position < source.length) {
+      let value;
+      
+      if ((value = matchAt(this.patterns.whitespace))) {
+        position += value.length;
+        continue;
+      }
+      
+      const char = source[position];
+      
+      if (char === '"' || char === "'") {
+        const { text, end } = this._readString(source, position);
+        tokens.push({ type: 'string', value: text, position });
+        position = end;
+      } else if ((value = matchAt(this.patterns.number))) {
+        tokens.push({ type: 'number', value: parseFloat(value), position });
+        position += value.length;
+      } else if ((value = matchAt(this.patterns.identifier))) {
+        tokens.push({ type: 'identifier', value, position });
+        position += value.length;
+      } else if ((value = matchAt(this.patterns.punctuator))) {
+        tokens.push({ type: 'punctuator', value, position });
+        position += value.length;
+      } else {
+        throw new TemplateSyntaxError(`Invalid expression "${source}": Unexpected character '${char}' at ${position}`);
+      }
+    }
+    
+    return tokens;
+  }
+
+  /**
+   * Read a quoted string literal
+   * @private
+   */
+  _readString(source, start) {
+    const quote = source[start];
+    const escapes = { n: '\n', t: '\t', r: '\r' };
+    let text = '';
+    let i = start + 1;
+    
+    while (i < source.length && source[i] !== quote) {
+      if (source[i] === '\\' && i + 1 < source.length) {
+        text += escapes[source[i + 1]] || source[i + 1];
+        i += 2;
+      } else {
+        text += source[i++];
+      }
+    }
+    
+    if (i >= source.length) {
+      throw new TemplateSyntaxError(`Invalid expression "${source}": Unterminated string at ${start}`);
+    }
+    
+    return { text, end: i + 1 };
+  }
+
+  /**
+   * condition ? consequent : alternate
+   * @private
+   */
+  _parseTernary(state) {
+    const test = this._parseBinary(state, 0);
+    
+    if (!this._accept(state, '?')) {
+      return test;
+    }
+    
+    const consequent = this._parseTernary(state);
+    this._expect(state, ':');
+    const alternate = this._parseTernary(state);
+    
+    return { type: 'Conditional', test, consequent, alternate };
+  }
+
+  /**
+   * Binary and logical operators, by precedence level
+   * @private
+   */
+  _parseBinary(state, level) {
+    if (level >= this.binaryLevels.length) {
+      return this._parseUnary(state);
+    }
+    
+    let left = this._parseBinary(state, level + 1);
+    let operator;
+    
+    while ((operator = this._acceptAny(state, this.binaryLevels[level]))) {
+      const right = this._parseBinary(state, level + 1);
+      const type = operator === '&&' || operator === '||' ? 'Logical' : 'Binary';
+      left = { type, operator, left, right };
+    }
+    
+    return left;
+  }
+
+  /**
+   * Unary operators: !, -, +
+   * @private
+   */
+  _parseUnary(state) {
+    const operator = this._acceptAny(state, ['!', '-', '+']);
+    
+    if (operator) {
+      return { type: 'Unary', operator, argument: this._parseUnary(state) };
+    }
+    
+    return this._parseFilters(state);
+  }
+
+  /**
+   * Filter pipeline: value | filter:arg1:arg2 | other
+   * @private
+   */
+  _parseFilters(state) {
+    let node = this._parsePostfix(state);
+    
+    while (this._accept(state, '|')) {
+      const token = this._next(state);
+      if (!token || token.type !== 'identifier') {
+        this._fail(state, 'Expected filter name after \'|\'');
+      }
+      
+      // Arguments are single operands; parenthesize anything larger
+      const args = [];
+      while (this._accept(state, ':')) {
+        args.push(this._parseUnaryOperand(state));
+      }
+      
+      node = { type: 'Filter', name: token.value, input: node, args };
+    }
+    
+    return node;
+  }
+
+  /**
+   * Operand of a filter argument: optional sign followed by a postfix expression
+   * @private
+   */
+  _parseUnaryOperand(state) {
+    const operator = this._acceptAny(state, ['!', '-', '+']);
+    
+    if (operator) {
+      return { type: 'Unary', operator, argument: this._parseUnaryOperand(state) };
+    }
+    
+    return this._parsePostfix(state);
+  }
+
+  /**
+   * Member access and indexing: a.b, a[0]
+   * @private
+   */
+  _parsePostfix(state) {
+    let node = this._parsePrimary(state);
+    
+    for (;;) {
+      if (this._accept(state, '.')) {
+        const token = this._next(state);
+        if (!token || token.type !== 'identifier') {
+          this._fail(state, 'Expected property name after \'.\'');
+        }
+        node = { type: 'Member', object: node, property: { type: 'Literal', value: token.value } };
+      } else if (this._accept(state, '[')) {
+        const property = this._parseTernary(state);
+        this._expect(state, ']');
+        node = { type: 'Member', object: node, property };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  /**
+   * Literals, identifiers, parentheses and array literals
+   * @private
+   */
+  _parsePrimary(state) {
+    const token = this._next(state);
+    
+    if (!token) {
+      this._fail(state, 'Unexpected end of expression');
+    }
+    
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'Literal', value: token.value };
+    }
+    
+    if (token.type === 'identifier') {
+      const literals = { true: true, false: false, null: null, undefined: undefined };
+      
+      if (Object.prototype.hasOwnProperty.call(literals, token.value)) {
+        return { type: 'Literal', value: literals[token.value] };
+      }
+      
+      return { type: 'Identifier', name: token.value };
+    }
+    
+    if (token.value === '(') {
+      const expression = this._parseTernary(state);
+      this._expect(state, ')');
+      return expression;
+    }
+    
+    if (token.value === '[') {
+      const elements = [];
+      
+      if (!this._accept(state, ']')) {
+        do {
+          elements.push(this._parseTernary(state));
+        } while (this._accept(state, ','));
+        this._expect(state, ']');
+      }
+      
+      return { type: 'Array', elements };
+    }
+    
+    state.position--;
+    return this._fail(state, `Unexpected token '${token.value}'`);
+  }
+
+  /**
+   * Peek at the current token
+   * @private
+   */
+  _peek(state) {
+    return state.tokens[state.position];
+  }
+
+  /**
+   * Consume the current token
+   * @private
+   */
+  _next(state) {
+    return state.tokens[state.position++];
+  }
+
+  /**
+   * Consume the current token if it is the given operator or keyword
+   * @private
+   */
+  _accept(state, value) {
+    return this._acceptAny(state, [value]);
+  }
+
+  /**
+   * Consume the current token if it is one of the given operators or keywords
+   * @private
+   */
+  _acceptAny(state, values) {
+    const token = this._peek(state);
+    
+    if (token && token.type !== 'string' && values.includes(token.value)) {
+      state.position++;
+      return token.value;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Require the given operator at the current position
+   * @private
+   */
+  _expect(state, value) {
+    if (!this._accept(state, value)) {
+      const token = this._peek(state);
+      this._fail(state, token ? `Expected '${value}' but found '${token.value}'` : `Expected '${value}'`);
+    }
+  }
+
+  /**
+   * Throw a syntax error pointing at the current token
+   * @private
+   */
+  _fail(state, message) {
+    const token = this._peek(state);
+    const position = token ? token.position : state.source.length;
+    throw new TemplateSyntaxError(`Invalid expression "${state.source}": ${message} at ${position}`);
+  }
+
+  /**
+   * Decode XML entities in an expression read from a document part
+   * @private
+   */
+  _decodeXml(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+}
+
+module.exports = ExpressionParser;
@@ -0,0 +1,242 @@
+/**
+ * Registry of pipe filters used in template expressions
+ *
+ * Filters are plain functions called as `filter(value, ...args)` with `this`
+ * bound to the render's filter context. Custom filters are registered
+ * through the `filters` option or `DocxTemplaterPro#addFilter`.
+ */
+class FilterRegistry {
+  constructor(filters = {}) {
+    this.filters = new Map();
+    
+    this._registerBuiltins();
+    
+    for (const [name, fn] of Object.entries(filters)) {
+      this.register(name, fn);
+    }
+  }
+
+  /**
+   * Register a filter, replacing any filter with the same name
+   * @param {string} name - Filter name used after the pipe
+   * @param {Function} fn - Filter function (value, ...args) => result
+   */
+  register(name, fn) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Filter must have a name');
+    }
+    
+    if (typeof fn !== 'function') {
+      throw new Error(`Filter ${name} must be a function`);
+    }
+    
+    this.filters.set(name, fn);
+    return this;
+  }
+
+  /**
+   * Get a registered filter
+   * @param {string} name - Filter name
+   * @returns {Function|null} - Filter function or null if not found
+   */
+  get(name) {
+    return this.filters.get(name) || null;
+  }
+
+  /**
+   * Check whether a filter is registered
+   * @param {string} name - Filter name
+   * @returns {boolean} - True if registered
+   */
+  has(name) {
+    return this.filters.has(name);
+  }
+
+  /**
+   * Register the built-in filter set
+   * @private
+   */
+  _registerBuiltins() {
+    const text = value => (value === null || value === undefined ? '' : String(value));
+    
+    this.register('upper', value => text(value).toUpperCase());
+    this.register('lower', value => text(value).toLowerCase());
+    this.register('capitalize', value => {
+      const str = text(value);
+      return str.charAt(0).toUpperCase() + str.slice(1);
+    });
+    this.register('trim', value => text(value).trim());
+    this.register('truncate', (value, length = 50, suffix = '…') => {
+      const str = text(value);
+      return str.length > length ? str.slice(0, length) + suffix : str;
+    });
+    this.register('replace', (value, search, replacement = '') => text(value).split(search).join(replacement));
+    
+    this.register('default', (value, fallback = '') => (
+      value === null || value === undefined || value === '' ? fallback : value
+    ));
+    
+    this.register('join', (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : text(value)));
+    this.register('first', value => (Array.isArray(value) || typeof value === 'string' ? value[0] : undefined));
+    this.register('last', value => (Array.isArray(value) || typeof value === 'string' ? value[value.length - 1] : undefined));
+    this.register('length', value => {
+      if (Array.isArray(value) || typeof value === 'string') {
+        return value.length;
+      }
+      return value && typeof value === 'object' ? Object.keys(value).length : 0;
+    });
+    this.register('json', (value, indent) => JSON.stringify(value, null, indent));
+    
+    // Aggregates over arrays, optionally of a property path ("amount", "price.net")
+    this.register('sum', (value, path) => numbers(value, path).reduce((total, number) => total + number, 0));
+    this.register('avg', (value, path) => {
+      const values = numbers(value, path);
+      return values.length > 0 ? values.reduce((total, number) => total + number, 0) / values.length : 0;
+    });
+    this.register('count', (value, path) => (
+      path === undefined ? list(value).length : list(value).filter(item => !isMissing(pluck(item, path))).length
+    ));
+    this.register('min', (value, path) => {
+      const values = numbers(value, path);
+      return values.length > 0 ? Math.min(...values) : null;
+    });
+    this.register('max', (value, path) => {
+      const values = numbers(value, path);
+      return values.length > 0 ? Math.max(...values) : null;
+    });
+    
+    this.register('round', (value, digits = 0) => {
+      const factor = Math.pow(10, digits);
+      return Math.round(Number(value) * factor) / factor;
+    });
+    this.register('number', function (value, decimals) {
+      const options = decimals === undefined ? {} : {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+      };
+      return new Intl.NumberFormat(this.locale, options).format(Number(value));
+    });
+    this.register('currency', function (value, currency = 'USD', decimals) {
+      const options = { style: 'currency', currency };
+      if (decimals !== undefined) {
+        options.minimumFractionDigits = decimals;
+        options.maximumFractionDigits = decimals;
+      }
+      return new Intl.NumberFormat(this.locale, options).format(Number(value));
+    });
+    this.register('percent', function (value, decimals = 0) {
+      return new Intl.NumberFormat(this.locale, {
+        style: 'percent',
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+      }).format(Number(value));
+    });
+    this.register('date', function (value, pattern = 'yyyy-MM-dd') {
+      const date = value instanceof Date ? value : new Date(value);
+      if (value === null || value === undefined || isNaN(date.getTime())) {
+        return text(value);
+      }
+      return formatDate(date, pattern, this.locale, this.timeZone);
+    });
+  }
+}
+
+// Helpers for the aggregate filters
+const isMissing = value => value === null || value === undefined || value === '';
+
+const list = value => (Array.isArray(value) ? value : isMissing(value) ? [] : [value]);
+
+/**
+ * Read a dotted property path from an item
+ * @private
+ */
+function pluck(item, path) {
+  if (path === undefined || path === null) {
+    return item;
+  }
+
+  return String(path).split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    item
+  );
+}
+
+/**
+ * Collect the numeric values of an array (or of one property of its items),
+ * skipping missing and non-numeric entries
+ * @private
+ */
+function numbers(value, path) {
+  return list(value)
+    .map(item => pluck(item, path))
+    .filter(item => !isMissing(item))
+    .map(Number)
+    .filter(number => !Number.isNaN(number));
+}
+
+// Named styles accepted by the date filter instead of a pattern
+const DATE_STYLES = ['full', 'long', 'medium', 'short'];
+
+/**
+ * Format a date with a pattern such as "yyyy-MM-dd HH:mm" or a named style
+ *
+ * Fields are computed in the given time zone; month and weekday names and
+ * digits follow the locale (e.g. Arabic-Indic digits for "ar-EG").
+ * @private
+ */
+function formatDate(date, pattern, locale, timeZone) {
+  if (DATE_STYLES.includes(pattern)) {
+    return new Intl.DateTimeFormat(locale, { dateStyle: pattern, timeZone }).format(date);
+  }
+
+  const fields = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).forEach(part => {
+    fields[part.type] = parseInt(part.value, 10);
+  });
+
+  const digits = (number, length = 1) => new Intl.NumberFormat(locale, {
+    useGrouping: false,
+    minimumIntegerDigits: length
+  }).format(number);
+  const name = options => new Intl.DateTimeFormat(locale, { timeZone, ...options }).format(date);
+  const hour12 = fields.hour % 12 || 12;
+
+  const tokens = {
+    yyyy: () => digits(fields.year),
+    yy: () => digits(fields.year % 100, 2),
+    MMMM: () => name({ month: 'long' }),
+    MMM: () => name({ month: 'short' }),
+    MM: () => digits(fields.month, 2),
+    M: () => digits(fields.month),
+    dd: () => digits(fields.day, 2),
+    d: () => digits(fields.day),
+    EEEE: () => name({ weekday: 'long' }),
+    EEE: () => name({ weekday: 'short' }),
+    HH: () => digits(fields.hour, 2),
+    H: () => digits(fields.hour),
+    hh: () => digits(hour12, 2),
+    h: () => digits(hour12),
+    mm: () => digits(fields.minute, 2),
+    ss: () => digits(fields.second, 2),
+    a: () => {
+      const parts = new Intl.DateTimeFormat(locale, { timeZone, hour: 'numeric', hour12: true }).formatToParts(date);
+      const period = parts.find(part => part.type === 'dayPeriod');
+      return period ? period.value : '';
+    }
+  };
+
+  return pattern.replace(/yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|hh|h|mm|ss|a|'([^']*)'/g, (token, literal) => (
+    literal !== undefined ? literal : tokens[token]()
+  ));
+}
+
+module.exports = FilterRegistry;
@@ -0,0 +1,68 @@
+/**
+ * Map holding at most a fixed number of entries
+ *
+ * Reading an entry marks it as recently used; adding one past the limit
+ * drops the least recently used entry. Used for the parse caches, which
+ * would otherwise grow with every distinct expression and loop body a
+ * long-lived templater renders.
+ */
+class LruCache {
+  /**
+   * @param {number} maxSize - Maximum number of entries
+   */
+  constructor(maxSize) {
+    this.maxSize = maxSize;
+    this.entries = new Map();
+  }
+
+  /**
+   * Number of entries held
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Get an entry, marking it as recently used
+   * @param {*} key - Entry key
+   * @returns {*} - Cached value or undefined
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+    
+    // Map iteration follows insertion order, so re-inserting moves it last
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  /**
+   * Add or replace an entry, dropping the least recently used one when full
+   * @param {*} key - Entry key
+   * @param {*} value - Value to cache
+   * @returns {LruCache} - This cache
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    
+    if (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    
+    return this;
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = LruCache;
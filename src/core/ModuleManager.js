@@ -1,3 +1,5 @@
+const { TemplateError, ModuleError } = require('./TemplateError');
+
 /**
  * Module manager for registering and processing template modules
  */
@@ -71,6 +73,9 @@ class ModuleManager {
 
   /**
    * Process content with all registered modules
+   *
+   * A failing module is skipped: its error is thrown as a ModuleError when
+   * errorOnMissingData is set, and otherwise added to `context.errors`.
    * @param {string} content - Content to process
    * @param {Object} context - Processing context
    * @returns {Promise<string>} - Processed content
@@ -82,16 +87,11 @@ class ModuleManager {
     for (const moduleName of this.processingOrder) {
       const module = this.modules.get(moduleName);
       
-      if (module && this._shouldProcessModule(module, context)) {
+      if (module && this._shouldProcessModule(module, processedContent, context)) {
         try {
           processedContent = await module.process(processedContent, context);
         } catch (error) {
-          if (context.errorOnMissingData) {
-            throw new Error(`Module ${moduleName} failed: ${error.message}`);
-          }
-          
-          // Log error but continue processing
-          console.warn(`Module ${moduleName} failed: ${error.message}`);
+          this._handleError(error, moduleName, context);
         }
       }
     }
@@ -99,6 +99,62 @@ class ModuleManager {
     return processedContent;
   }
 
+  /**
+   * Let modules rewrite the template of a part before it is rendered
+   *
+   * Modules with a `prepare(content, context)` method supporting the
+   * document type are called in priority order with the part's template,
+   * its tags already joined across runs, e.g. to move tags so that a block
+   * repeats a different element. Failures are handled as in process().
+   * @param {string} content - Template content of the part
+   * @param {Object} context - Processing context, as given to process()
+   * @returns {Promise<string>} - Prepared content
+   */
+  async prepare(content, context) {
+    let preparedContent = content;
+    
+    for (const moduleName of this.processingOrder) {
+      const module = this.modules.get(moduleName);
+      
+      if (module && typeof module.prepare === 'function' &&
+          (!module.supportedTypes || module.supportedTypes.includes(context.documentType))) {
+        try {
+          preparedContent = await module.prepare(preparedContent, context);
+        } catch (error) {
+          this._handleError(error, moduleName, context);
+        }
+      }
+    }
+    
+    return preparedContent;
+  }
+
+  /**
+   * Let modules finish the rendered package once every part is processed
+   *
+   * Modules with a `finish(context)` method supporting the document type are
+   * called in priority order, e.g. to keep parts that point into the
+   * rendered parts consistent. The context is the one given to process()
+   * without `part`, plus what the document type provides (`references` for
+   * workbooks, see SpreadsheetProcessor#finish). Failures are handled as in
+   * process().
+   * @param {Object} context - Finishing context: { context, documentType, zip, options, errors, ... }
+   */
+  async finish(context) {
+    for (const moduleName of this.processingOrder) {
+      const module = this.modules.get(moduleName);
+      
+      if (module && typeof module.finish === 'function' &&
+          (!module.supportedTypes || module.supportedTypes.includes(context.documentType))) {
+        try {
+          await module.finish(context);
+        } catch (error) {
+          this._handleError(error, moduleName, context);
+        }
+      }
+    }
+  }
+
   /**
    * Process content with a specific module
    * @param {string} moduleName - Name of module to use
@@ -116,11 +172,34 @@ class ModuleManager {
     return await module.process(content, context);
   }
 
+  /**
+   * Throw a module failure in strict mode, record it otherwise
+   * @private
+   */
+  _handleError(error, moduleName, context) {
+    const moduleError = error instanceof TemplateError ? error : new ModuleError(`Module ${moduleName} failed: ${error.message}`, {
+      module: moduleName,
+      part: context.part,
+      cause: error
+    });
+    
+    if (context.errorOnMissingData || (context.options && context.options.errorOnMissingData)) {
+      throw moduleError;
+    }
+    
+    // Record the error but continue processing
+    if (context.errors) {
+      context.errors.push(moduleError);
+    } else {
+      console.warn(moduleError.message);
+    }
+  }
+
   /**
    * Check if a module should process the current content
    * @private
    */
-  _shouldProcessModule(module, context) {
+  _shouldProcessModule(module, content, context) {
     // Check if module supports the document type
     if (module.supportedTypes && !module.supportedTypes.includes(context.documentType)) {
       return false;
@@ -128,7 +207,7 @@ class ModuleManager {
     
     // Check if module has any tags to process in the content
     if (module.hasTagsToProcess) {
-      return module.hasTagsToProcess(context.content || '');
+      return module.hasTagsToProcess(content || '', context);
     }
     
     return true;
@@ -0,0 +1,206 @@
+const DocumentProcessor = require('../parsers/DocumentProcessor');
+const { XmlIntegrityError } = require('./TemplateError');
+
+// Relationship references checked against the part's .rels file
+const RELATIONSHIP_PATTERN = /\br:(embed|id|link|pict)="([^"]*)"/g;
+
+// Ids that must not repeat: drawing ids across a Word document, shape ids
+// within a slide
+const UNIQUE_IDS = [
+  { name: 'wp:docPr', pattern: /<wp:docPr\b[^>]*?\sid="([^"]*)"/g, scope: 'package' },
+  { name: 'p:cNvPr', pattern: /<p:cNvPr\b[^>]*?\sid="([^"]*)"/g, scope: 'part' }
+];
+
+/**
+ * Validator checking a rendered package before it is written
+ *
+ * Catches what Word, PowerPoint and Excel report as a corrupt file: parts
+ * that are not well-formed XML, `r:embed`/`r:id` references missing from the
+ * part's relationships, new parts without a content type and repeated
+ * drawing or shape ids. Only what the render changed is checked, so problems
+ * already present in the template are left alone.
+ */
+class PackageValidator {
+  /**
+   * @param {DocumentProcessor} [documentProcessor] - XML helper to share
+   */
+  constructor(documentProcessor = null) {
+    this.documentProcessor = documentProcessor || new DocumentProcessor();
+  }
+
+  /**
+   * Validate a rendered package against the template it was rendered from
+   * @param {JSZip} zip - Rendered package
+   * @param {JSZip} original - Template package
+   * @returns {Promise<Array<XmlIntegrityError>>} - Integrity errors, located
+   *   by part and, when possible, paragraph
+   */
+  async validate(zip, original) {
+    const errors = [];
+    const parts = new Map();
+    const added = [];
+    
+    for (const name of Object.keys(zip.files).filter(name => !zip.files[name].dir)) {
+      const before = original.file(name);
+      
+      if (!before) {
+        added.push(name);
+      }
+      
+      if (/\.(xml|rels)$/i.test(name)) {
+        const content = await zip.file(name).async('text');
+        const modified = !before || content !== await before.async('text');
+        parts.set(name, { content, modified });
+      }
+    }
+    
+    for (const [name, part] of parts) {
+      if (part.modified) {
+        await this._checkWellFormed(name, part.content, errors);
+        this._checkRelationships(name, part.content, parts, errors);
+      }
+    }
+    
+    this._checkContentTypes(added, parts.get('[Content_Types].xml'), errors);
+    this._checkUniqueIds(parts, errors);
+    
+    return errors;
+  }
+
+  /**
+   * Parse a part and report where parsing failed
+   * @private
+   */
+  async _checkWellFormed(name, content, errors) {
+    try {
+      await this.documentProcessor.parseXml(content);
+    } catch (error) {
+      const reason = error.message.replace(/^Failed to parse XML: /, '');
+      const [problem] = reason.split('\n');
+      const line = Number((reason.match(/Line: (\d+)/) || [])[1]);
+      const column = Number((reason.match(/Column: (\d+)/) || [])[1]);
+      const index = Number.isInteger(line) && Number.isInteger(column) ?
+        this._toOffset(content, line, column) :
+        undefined;
+      
+      errors.push(this._error(`Part ${name} is not well-formed XML: ${problem}`, {
+        code: 'XML_MALFORMED',
+        part: name,
+        line: Number.isInteger(line) ? line + 1 : undefined,
+        column: Number.isInteger(column) ? column : undefined,
+        cause: error
+      }, content, index));
+    }
+  }
+
+  /**
+   * Check that every relationship a part references exists in its .rels
+   * @private
+   */
+  _checkRelationships(name, content, parts, errors) {
+    if (name.endsWith('.rels')) {
+      return;
+    }
+    
+    const slash = name.lastIndexOf('/');
+    const relsName = `${name.slice(0, slash + 1)}_rels/${name.slice(slash + 1)}.rels`;
+    const rels = parts.get(relsName);
+    const ids = rels ? this.documentProcessor.parseRelationships(rels.content) : {};
+    const reported = new Set();
+    
+    for (const match of content.matchAll(RELATIONSHIP_PATTERN)) {
+      const id = match[2];
+      
+      if (!Object.prototype.hasOwnProperty.call(ids, id) && !reported.has(id)) {
+        reported.add(id);
+        errors.push(this._error(`Relationship ${id} referenced by ${name} is missing from ${relsName}`, {
+          code: 'MISSING_RELATIONSHIP',
+          part: name,
+          tag: match[0]
+        }, content, match.index));
+      }
+    }
+  }
+
+  /**
+   * Check that every part added by the render has a content type
+   * @private
+   */
+  _checkContentTypes(added, contentTypes, errors) {
+    const xml = contentTypes ? contentTypes.content : '';
+    const defaults = new Set([...xml.matchAll(/<Default\b[^>]*?\sExtension="([^"]*)"/g)].map(match => match[1].toLowerCase()));
+    const overrides = new Set([...xml.matchAll(/<Override\b[^>]*?\sPartName="([^"]*)"/g)].map(match => match[1].toLowerCase()));
+    
+    for (const name of added) {
+      const extension = (name.match(/\.([^./]+)$/) || [])[1];
+      const covered = overrides.has(`/${name}`.toLowerCase()) || (extension && defaults.has(extension.toLowerCase()));
+      
+      if (!covered && name !== '[Content_Types].xml') {
+        errors.push(this._error(`Part ${name} has no content type in [Content_Types].xml`, {
+          code: 'MISSING_CONTENT_TYPE',
+          part: name
+        }));
+      }
+    }
+  }
+
+  /**
+   * Check that drawing and shape ids are unique in their scope
+   * @private
+   */
+  _checkUniqueIds(parts, errors) {
+    for (const { name, pattern, scope } of UNIQUE_IDS) {
+      const packageIds = new Map();
+      
+      for (const [partName, part] of parts) {
+        const seen = scope === 'package' ? packageIds : new Map();
+        
+        for (const match of part.content.matchAll(pattern)) {
+          const first = seen.get(match[1]);
+          
+          // Report each duplicate once, against a part the render changed
+          if (first && (part.modified || parts.get(first).modified)) {
+            errors.push(this._error(`Duplicate ${name} id ${match[1]} in ${partName}${first === partName ? '' : ` (also used in ${first})`}`, {
+              code: 'DUPLICATE_ID',
+              part: partName,
+              tag: match[0]
+            }, part.content, match.index));
+          } else if (!first) {
+            seen.set(match[1], partName);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Create an error located at an offset of its part
+   * @private
+   */
+  _error(message, details, content = null, index = undefined) {
+    const error = new XmlIntegrityError(message, details);
+    
+    if (content !== null && index !== undefined) {
+      error.locate({ index, ...this.documentProcessor.describeLocation(content, index) });
+    }
+    
+    return error;
+  }
+
+  /**
+   * Convert a parser line (0-based) and column to an offset
+   * @private
+   */
+  _toOffset(content, line, column) {
+    let offset = 0;
+    
+    for (let i = 0; i < line && offset !== -1; i++) {
+      offset = content.indexOf('\n', offset);
+      offset = offset === -1 ? -1 : offset + 1;
+    }
+    
+    return offset === -1 ? undefined : Math.min(content.length, offset + Math.max(0, column - 1));
+  }
+}
+
+module.exports = PackageValidator;
@@ -0,0 +1,221 @@
+/**
+ * Validator checking context data against a JSON Schema before rendering
+ *
+ * Supports the subset of JSON Schema used to describe template data: `type`
+ * (one or several), `properties`, `required`, `additionalProperties`,
+ * `items`, `enum`, `const`, `minimum`/`maximum`, `minLength`/`maxLength`,
+ * `pattern` and `minItems`/`maxItems`. Dates count as strings, Maps as
+ * objects, null counts as missing for `required`, and lazy values (functions
+ * and Promises) are not validated since they are only resolved while
+ * rendering.
+ */
+class SchemaValidator {
+  /**
+   * Validate data against a schema
+   * @param {*} data - Data to validate
+   * @param {Object} schema - JSON Schema
+   * @returns {Array} - Violations: { code, path, schemaPath, message, expected, actual }
+   *   where path is the data path (`order.items[1].price`) and schemaPath the
+   *   same path with array indexes removed (`order.items[].price`)
+   */
+  validate(data, schema) {
+    const violations = [];
+    this._validateValue(data, schema || {}, { path: '', schemaPath: '' }, violations);
+    return violations;
+  }
+
+  /**
+   * Validate one value and its children
+   * @private
+   */
+  _validateValue(value, schema, location, violations) {
+    if (this._isLazy(value)) {
+      return;
+    }
+    
+    const add = (code, message, expected, actual) => violations.push({
+      code,
+      path: location.path,
+      schemaPath: location.schemaPath,
+      message: `${message} at ${location.path || 'root'}`,
+      expected,
+      actual
+    });
+    
+    const type = this._typeOf(value);
+    
+    if (schema.type !== undefined) {
+      const types = [].concat(schema.type);
+      const matches = types.some(expected => expected === type || (expected === 'number' && type === 'integer'));
+      
+      if (!matches) {
+        add('type', `Expected ${types.join(' or ')} but got ${type}`, schema.type, type);
+        return;
+      }
+    }
+    
+    if (schema.enum !== undefined && !schema.enum.some(option => this._equals(option, value))) {
+      add('enum', `Expected one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`, schema.enum, value);
+    }
+    
+    if (schema.const !== undefined && !this._equals(schema.const, value)) {
+      add('const', `Expected ${JSON.stringify(schema.const)}`, schema.const, value);
+    }
+    
+    if (type === 'number' || type === 'integer') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        add('minimum', `Expected at least ${schema.minimum}`, schema.minimum, value);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        add('maximum', `Expected at most ${schema.maximum}`, schema.maximum, value);
+      }
+    }
+    
+    if (type === 'string' && typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        add('minLength', `Expected at least ${schema.minLength} characters`, schema.minLength, value.length);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        add('maxLength', `Expected at most ${schema.maxLength} characters`, schema.maxLength, value.length);
+      }
+      if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+        add('pattern', `Expected text matching ${schema.pattern}`, schema.pattern, value);
+      }
+    }
+    
+    if (type === 'array') {
+      this._validateArray(value, schema, location, violations, add);
+    } else if (type === 'object') {
+      this._validateObject(value, schema, location, violations, add);
+    }
+  }
+
+  /**
+   * Validate array length and items
+   * @private
+   */
+  _validateArray(value, schema, location, violations, add) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      add('minItems', `Expected at least ${schema.minItems} items`, schema.minItems, value.length);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      add('maxItems', `Expected at most ${schema.maxItems} items`, schema.maxItems, value.length);
+    }
+    
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, i) => this._validateValue(item, schema.items, {
+        path: `${location.path}[${i}]`,
+        schemaPath: `${location.schemaPath}[]`
+      }, violations));
+    }
+  }
+
+  /**
+   * Validate required, declared and additional properties
+   * @private
+   */
+  _validateObject(value, schema, location, violations, add) {
+    const properties = schema.properties || {};
+    const child = key => ({
+      path: location.path ? `${location.path}.${key}` : key,
+      schemaPath: location.schemaPath ? `${location.schemaPath}.${key}` : key
+    });
+    
+    for (const key of schema.required || []) {
+      const property = this._getProperty(value, key);
+      
+      if (property === undefined || property === null) {
+        const { path, schemaPath } = child(key);
+        violations.push({
+          code: 'required',
+          path,
+          schemaPath,
+          message: `Missing required field ${path}`,
+          expected: properties[key] && properties[key].type,
+          actual: property
+        });
+      }
+    }
+    
+    for (const key of Object.keys(properties)) {
+      const property = this._getProperty(value, key);
+      
+      // Missing values are only reported through `required`
+      if (property !== undefined && property !== null) {
+        this._validateValue(property, properties[key], child(key), violations);
+      }
+    }
+    
+    if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+      const keys = value instanceof Map ? [...value.keys()].map(String) : Object.keys(value);
+      
+      for (const key of keys.filter(key => !Object.prototype.hasOwnProperty.call(properties, key))) {
+        if (schema.additionalProperties === false) {
+          const { path, schemaPath } = child(key);
+          violations.push({ code: 'additionalProperties', path, schemaPath, message: `Unexpected field ${path}` });
+        } else {
+          this._validateValue(this._getProperty(value, key), schema.additionalProperties, child(key), violations);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the JSON type of a value
+   * @private
+   */
+  _typeOf(value) {
+    if (value === null || value === undefined) {
+      return 'null';
+    }
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+    if (value instanceof Date || typeof value === 'string') {
+      return 'string';
+    }
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    if (typeof value === 'boolean') {
+      return 'boolean';
+    }
+    
+    return typeof value === 'object' ? 'object' : typeof value;
+  }
+
+  /**
+   * Check whether a value is resolved lazily while rendering
+   * @private
+   */
+  _isLazy(value) {
+    return typeof value === 'function' || (!!value && typeof value.then === 'function');
+  }
+
+  /**
+   * Read a property of an object or Map the way templates read it: own
+   * properties and inherited data such as getters, but no methods
+   * @private
+   */
+  _getProperty(value, key) {
+    if (value instanceof Map) {
+      return value.get(key);
+    }
+    
+    if (Object.prototype.hasOwnProperty.call(value, key) || (key in value && typeof value[key] !== 'function')) {
+      return value[key];
+    }
+    
+    return undefined;
+  }
+
+  /**
+   * Compare values for enum and const
+   * @private
+   */
+  _equals(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+module.exports = SchemaValidator;
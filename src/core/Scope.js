@@ -0,0 +1,172 @@
+/**
+ * Scope chain used while rendering a template
+ *
+ * The root scope holds the data passed to `setContext`; every loop
+ * iteration adds a small child scope with the loop variable and its
+ * metadata instead of copying the whole context. Lookups fall back through
+ * the enclosing scopes, so inner loops can read outer variables, and the
+ * special names below reach shadowed or outer values explicitly:
+ *
+ * - `$parent`: the scope of the enclosing loop, or the root scope outside
+ *   nested loops (`$parent.$index`)
+ * - `$root`: the data passed to `setContext`
+ * - `$loop`: metadata of every enclosing loop by variable name
+ *   (`$loop.row.index`, `$loop.row.number`, `$loop.row.last`, ...)
+ *
+ * `{%set%}` tags and macro definitions also add child scopes, so both stay
+ * local to the block that declares them; `$parent` skips them.
+ */
+class Scope {
+  /**
+   * @param {Object} locals - Variables defined by this scope
+   * @param {Scope} [parent] - Enclosing scope
+   * @param {string} [loopName] - Loop variable name when this is a loop scope
+   */
+  constructor(locals = {}, parent = null, loopName = null) {
+    this.locals = locals;
+    this.parent = parent;
+    this.loopName = loopName;
+    this.root = parent ? parent.root : this;
+    this.macros = null;
+    this.macroDepth = parent ? parent.macroDepth : 0;
+  }
+
+  /**
+   * Create the scope of one loop iteration
+   * @param {string} name - Loop variable name
+   * @param {*} item - Current item
+   * @param {number} index - Zero-based index
+   * @param {number} length - Collection length
+   * @param {Object} [extra] - Additional variables for the iteration
+   * @returns {Scope} - Child scope
+   */
+  createLoopScope(name, item, index, length, extra = {}) {
+    return new Scope({
+      ...extra,
+      [name]: item,
+      $index: index,
+      $number: index + 1,
+      $first: index === 0,
+      $last: index === length - 1,
+      $length: length,
+      $even: index % 2 === 0,
+      $odd: index % 2 === 1
+    }, this, name);
+  }
+
+  /**
+   * Create a child scope with additional variables
+   * @param {Object} locals - Variables defined by the child scope
+   * @returns {Scope} - Child scope
+   */
+  createChild(locals) {
+    return new Scope(locals, this);
+  }
+
+  /**
+   * Create a child scope declaring macros
+   * @param {Map} macros - Macro definitions by name
+   * @returns {Scope} - Child scope
+   */
+  createMacroScope(macros) {
+    const scope = new Scope({}, this);
+    scope.macros = macros;
+    return scope;
+  }
+
+  /**
+   * Find a macro declared by this scope or an enclosing one
+   * @param {string} name - Macro name
+   * @returns {Object|null} - Macro definition or null if not found
+   */
+  findMacro(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.macros && scope.macros.has(name)) {
+        return scope.macros.get(name);
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Look up a name through the scope chain
+   * @param {string} name - Variable name
+   * @param {Function} hasProperty - (object, key) => boolean, decides which
+   *   properties are readable
+   * @returns {Object} - { found, value, owner }
+   */
+  lookup(name, hasProperty) {
+    switch (name) {
+      case '$parent': {
+        const parent = this._getParentLoop();
+        return { found: !!parent, value: parent || undefined, owner: this };
+      }
+      case '$root':
+        return { found: true, value: this.root, owner: this };
+      case '$loop':
+        return { found: true, value: this._getLoopMetadata(), owner: this };
+    }
+    
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.locals !== null && scope.locals !== undefined && hasProperty(scope.locals, name)) {
+        return { found: true, value: scope.locals[name], owner: scope.locals };
+      }
+    }
+    
+    return { found: false, value: undefined, owner: null };
+  }
+
+  /**
+   * Serialize the variables of this scope (e.g. `{{ $parent }}`)
+   */
+  toJSON() {
+    return this.locals;
+  }
+
+  /**
+   * Find the scope enclosing the current loop iteration: the next loop
+   * scope out, or the root scope
+   * @private
+   */
+  _getParentLoop() {
+    let scope = this;
+    while (scope && !scope.loopName) {
+      scope = scope.parent;
+    }
+    
+    let parent = scope ? scope.parent : null;
+    while (parent && !parent.loopName && parent.parent) {
+      parent = parent.parent;
+    }
+    
+    return parent;
+  }
+
+  /**
+   * Collect the metadata of every enclosing loop, inner loops first
+   * @private
+   */
+  _getLoopMetadata() {
+    const loops = {};
+    
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.loopName && !Object.prototype.hasOwnProperty.call(loops, scope.loopName)) {
+        const { $index, $number, $first, $last, $length, $even, $odd } = scope.locals;
+        loops[scope.loopName] = {
+          index: $index,
+          number: $number,
+          first: $first,
+          last: $last,
+          length: $length,
+          even: $even,
+          odd: $odd
+        };
+      }
+    }
+    
+    return loops;
+  }
+}
+
+module.exports = Scope;
@@ -0,0 +1,128 @@
+/**
+ * Errors raised while rendering templates
+ *
+ * Every error has a stable `code` and, once known, the place it comes from:
+ * the zip `part`, the `paragraph` index within that part, the surrounding
+ * `context` text and the offending `tag`. The original error, if any, is
+ * kept as `cause`.
+ */
+class TemplateError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - { code, part, paragraph, context, tag, index, cause, ... }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    
+    const { cause, ...fields } = details;
+    
+    this.name = this.constructor.name;
+    Object.assign(this, {
+      code: 'TEMPLATE_ERROR',
+      part: null,
+      paragraph: null,
+      context: null,
+      tag: null,
+      ...fields
+    });
+    
+    if (cause) {
+      Object.defineProperty(this, 'cause', { value: cause, writable: true, configurable: true });
+    }
+  }
+
+  /**
+   * Fill in location fields that are not known yet
+   * @param {Object} location - { part, paragraph, context, tag, index, documentType }
+   * @returns {TemplateError} - This error
+   */
+  locate(location) {
+    for (const [key, value] of Object.entries(location)) {
+      if ((this[key] === null || this[key] === undefined) && value !== undefined) {
+        this[key] = value;
+      }
+    }
+    
+    return this;
+  }
+
+  /**
+   * Plain object form, e.g. for logging or JSON responses
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      ...this,
+      message: this.message,
+      cause: this.cause ? this.cause.message : undefined
+    };
+  }
+}
+
+/**
+ * Malformed tag or expression (`EXPRESSION_SYNTAX`, `UNMATCHED_TAG`,
+ * `MALFORMED_TAG`, `UNKNOWN_FILTER`)
+ */
+class TemplateSyntaxError extends TemplateError {
+  constructor(message, details = {}) {
+    super(message, { code: 'EXPRESSION_SYNTAX', ...details });
+  }
+}
+
+/**
+ * Data the template reads is missing or unusable (`MISSING_DATA`,
+ * `LOOP_NOT_ITERABLE`, `UNKNOWN_MACRO`, `SCHEMA_VIOLATION`, ...)
+ */
+class MissingDataError extends TemplateError {
+  constructor(message, details = {}) {
+    super(message, { code: 'MISSING_DATA', ...details });
+  }
+}
+
+/**
+ * A module failed while processing a part (`MODULE_FAILED`)
+ */
+class ModuleError extends TemplateError {
+  constructor(message, details = {}) {
+    super(message, { code: 'MODULE_FAILED', ...details });
+  }
+}
+
+/**
+ * The rendered package would not open: a part is not well-formed
+ * (`XML_MALFORMED`), references a relationship its .rels lacks
+ * (`MISSING_RELATIONSHIP`), has no content type (`MISSING_CONTENT_TYPE`) or
+ * repeats a drawing id (`DUPLICATE_ID`)
+ */
+class XmlIntegrityError extends TemplateError {
+  constructor(message, details = {}) {
+    super(message, { code: 'XML_MALFORMED', ...details });
+  }
+}
+
+/**
+ * All errors of a render, thrown at its end (`MULTIPLE_ERRORS`)
+ */
+class MultiError extends TemplateError {
+  /**
+   * @param {Array<TemplateError>} errors - Collected errors
+   */
+  constructor(errors) {
+    const summary = errors.map(error => error.part ? `${error.message} (${error.part})` : error.message).join('; ');
+    super(`${errors.length} error${errors.length === 1 ? '' : 's'} while rendering: ${summary}`, { code: 'MULTIPLE_ERRORS' });
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), errors: this.errors.map(error => error.toJSON ? error.toJSON() : error) };
+  }
+}
+
+module.exports = {
+  TemplateError,
+  TemplateSyntaxError,
+  MissingDataError,
+  ModuleError,
+  XmlIntegrityError,
+  MultiError
+};
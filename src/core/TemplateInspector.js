@@ -0,0 +1,521 @@
+const TemplateParser = require('./TemplateParser');
+const ExpressionParser = require('./ExpressionParser');
+
+// Filters whose input is a list of items
+const LIST_FILTERS = ['sum', 'avg', 'count', 'min', 'max', 'join', 'first', 'last'];
+
+// Filters whose first argument is a property path of the input's items
+const PATH_FILTERS = ['sum', 'avg', 'count', 'min', 'max'];
+
+/**
+ * Template inspector listing the tags of a template and the data it expects
+ *
+ * Every part is parsed with the same parser used for rendering; block bodies
+ * are parsed recursively so the result mirrors the nesting of loops, groups,
+ * conditionals and macros. The data schema is inferred from the expressions:
+ * member access makes an object, list filters make an array, loop
+ * collections an array or an object (whose entries are iterated), and values
+ * used outside conditionals (and without a `default` filter) are required. The tags reading each data path are reported as
+ * `locations`, so problems with the data can be traced back to the template.
+ */
+class TemplateInspector {
+  /**
+   * @param {Object} [options] - Parser options (delimiters)
+   * @param {TemplateParser} [templateParser] - Parser to share
+   * @param {ExpressionParser} [expressionParser] - Expression parser to share
+   */
+  constructor(options = {}, templateParser = null, expressionParser = null) {
+    this.options = options;
+    this.templateParser = templateParser || new TemplateParser(options);
+    this.expressionParser = expressionParser || new ExpressionParser(options);
+  }
+
+  /**
+   * Inspect template parts
+   * @param {Array} parts - [{ name, kind, content }] with run-normalized XML content
+   * @returns {Object} - { parts: [{ name, kind, tags }], schema, locations } where
+   *   locations maps data paths (`order.items[].price`) to the tags reading
+   *   them: [{ part, index, tag }]
+   */
+  inspect(parts) {
+    const inspected = parts.map(part => ({
+      name: part.name,
+      ...(part.kind && { kind: part.kind }),
+      tags: this.inspectContent(part.content)
+    }));
+    
+    return {
+      parts: inspected,
+      ...this._inferSchema(inspected)
+    };
+  }
+
+  /**
+   * List the tags of one template part as a tree
+   * @param {string} content - Template content
+   * @param {Object} [delimiters] - Placeholder delimiters in effect
+   * @param {number} [offset] - Offset of the content in its part
+   * @returns {Array} - Tag descriptions with their `index` in the part;
+   *   blocks have `children` (and `elseChildren` when they have an else part)
+   */
+  inspectContent(content, delimiters = null, offset = 0) {
+    const { tokens } = this.templateParser.parse(content, delimiters);
+    
+    return tokens
+      .map(token => {
+        const description = this._describeToken(token, offset);
+        return description && { index: offset + token.index, ...description };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Infer a JSON Schema for the data used by a tag tree
+   * @param {Array} tags - Tags returned by inspectContent()
+   * @returns {Object} - JSON Schema (draft-07)
+   */
+  inferSchema(tags) {
+    return this._inferSchema([{ name: null, tags }]).schema;
+  }
+
+  /**
+   * Infer the schema of inspected parts and where each data path is read
+   * @private
+   */
+  _inferSchema(parts) {
+    const root = { type: 'object', properties: {} };
+    const references = new Map();
+    
+    for (const part of parts) {
+      this._collectTags(part.tags, { root, bindings: Object.create(null), part: part.name, references, entries: new WeakSet() }, true);
+    }
+    
+    // Name every schema node by its data path
+    const paths = new Map();
+    const walk = (schema, path) => {
+      paths.set(schema, path);
+      Object.entries(schema.properties || {}).forEach(([key, child]) => walk(child, path ? `${path}.${key}` : key));
+      if (schema.items) {
+        walk(schema.items, `${path}[]`);
+      }
+    };
+    walk(root, '');
+    
+    const locations = {};
+    
+    for (const [schema, tags] of references) {
+      const path = paths.get(schema);
+      
+      if (path) {
+        locations[path] = tags;
+      }
+    }
+    
+    return {
+      schema: { $schema: 'http://json-schema.org/draft-07/schema#', ...root },
+      locations
+    };
+  }
+
+  /**
+   * Describe a parsed token, or return null for text
+   * @private
+   */
+  _describeToken(token, offset) {
+    const body = offset + token.index + (token.openTag ? token.openTag.length : 0);
+    const children = (content, delimiters, start = body) => this.inspectContent(content, delimiters, start);
+    const withElse = description => {
+      if (token.elseTag) {
+        const elseStart = offset + token.elseIndex + token.elseTag.length;
+        description.elseChildren = children(token.elseContent, token.elseDelimiters, elseStart);
+      }
+      return description;
+    };
+    
+    switch (token.type) {
+      case 'placeholder':
+      case 'paragraphPlaceholder':
+      case 'rawXml':
+        return this._withSyntaxCheck({
+          type: token.type,
+          tag: token.fullMatch,
+          expression: token.variable
+        }, [token.variable]);
+      
+      case 'loop':
+      case 'group':
+        return withElse(this._withSyntaxCheck({
+          type: token.type,
+          tag: token.openTag,
+          variable: token.variable,
+          collection: token.collection,
+          ...(token.type === 'group' ? { key: token.key } : {}),
+          where: token.where,
+          orderBy: token.orderBy,
+          limit: token.limit,
+          children: children(token.content, token.delimiters)
+        }, [token.collection, token.key, token.where, token.limit, ...token.orderBy.map(key => key.expression)]));
+      
+      case 'conditional':
+        return withElse(this._withSyntaxCheck({
+          type: 'conditional',
+          tag: token.openTag,
+          condition: token.condition,
+          children: children(token.ifContent, token.delimiters)
+        }, [token.condition]));
+      
+      case 'set':
+        return this._withSyntaxCheck({
+          type: 'set',
+          tag: token.fullMatch,
+          name: token.name,
+          expression: token.expression
+        }, [token.expression]);
+      
+      case 'macro':
+        return {
+          type: 'macro',
+          tag: token.openTag,
+          name: token.name,
+          params: token.params,
+          children: children(token.content, token.delimiters)
+        };
+      
+      case 'call':
+        return this._withSyntaxCheck({
+          type: 'call',
+          tag: token.fullMatch,
+          name: token.name,
+          args: token.args
+        }, token.args);
+      
+      case 'module':
+        return {
+          type: 'module',
+          tag: token.fullMatch,
+          module: token.moduleName,
+          data: token.data,
+          ...(token.moduleName === 'sheets' ? this._describeSheetLoop(token.data) : {})
+        };
+      
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Describe the loop header of a `{%sheets%}` tag like a loop's, or
+   * return nothing when it is not one
+   * @private
+   */
+  _describeSheetLoop(header) {
+    const { start, end } = this.templateParser.options.moduleDelimiters;
+    const [token] = this.templateParser.parse(`${start}loop ${header}${end}${start}endloop${end}`).tokens;
+    
+    if (!token || token.type !== 'loop') {
+      return {};
+    }
+    
+    return this._withSyntaxCheck({
+      variable: token.variable,
+      collection: token.collection,
+      where: token.where,
+      orderBy: token.orderBy,
+      limit: token.limit
+    }, [token.collection, token.where, token.limit, ...token.orderBy.map(key => key.expression)]);
+  }
+
+  /**
+   * Record the first expression syntax error on a tag description
+   * @private
+   */
+  _withSyntaxCheck(description, expressions) {
+    for (const expression of expressions) {
+      if (!expression) {
+        continue;
+      }
+      
+      try {
+        this.expressionParser.parse(expression);
+      } catch (error) {
+        description.error = error.message;
+        break;
+      }
+    }
+    
+    return description;
+  }
+
+  /**
+   * Add the data used by a list of sibling tags to the schema
+   * @private
+   */
+  _collectTags(tags, env, required) {
+    let current = env;
+    
+    for (const tag of tags) {
+      const tagEnv = { ...current, location: { part: current.part, index: tag.index, tag: tag.tag } };
+      
+      switch (tag.type) {
+        case 'placeholder':
+        case 'rawXml':
+          this._collectExpression(tag.expression, tagEnv, required);
+          break;
+        
+        case 'paragraphPlaceholder':
+          this._collectExpression(tag.expression, tagEnv, false);
+          break;
+        
+        case 'loop':
+        case 'group':
+          this._collectLoop(tag, tagEnv, required);
+          break;
+        
+        case 'conditional':
+          this._collectExpression(tag.condition, tagEnv, false);
+          this._collectTags(tag.children, tagEnv, false);
+          this._collectTags(tag.elseChildren || [], tagEnv, false);
+          break;
+        
+        case 'set':
+          this._collectExpression(tag.expression, tagEnv, required);
+          current = this._bind(current, { [tag.name]: null });
+          break;
+        
+        case 'macro':
+          this._collectTags(tag.children, this._bind(tagEnv, Object.fromEntries(tag.params.map(param => [param, null]))), required);
+          break;
+        
+        case 'call':
+          tag.args.forEach(arg => this._collectExpression(arg, tagEnv, required));
+          break;
+        
+        case 'module':
+          if (tag.collection) {
+            // A sheets loop repeats the rest of its sheet
+            this._collectLoop({ ...tag, children: tags.slice(tags.indexOf(tag) + 1) }, tagEnv, required);
+            return;
+          }
+          this._collectExpression(tag.data, tagEnv, false);
+          break;
+      }
+    }
+  }
+
+  /**
+   * Add the data used by a loop or group to the schema
+   * @private
+   */
+  _collectLoop(tag, env, required) {
+    const collection = this._collectExpression(tag.collection, env, required);
+    const items = collection ? this._items(collection, true) : null;
+    
+    // Items of an object are { key, value } entries, array items need not be
+    if (items) {
+      env.entries.add(items);
+    }
+    const loopEnv = this._bind(env, { [tag.variable]: items });
+    
+    this._collectExpression(tag.where, loopEnv, false);
+    tag.orderBy.forEach(key => this._collectExpression(key.expression, loopEnv, false));
+    this._collectExpression(tag.limit, env, false);
+    
+    let bodyEnv = loopEnv;
+    
+    if (tag.type === 'group') {
+      this._collectExpression(tag.key, loopEnv, false);
+      
+      // group.items is the grouped collection itself
+      bodyEnv = this._bind(loopEnv, {
+        group: { type: 'object', properties: { key: {}, items: collection || {} } }
+      });
+    }
+    
+    this._collectTags(tag.children, bodyEnv, required);
+    this._collectTags(tag.elseChildren || [], env, required);
+  }
+
+  /**
+   * Add the data used by an expression to the schema
+   * @private
+   * @returns {Object|null} - Schema of the value the expression reads, if it
+   *   is a plain data path
+   */
+  _collectExpression(expression, env, required) {
+    if (!expression) {
+      return null;
+    }
+    
+    let ast;
+    try {
+      ast = this.expressionParser.parse(expression);
+    } catch (error) {
+      return null;
+    }
+    
+    return this._collectNode(ast, env, required);
+  }
+
+  /**
+   * Walk an expression AST
+   * @private
+   */
+  _collectNode(node, env, required) {
+    switch (node.type) {
+      case 'Identifier':
+        return this._reference(env, this._lookup(node.name, env, required));
+      
+      case 'Member': {
+        const object = this._collectNode(node.object, env, required);
+        
+        if (node.property.type !== 'Literal') {
+          this._collectNode(node.property, env, false);
+          return null;
+        }
+        
+        const key = node.property.value;
+        
+        if (!object || key === 'length') {
+          return null;
+        }
+        
+        const entry = env.entries.has(object) && (key === 'key' || key === 'value');
+        return this._reference(env, typeof key === 'number' ? this._items(object) : this._property(object, String(key), required && !entry));
+      }
+      
+      case 'Filter': {
+        const input = this._collectNode(node.input, env, required && node.name !== 'default');
+        node.args.forEach(arg => this._collectNode(arg, env, false));
+        
+        if (input && LIST_FILTERS.includes(node.name)) {
+          const items = this._items(input);
+          const [path] = node.args;
+          
+          if (PATH_FILTERS.includes(node.name) && path && path.type === 'Literal' && typeof path.value === 'string') {
+            path.value.split('.').reduce((schema, key) => schema && this._property(schema, key, false), items);
+          }
+        }
+        return null;
+      }
+      
+      case 'Unary':
+        this._collectNode(node.argument, env, false);
+        return null;
+      
+      case 'Logical':
+      case 'Conditional':
+        ['test', 'left', 'right', 'consequent', 'alternate']
+          .filter(key => node[key])
+          .forEach(key => this._collectNode(node[key], env, false));
+        return null;
+      
+      case 'Binary':
+        this._collectNode(node.left, env, required);
+        this._collectNode(node.right, env, required);
+        return null;
+      
+      case 'Array':
+        node.elements.forEach(element => this._collectNode(element, env, required));
+        return null;
+      
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Resolve a variable name to its schema
+   * @private
+   */
+  _lookup(name, env, required) {
+    if (name in env.bindings) {
+      return env.bindings[name];
+    }
+    
+    if (name === '$root') {
+      return env.root;
+    }
+    
+    // Other scope variables ($index, $parent, $loop, ...) are not data
+    if (name.startsWith('$')) {
+      return null;
+    }
+    
+    return this._property(env.root, name, required);
+  }
+
+  /**
+   * Create an environment with additional local names
+   * @private
+   */
+  _bind(env, bindings) {
+    return {
+      ...env,
+      bindings: Object.assign(Object.create(env.bindings), bindings)
+    };
+  }
+
+  /**
+   * Record that the current tag reads a schema node
+   * @private
+   */
+  _reference(env, schema) {
+    if (schema && env.location) {
+      const tags = env.references.get(schema) || [];
+      
+      if (!tags.some(tag => tag.part === env.location.part && tag.index === env.location.index)) {
+        tags.push(env.location);
+      }
+      env.references.set(schema, tags);
+    }
+    
+    return schema;
+  }
+
+  /**
+   * Get (creating if needed) the schema of an object property
+   * @private
+   */
+  _property(schema, key, required) {
+    if (schema.type === 'array') {
+      return null;
+    }
+    
+    // Reading a property settles a loop collection as an object
+    schema.type = 'object';
+    schema.properties = schema.properties || {};
+    
+    if (!Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+      schema.properties[key] = {};
+    }
+    
+    if (required) {
+      schema.required = schema.required || [];
+      if (!schema.required.includes(key)) {
+        schema.required.push(key);
+      }
+    }
+    
+    return schema.properties[key];
+  }
+
+  /**
+   * Get (creating if needed) the item schema of an array, or of a loop
+   * collection, which can also be an object
+   * @private
+   */
+  _items(schema, loop = false) {
+    if (!schema.items) {
+      delete schema.properties;
+      delete schema.required;
+      schema.type = loop ? ['array', 'object'] : 'array';
+      schema.items = {};
+    } else if (!loop) {
+      schema.type = 'array';
+    }
+    
+    return schema.items;
+  }
+}
+
+module.exports = TemplateInspector;
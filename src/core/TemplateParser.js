@@ -1,46 +1,87 @@
+const { TemplateSyntaxError } = require('./TemplateError');
+
+// Private-use character placed inside escaped delimiters so that modules do
+// not pick them up as tags; removed once the part is rendered
+const ESCAPE_MARK = '\uE001';
+
+// XML comment placed before a tag reported by context validation, so that the
+// rendered position of the tag can be found; removed once the part is rendered
+const ERROR_MARK_PATTERN = /<!--docx-templater-error:(\d+)-->/g;
+
 /**
  * Template parser for handling placeholder syntax and control structures
+ *
+ * Delimiters are configurable through the `delimiters` (placeholders),
+ * `moduleDelimiters` (blocks and module tags) and `rawXmlDelimiter` options.
+ * A `{{=[[ ]]=}}` tag switches the placeholder delimiters for the rest of
+ * the template, and a backslash before a delimiter (`\{{`) keeps it as
+ * literal text.
  */
 class TemplateParser {
   constructor(options = {}) {
-    this.options = options;
+    this.options = {
+      delimiters: { start: '{{', end: '}}' },
+      moduleDelimiters: { start: '{%', end: '%}' },
+      rawXmlDelimiter: { start: '{@', end: '}' },
+      ...options
+    };
+    
+    for (const name of ['delimiters', 'moduleDelimiters', 'rawXmlDelimiter']) {
+      this._validateDelimiters(this.options[name], name);
+    }
+    
+    // Tag patterns by placeholder delimiters, built on demand
+    this.tagPatterns = new Map();
     
     // Regular expressions for different template constructs
     this.patterns = {
-      // Simple placeholders: {{variable}}
-      placeholder: /\{\{([^}]+)\}\}/g,
+      // Loop header: loop item in items
+      loop: /^loop\s+(\w+)\s+in\s+([\s\S]+)$/,
+      
+      // Group header: group item in items by key
+      group: /^group\s+(\w+)\s+in\s+([\s\S]+)$/,
       
-      // Loop constructs: {%loop item in items%}...{%endloop%}
-      loop: /\{%\s*loop\s+(\w+)\s+in\s+([^%]+)\s*%\}(.*?)\{%\s*endloop\s*%\}/gs,
+      // Conditional header: if condition
+      conditional: /^if\s+([\s\S]+)$/,
       
-      // Conditional constructs: {%if condition%}...{%endif%}
-      conditional: /\{%\s*if\s+([^%]+)\s*%\}(.*?)(?:\{%\s*else\s*%\}(.*?))?\{%\s*endif\s*%\}/gs,
+      // Macro header: macro name(param, param)
+      macro: /^macro\s+(\w+)\s*\(\s*((?:\w+(?:\s*,\s*\w+)*)?)\s*\)$/,
       
-      // Module-specific tags: {%module_name data%}
-      moduleTag: /\{%\s*(\w+)\s+([^%]*)\s*%\}/g,
+      // Assignment: set name = expression
+      set: /^set\s+(\w+)\s*=(?!=)\s*([\s\S]+)$/,
       
-      // Raw XML insertion: {@rawXml}
-      rawXml: /\{@([^}]+)\}/g,
+      // Macro call: call name(expression, expression)
+      call: /^call\s+(\w+)\s*\(([\s\S]*)\)$/,
       
-      // Paragraph placeholder: {{?optional_content}}
-      paragraphPlaceholder: /\{\{\?([^}]+)\}\}/g
+      // Module-specific tags: module_name data
+      moduleTag: /^(\w+)(?:\s+([\s\S]*))?$/
+    };
+    
+    // Block constructs: opening keyword -> closing keyword
+    this.blocks = {
+      loop: 'endloop',
+      group: 'endgroup',
+      macro: 'endmacro',
+      if: 'endif'
     };
   }
 
   /**
    * Parse template content and identify all template constructs
+   *
+   * Only top-level constructs are returned; loop and conditional bodies are
+   * kept as raw content and parsed again when they are processed.
    * @param {string} content - Template content to parse
+   * @param {Object} [delimiters] - Placeholder delimiters in effect at the
+   *   start of the content (recorded on block tokens for their bodies)
    * @returns {Object} - Parsed template structure
    */
-  parse(content) {
+  parse(content, delimiters = null) {
     const tokens = [];
     let position = 0;
     
     // Find all template constructs in order
-    const allMatches = this._findAllMatches(content);
-    
-    // Sort matches by position
-    allMatches.sort((a, b) => a.index - b.index);
+    const allMatches = this._findAllMatches(content, delimiters);
     
     // Build token structure
     for (const match of allMatches) {
@@ -74,162 +115,584 @@ class TemplateParser {
   }
 
   /**
-   * Find all template matches in content
+   * Find all top-level template matches in content
    * @private
    */
-  _findAllMatches(content) {
+  _findAllMatches(content, delimiters) {
+    const tags = this._scanTags(content, delimiters);
+    const pairs = this._pairBlocks(tags);
     const matches = [];
     
-    // Find loops
+    for (let i = 0; i < tags.length; i++) {
+      const tag = tags[i];
+      const pair = pairs.get(i);
+      
+      if (pair) {
+        matches.push(this._createBlockToken(content, tags, pair));
+        i = pair.close;
+      } else if (tag.kind === 'block') {
+        // Unpaired block tags are left in the output as text
+        matches.push({
+          type: 'text',
+          index: tag.index,
+          length: tag.fullMatch.length,
+          content: tag.fullMatch
+        });
+      } else {
+        matches.push(this._createTagToken(tag));
+      }
+    }
+    
+    return matches;
+  }
+
+  /**
+   * Check whether content holds a tag of a given kind
+   * @param {string} content - Content to check
+   * @param {string} kind - Tag kind ('placeholder', 'paragraphPlaceholder',
+   *   'module', 'block' or 'rawXml')
+   * @returns {boolean} - True if a tag of that kind is found with the
+   *   configured delimiters
+   */
+  hasTag(content, kind) {
+    return this._scanTags(content).some(tag => tag.kind === kind);
+  }
+
+  /**
+   * Remove the marks left inside escaped delimiters
+   * @param {string} content - Rendered content
+   * @returns {string} - Content with literal delimiters restored
+   */
+  removeEscapeMarks(content) {
+    return content.includes(ESCAPE_MARK) ? content.split(ESCAPE_MARK).join('') : content;
+  }
+
+  /**
+   * Mark the position of reported tags in a part before it is rendered
+   * @param {string} content - Run-normalized part content
+   * @param {Array} marks - [{ id, index }] with the tag offsets in the content
+   * @returns {string} - Content with an XML comment before each tag
+   */
+  markErrors(content, marks) {
+    return [...marks]
+      .sort((a, b) => b.index - a.index)
+      .reduce((result, mark) => (
+        result.slice(0, mark.index) + `<!--docx-templater-error:${mark.id}-->` + result.slice(mark.index)
+      ), content);
+  }
+
+  /**
+   * Find the error marks left in rendered content
+   * @param {string} content - Rendered content
+   * @returns {Array} - [{ id, index }] in document order
+   */
+  findErrorMarks(content) {
+    return [...content.matchAll(ERROR_MARK_PATTERN)].map(match => ({ id: Number(match[1]), index: match.index }));
+  }
+
+  /**
+   * Remove the error marks left in rendered content
+   * @param {string} content - Rendered content
+   * @returns {string} - Content without error marks
+   */
+  removeErrorMarks(content) {
+    return content.replace(ERROR_MARK_PATTERN, '');
+  }
+
+  /**
+   * Scan content for every template tag
+   *
+   * Tags are scanned in document order so that delimiter switches apply to
+   * everything after them; each tag records the placeholder delimiters in
+   * effect after it.
+   * @private
+   */
+  _scanTags(content, delimiters) {
+    const tags = [];
+    let current = delimiters || this.options.delimiters;
+    let patterns = this._getTagPatterns(current);
     let match;
-    while ((match = this.patterns.loop.exec(content)) !== null) {
-      matches.push({
-        type: 'loop',
+    
+    patterns.tag.lastIndex = 0;
+    
+    while ((match = patterns.tag.exec(content)) !== null) {
+      const groups = match.groups;
+      const tag = {
         index: match.index,
-        length: match[0].length,
-        variable: match[1].trim(),
-        collection: match[2].trim(),
-        content: match[3],
         fullMatch: match[0]
-      });
+      };
+      const value = text => text.replace(patterns.escape, escaped => escaped.slice(1)).trim();
+      
+      if (groups.escape !== undefined) {
+        tag.kind = 'escape';
+        tag.value = groups.escape.replace(/^(&#?\w+;|[\s\S])/, `$1${ESCAPE_MARK}`);
+      } else if (groups.switchStart !== undefined) {
+        tag.kind = 'delimiters';
+        current = { start: this._decodeXml(groups.switchStart), end: this._decodeXml(groups.switchEnd) };
+        
+        const position = patterns.tag.lastIndex;
+        patterns = this._getTagPatterns(current);
+        patterns.tag.lastIndex = position;
+      } else if (groups.paragraphPlaceholder !== undefined) {
+        tag.kind = 'paragraphPlaceholder';
+        tag.value = value(groups.paragraphPlaceholder);
+      } else if (groups.placeholder !== undefined) {
+        tag.kind = 'placeholder';
+        tag.value = value(groups.placeholder);
+      } else if (groups.module !== undefined) {
+        tag.value = value(groups.module);
+        tag.keyword = tag.value.split(/\s+/)[0];
+        tag.kind = this._isBlockKeyword(tag) ? 'block' : 'module';
+      } else {
+        tag.kind = 'rawXml';
+        tag.value = value(groups.rawXml);
+      }
+      
+      tag.delimiters = current;
+      tags.push(tag);
     }
     
-    // Reset regex
-    this.patterns.loop.lastIndex = 0;
+    return tags;
+  }
+
+  /**
+   * Get the tag and escape patterns for a set of placeholder delimiters
+   *
+   * Delimiters are matched in their XML-escaped form (`<<` is `&lt;&lt;`
+   * in a part). Tag bodies never contain markup and may hold escaped
+   * closing delimiters.
+   * @private
+   */
+  _getTagPatterns(delimiters) {
+    this._validateDelimiters(delimiters, 'delimiters');
     
-    // Find conditionals
-    while ((match = this.patterns.conditional.exec(content)) !== null) {
-      matches.push({
-        type: 'conditional',
-        index: match.index,
-        length: match[0].length,
-        condition: match[1].trim(),
-        ifContent: match[2],
-        elseContent: match[3] || '',
-        fullMatch: match[0]
-      });
+    const key = `${delimiters.start}\u0000${delimiters.end}`;
+    let patterns = this.tagPatterns.get(key);
+    
+    if (patterns) {
+      return patterns;
     }
     
-    // Reset regex
-    this.patterns.conditional.lastIndex = 0;
+    const { moduleDelimiters, rawXmlDelimiter } = this.options;
+    const xml = text => this._xmlPattern(text);
     
-    // Find module tags
-    while ((match = this.patterns.moduleTag.exec(content)) !== null) {
-      // Skip if this is part of a loop or conditional (already captured)
-      if (!this._isPartOfLargerConstruct(content, match.index, matches)) {
-        matches.push({
-          type: 'module',
-          index: match.index,
-          length: match[0].length,
-          moduleName: match[1].trim(),
-          data: match[2].trim(),
-          fullMatch: match[0]
-        });
-      }
+    // Tag body up to an unescaped closing delimiter, never crossing markup
+    const body = (end, quantifier) => `(?:\\\\[^<]|(?!${xml(end)})[^<\\\\])${quantifier}`;
+    
+    const all = [delimiters, moduleDelimiters, rawXmlDelimiter]
+      .reduce((list, pair) => list.concat(pair.start, pair.end), [])
+      .sort((a, b) => b.length - a.length)
+      .map(xml)
+      .join('|');
+    
+    // Longer opening delimiters are tried first when they share a prefix
+    const tags = [
+      { name: 'paragraphPlaceholder', start: delimiters.start + '?', end: delimiters.end, quantifier: '+' },
+      { name: 'placeholder', start: delimiters.start, end: delimiters.end, quantifier: '+' },
+      { name: 'module', start: moduleDelimiters.start, end: moduleDelimiters.end, quantifier: '*' },
+      { name: 'rawXml', start: rawXmlDelimiter.start, end: rawXmlDelimiter.end, quantifier: '+' }
+    ].sort((a, b) => b.start.length - a.start.length);
+    
+    const alternatives = [
+      `\\\\(?<escape>${all})`,
+      `${xml(delimiters.start)}=(?<switchStart>[^<\\s=]+)\\s+(?<switchEnd>[^<\\s=]+)=${xml(delimiters.end)}`,
+      ...tags.map(tag => `${xml(tag.start)}(?<${tag.name}>${body(tag.end, tag.quantifier)})${xml(tag.end)}`)
+    ];
+    
+    patterns = {
+      tag: new RegExp(alternatives.join('|'), 'g'),
+      escape: new RegExp(`\\\\(?:${all})`, 'g')
+    };
+    this.tagPatterns.set(key, patterns);
+    
+    return patterns;
+  }
+
+  /**
+   * Build a regular expression source matching text as it appears in XML
+   * @private
+   */
+  _xmlPattern(text) {
+    const entities = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '(?:&gt;|>)',
+      '"': '(?:&quot;|")',
+      "'": "(?:&apos;|')"
+    };
+    
+    return [...text]
+      .map(char => entities[char] || char.replace(/[.*+?^${}()|[\]\\\/-]/g, '\\$&'))
+      .join('');
+  }
+
+  /**
+   * Check that a delimiter pair has non-empty start and end strings
+   * @private
+   */
+  _validateDelimiters(pair, name) {
+    if (!pair || typeof pair.start !== 'string' || typeof pair.end !== 'string' || !pair.start || !pair.end) {
+      throw new Error(`Option ${name} must have non-empty start and end strings`);
+    }
+  }
+
+  /**
+   * Decode XML entities in delimiter text read from a part
+   * @private
+   */
+  _decodeXml(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Check whether a {%...%} tag opens, closes or splits a block
+   * @private
+   */
+  _isBlockKeyword(tag) {
+    const { keyword } = tag;
+    
+    if (keyword === 'loop') {
+      return this.patterns.loop.test(tag.value);
+    }
+    if (keyword === 'group') {
+      return this.patterns.group.test(tag.value) && this._findTopLevel(tag.value, /\s+by\s+/y).length > 0;
+    }
+    if (keyword === 'if') {
+      return this.patterns.conditional.test(tag.value);
+    }
+    if (keyword === 'macro') {
+      return this.patterns.macro.test(tag.value);
     }
     
-    // Reset regex
-    this.patterns.moduleTag.lastIndex = 0;
+    return tag.value === keyword && (
+      keyword === 'else' || Object.values(this.blocks).includes(keyword)
+    );
+  }
+
+  /**
+   * Pair opening and closing block tags using a stack
+   * @private
+   * @returns {Map} - Map of opening tag index to { open, else, close }
+   */
+  _pairBlocks(tags) {
+    const pairs = new Map();
+    const stack = [];
     
-    // Find simple placeholders
-    while ((match = this.patterns.placeholder.exec(content)) !== null) {
-      // Skip if this is part of a larger construct
-      if (!this._isPartOfLargerConstruct(content, match.index, matches)) {
-        matches.push({
-          type: 'placeholder',
-          index: match.index,
-          length: match[0].length,
-          variable: match[1].trim(),
-          fullMatch: match[0]
-        });
+    tags.forEach((tag, i) => {
+      if (tag.kind !== 'block') {
+        return;
+      }
+      
+      if (this.blocks[tag.keyword]) {
+        stack.push({ keyword: tag.keyword, open: i, else: -1 });
+        return;
       }
+      
+      if (tag.keyword === 'else') {
+        const frame = stack[stack.length - 1];
+        if (frame && frame.else === -1 && frame.keyword !== 'macro') {
+          frame.else = i;
+        }
+        return;
+      }
+      
+      // Closing tag: unwind to the nearest matching opening tag
+      const depth = stack.map(frame => this.blocks[frame.keyword]).lastIndexOf(tag.keyword);
+      if (depth === -1) {
+        return;
+      }
+      
+      const frame = stack[depth];
+      stack.length = depth;
+      pairs.set(frame.open, { open: frame.open, else: frame.else, close: i });
+    });
+    
+    return pairs;
+  }
+
+  /**
+   * Create a loop, group, macro or conditional token from a paired block
+   * @private
+   */
+  _createBlockToken(content, tags, pair) {
+    const open = tags[pair.open];
+    const close = tags[pair.close];
+    const elseTag = pair.else !== -1 ? tags[pair.else] : null;
+    const bodyStart = open.index + open.fullMatch.length;
+    const bodyEnd = elseTag ? elseTag.index : close.index;
+    const length = close.index + close.fullMatch.length - open.index;
+    
+    const token = {
+      index: open.index,
+      length,
+      fullMatch: content.substr(open.index, length),
+      openTag: open.fullMatch,
+      closeTag: close.fullMatch,
+      elseContent: elseTag ? content.substring(elseTag.index + elseTag.fullMatch.length, close.index) : '',
+      elseTag: elseTag ? elseTag.fullMatch : null,
+      elseIndex: elseTag ? elseTag.index : -1,
+      delimiters: open.delimiters,
+      elseDelimiters: elseTag ? elseTag.delimiters : open.delimiters
+    };
+    
+    if (open.keyword === 'loop') {
+      const [, variable, header] = open.value.match(this.patterns.loop);
+      
+      return {
+        type: 'loop',
+        variable: variable.trim(),
+        ...this._parseLoopHeader(header),
+        content: content.substring(bodyStart, bodyEnd),
+        ...token
+      };
     }
     
-    // Reset regex
-    this.patterns.placeholder.lastIndex = 0;
+    if (open.keyword === 'group') {
+      const [, variable, header] = open.value.match(this.patterns.group);
+      const separator = this._findTopLevel(header, /\s+by\s+/y).pop();
+      
+      return {
+        type: 'group',
+        variable: variable.trim(),
+        ...this._parseLoopHeader(header.substring(0, separator.index)),
+        key: header.substring(separator.index + separator[0].length).trim(),
+        content: content.substring(bodyStart, bodyEnd),
+        ...token
+      };
+    }
     
-    // Find raw XML tags
-    while ((match = this.patterns.rawXml.exec(content)) !== null) {
-      if (!this._isPartOfLargerConstruct(content, match.index, matches)) {
-        matches.push({
-          type: 'rawXml',
-          index: match.index,
-          length: match[0].length,
-          variable: match[1].trim(),
-          fullMatch: match[0]
-        });
-      }
+    if (open.keyword === 'macro') {
+      const [, name, params] = open.value.match(this.patterns.macro);
+      
+      return {
+        type: 'macro',
+        name,
+        params: params ? params.split(',').map(param => param.trim()) : [],
+        content: content.substring(bodyStart, bodyEnd),
+        ...token
+      };
     }
     
-    // Reset regex
-    this.patterns.rawXml.lastIndex = 0;
+    const [, condition] = open.value.match(this.patterns.conditional);
     
-    // Find paragraph placeholders
-    while ((match = this.patterns.paragraphPlaceholder.exec(content)) !== null) {
-      if (!this._isPartOfLargerConstruct(content, match.index, matches)) {
-        matches.push({
-          type: 'paragraphPlaceholder',
-          index: match.index,
-          length: match[0].length,
-          variable: match[1].trim(),
-          fullMatch: match[0]
-        });
+    return {
+      type: 'conditional',
+      condition: condition.trim(),
+      ifContent: content.substring(bodyStart, bodyEnd),
+      ...token
+    };
+  }
+
+  /**
+   * Split a loop header into its collection and modifiers
+   *
+   * `products where p.active orderby p.price desc, p.name limit 10` gives
+   * { collection, where, orderBy: [{ expression, descending }], limit }.
+   * Keywords inside strings, brackets or parentheses are ignored.
+   * @private
+   */
+  _parseLoopHeader(header) {
+    const clauses = { collection: null, where: null, orderby: null, limit: null };
+    let current = 'collection';
+    let start = 0;
+    
+    for (const match of this._findTopLevel(header, /\s+(where|orderby|limit)\s+/y)) {
+      if (clauses[match[1]] !== null || match[1] === current) {
+        continue;
       }
+      clauses[current] = header.substring(start, match.index).trim();
+      current = match[1];
+      start = match.index + match[0].length;
+    }
+    clauses[current] = header.substring(start).trim();
+    
+    // Sort keys are separated by top-level commas
+    const keys = clauses.orderby ? this._splitArguments(clauses.orderby) : [];
+    
+    return {
+      collection: clauses.collection,
+      where: clauses.where,
+      orderBy: keys.map(key => {
+        const [, expression, direction] = key.trim().match(/^([\s\S]+?)(?:\s+(asc|desc))?$/);
+        return { expression, descending: direction === 'desc' };
+      }),
+      limit: clauses.limit
+    };
+  }
+
+  /**
+   * Split a comma-separated argument list at top-level commas
+   * @private
+   */
+  _splitArguments(source) {
+    if (!source.trim()) {
+      return [];
     }
     
-    // Reset regex
-    this.patterns.paragraphPlaceholder.lastIndex = 0;
+    const args = [];
+    let position = 0;
+    
+    for (const separator of this._findTopLevel(source, /,/y)) {
+      args.push(source.substring(position, separator.index).trim());
+      position = separator.index + 1;
+    }
+    args.push(source.substring(position).trim());
+    
+    return args;
+  }
+
+  /**
+   * Find matches of a sticky pattern outside strings, brackets and parentheses
+   * @private
+   */
+  _findTopLevel(source, pattern) {
+    const matches = [];
+    let depth = 0;
+    let quote = null;
+    
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      
+      if (quote) {
+        if (char === '\\') {
+          i++;
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if ('([{'.includes(char)) {
+        depth++;
+      } else if (')]}'.includes(char)) {
+        depth--;
+      } else if (depth === 0) {
+        pattern.lastIndex = i;
+        const match = pattern.exec(source);
+        
+        if (match) {
+          matches.push(match);
+          i = pattern.lastIndex - 1;
+        }
+      }
+    }
     
     return matches;
   }
 
   /**
-   * Check if a match is part of a larger construct (to avoid double-processing)
+   * Create a token for a non-block tag
    * @private
    */
-  _isPartOfLargerConstruct(content, index, existingMatches) {
-    return existingMatches.some(match => 
-      index >= match.index && index < match.index + match.length
-    );
+  _createTagToken(tag) {
+    const token = {
+      type: tag.kind,
+      index: tag.index,
+      length: tag.fullMatch.length,
+      fullMatch: tag.fullMatch
+    };
+    
+    // Escaped delimiters and delimiter switches render as literal text
+    if (tag.kind === 'escape' || tag.kind === 'delimiters') {
+      token.type = 'literal';
+      token.content = tag.kind === 'escape' ? tag.value : '';
+    } else if (tag.kind === 'module' && this.patterns.set.test(tag.value)) {
+      const [, name, expression] = tag.value.match(this.patterns.set);
+      token.type = 'set';
+      token.name = name;
+      token.expression = expression.trim();
+    } else if (tag.kind === 'module' && this.patterns.call.test(tag.value)) {
+      const [, name, args] = tag.value.match(this.patterns.call);
+      token.type = 'call';
+      token.name = name;
+      token.args = this._splitArguments(args);
+    } else if (tag.kind === 'module') {
+      const [, moduleName, data = ''] = tag.value.match(this.patterns.moduleTag) || [null, tag.keyword, ''];
+      token.moduleName = moduleName;
+      token.data = data.trim();
+    } else {
+      token.variable = tag.value;
+    }
+    
+    return token;
   }
 
   /**
    * Validate template syntax
+   *
+   * Unmatched block tags and opening delimiters that never form a tag are
+   * reported once per kind, pointing at the first offending tag.
    * @param {string} content - Template content to validate
-   * @returns {Array} - Array of validation errors
+   * @returns {Array<TemplateSyntaxError>} - Validation errors (`type: 'syntax'`)
    */
   validate(content) {
     const errors = [];
+    const tags = this._scanTags(content);
+    const paired = new Set();
     
-    // Check for unmatched loop tags
-    const loopStarts = (content.match(/\{%\s*loop\s+/g) || []).length;
-    const loopEnds = (content.match(/\{%\s*endloop\s*%\}/g) || []).length;
+    for (const pair of this._pairBlocks(tags).values()) {
+      paired.add(pair.open).add(pair.close);
+    }
     
-    if (loopStarts !== loopEnds) {
-      errors.push({
-        type: 'syntax',
-        message: `Unmatched loop tags: ${loopStarts} starts, ${loopEnds} ends`
-      });
+    const blockTags = keyword => tags
+      .map((tag, i) => ({ tag, paired: paired.has(i) }))
+      .filter(({ tag }) => tag.kind === 'block' && tag.keyword === keyword);
+    
+    const constructs = [['loop', 'loop'], ['group', 'group'], ['macro', 'macro'], ['if', 'conditional']];
+    
+    for (const [keyword, label] of constructs) {
+      const starts = blockTags(keyword);
+      const ends = blockTags(this.blocks[keyword]);
+      const unmatched = [...starts, ...ends].filter(entry => !entry.paired).sort((a, b) => a.tag.index - b.tag.index);
+      
+      if (unmatched.length > 0) {
+        errors.push(new TemplateSyntaxError(`Unmatched ${label} tags: ${starts.length} starts, ${ends.length} ends`, {
+          code: 'UNMATCHED_TAG',
+          type: 'syntax',
+          tag: unmatched[0].tag.fullMatch,
+          index: unmatched[0].tag.index
+        }));
+      }
     }
     
-    // Check for unmatched conditional tags
-    const ifStarts = (content.match(/\{%\s*if\s+/g) || []).length;
-    const ifEnds = (content.match(/\{%\s*endif\s*%\}/g) || []).length;
+    // Check for opening delimiters that never form a tag, with the
+    // placeholder delimiters in effect where the text is
+    const { moduleDelimiters, rawXmlDelimiter } = this.options;
+    const openingPattern = delimiters => new RegExp([delimiters, moduleDelimiters, rawXmlDelimiter]
+      .map(pair => this._xmlPattern(pair.start))
+      .join('|'), 'g');
+    const malformedPlaceholders = [];
+    let delimiters = this.options.delimiters;
+    let opening = openingPattern(delimiters);
+    let position = 0;
     
-    if (ifStarts !== ifEnds) {
-      errors.push({
-        type: 'syntax',
-        message: `Unmatched conditional tags: ${ifStarts} starts, ${ifEnds} ends`
-      });
+    for (const tag of [...tags, { index: content.length, fullMatch: '' }]) {
+      let match;
+      opening.lastIndex = 0;
+      const text = content.substring(position, tag.index);
+      
+      while ((match = opening.exec(text)) !== null) {
+        malformedPlaceholders.push({ text: match[0], index: position + match.index });
+      }
+      position = tag.index + tag.fullMatch.length;
+      
+      if (tag.delimiters && tag.delimiters !== delimiters) {
+        delimiters = tag.delimiters;
+        opening = openingPattern(delimiters);
+      }
     }
     
-    // Check for malformed placeholders
-    const malformedPlaceholders = content.match(/\{[^{%@]|[^}%@]\}/g);
-    if (malformedPlaceholders) {
-      errors.push({
+    if (malformedPlaceholders.length > 0) {
+      errors.push(new TemplateSyntaxError(`Malformed placeholders found: ${malformedPlaceholders.map(placeholder => placeholder.text).join(', ')}`, {
+        code: 'MALFORMED_TAG',
         type: 'syntax',
-        message: `Malformed placeholders found: ${malformedPlaceholders.join(', ')}`
-      });
+        tag: malformedPlaceholders[0].text,
+        index: malformedPlaceholders[0].index
+      }));
     }
     
     return errors;
@@ -1,8 +1,14 @@
+const TemplateParser = require('../core/TemplateParser');
+
 /**
  * Error Location Module - Adds comments to document at error locations for debugging
+ *
+ * Errors reported before rendering (such as context validation with
+ * `render({ schema })`) are commented where their tag was rendered.
  */
 class ErrorLocationModule {
   constructor() {
+    this.templateParser = new TemplateParser();
     this.name = 'errorLocation';
     this.priority = 10; // High priority to catch errors early
     this.supportedTypes = ['docx'];
@@ -24,6 +30,7 @@ class ErrorLocationModule {
     processedContent = this._checkForMalformedTags(processedContent, context);
     processedContent = this._checkForMissingData(processedContent, context);
     processedContent = this._checkForUnmatchedTags(processedContent, context);
+    processedContent = this._checkForReportedErrors(processedContent, context);
     
     // Add comments to document if errors found
     if (this.errors.length > 0) {
@@ -160,6 +167,34 @@ class ErrorLocationModule {
       });
     }
     
+    // Check group tags
+    const groupStarts = this._findMatches(content, /\{%\s*group\s+/g);
+    const groupEnds = this._findMatches(content, /\{%\s*endgroup\s*%\}/g);
+    
+    if (groupStarts.length !== groupEnds.length) {
+      this._addError({
+        type: 'unmatched_tags',
+        message: `Unmatched group tags: ${groupStarts.length} starts, ${groupEnds.length} ends`,
+        position: groupStarts.length > groupEnds.length ? 
+          groupStarts[groupEnds.length]?.index || 0 : 
+          (groupEnds[groupStarts.length]?.index || 0)
+      });
+    }
+    
+    // Check macro tags
+    const macroStarts = this._findMatches(content, /\{%\s*macro\s+/g);
+    const macroEnds = this._findMatches(content, /\{%\s*endmacro\s*%\}/g);
+    
+    if (macroStarts.length !== macroEnds.length) {
+      this._addError({
+        type: 'unmatched_tags',
+        message: `Unmatched macro tags: ${macroStarts.length} starts, ${macroEnds.length} ends`,
+        position: macroStarts.length > macroEnds.length ? 
+          macroStarts[macroEnds.length]?.index || 0 : 
+          (macroEnds[macroStarts.length]?.index || 0)
+      });
+    }
+    
     // Check conditional tags
     const ifStarts = this._findMatches(content, /\{%\s*if\s+/g);
     const ifEnds = this._findMatches(content, /\{%\s*endif\s*%\}/g);
@@ -177,6 +212,43 @@ class ErrorLocationModule {
     return content;
   }
 
+  /**
+   * Add the errors reported for this part before rendering
+   *
+   * Each reported tag is marked before the part is rendered; tags that were
+   * not rendered (e.g. a loop over missing data) are reported at the first
+   * paragraph.
+   * @private
+   */
+  _checkForReportedErrors(content, context) {
+    const reported = context.errors || [];
+    const found = new Set();
+    const add = (error, position) => this._addError({
+      type: error.type || (error.code || 'error').toLowerCase(),
+      message: error.message,
+      position,
+      text: error.tag,
+      variable: error.path
+    });
+    
+    for (const mark of this.templateParser.findErrorMarks(content)) {
+      if (reported[mark.id] && !found.has(mark.id)) {
+        found.add(mark.id);
+        add(reported[mark.id], mark.index);
+      }
+    }
+    
+    const firstParagraph = content.indexOf('<w:p>');
+    
+    reported.forEach((error, id) => {
+      if (!found.has(id) && error.part && error.part === context.part && firstParagraph !== -1) {
+        add(error, firstParagraph + '<w:p>'.length);
+      }
+    });
+    
+    return content;
+  }
+
   /**
    * Add error comments to the document
    * @private
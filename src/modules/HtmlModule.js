@@ -1,3 +1,5 @@
+const BidiProcessor = require('../parsers/BidiProcessor');
+
 /**
  * HTML Module - Allows embedding HTML content in DOCX documents
  */
@@ -6,6 +8,7 @@ class HtmlModule {
     this.name = 'html';
     this.priority = 50;
     this.supportedTypes = ['docx'];
+    this.bidiProcessor = new BidiProcessor();
   }
 
   /**
@@ -23,9 +26,10 @@ class HtmlModule {
     while ((match = htmlPattern.exec(content)) !== null) {
       const variableName = match[1].trim();
       const htmlContent = this._getHtmlContent(variableName, context.context);
+      const rtl = context.options ? context.options.rtl : undefined;
       
       if (htmlContent) {
-        const wordMl = this._convertHtmlToWordMl(htmlContent);
+        const wordMl = this._convertHtmlToWordMl(htmlContent, rtl);
         processedContent = processedContent.replace(match[0], wordMl);
       } else {
         processedContent = processedContent.replace(match[0], '');
@@ -71,14 +75,14 @@ class HtmlModule {
    * Convert HTML to WordML (Word Markup Language)
    * @private
    */
-  _convertHtmlToWordMl(html) {
+  _convertHtmlToWordMl(html, rtl) {
     let wordMl = '';
     
     // Parse HTML and convert to WordML
     const htmlContent = this._parseHtml(html);
     
     for (const element of htmlContent) {
-      wordMl += this._convertElementToWordMl(element);
+      wordMl += this._convertElementToWordMl(element, rtl);
     }
     
     return wordMl;
@@ -156,15 +160,15 @@ class HtmlModule {
    * Convert a parsed element to WordML
    * @private
    */
-  _convertElementToWordMl(element) {
+  _convertElementToWordMl(element, rtl) {
     switch (element.type) {
       case 'text':
-        return this._createTextRun(element.content, element.styles);
+        return this._createTextRun(element.content, element.styles, rtl);
       
       case 'block':
         switch (element.tagName) {
           case 'p':
-            return this._createParagraph(element);
+            return this._createParagraph(element, rtl);
           case 'table':
             return this._createTable(element);
           case 'ul':
@@ -181,9 +185,12 @@ class HtmlModule {
 
   /**
    * Create a WordML text run
+   *
+   * A `dir` attribute or `direction` style wins over the render's `rtl`
+   * option; otherwise the direction is detected from the text.
    * @private
    */
-  _createTextRun(text, styles) {
+  _createTextRun(text, styles, rtl) {
     let runProperties = '';
     
     if (styles.bold) {
@@ -206,6 +213,9 @@ class HtmlModule {
       runProperties += `<w:sz w:val="${styles.fontSize * 2}"/>`;
     }
     
+    const direction = styles.rtl !== undefined ? styles.rtl : rtl;
+    runProperties = this.bidiProcessor.runProperties(runProperties, this.bidiProcessor.resolveRtl(text, direction));
+    
     const rPr = runProperties ? `<w:rPr>${runProperties}</w:rPr>` : '';
     const escapedText = this._escapeXml(text);
     
@@ -216,8 +226,9 @@ class HtmlModule {
    * Create a WordML paragraph
    * @private
    */
-  _createParagraph(element) {
-    return `<w:p><w:pPr></w:pPr></w:p>`;
+  _createParagraph(element, rtl) {
+    const direction = element.styles.rtl !== undefined ? element.styles.rtl : rtl;
+    return `<w:p><w:pPr>${this.bidiProcessor.paragraphProperties('', direction === true)}</w:pPr></w:p>`;
   }
 
   /**
@@ -263,10 +274,15 @@ class HtmlModule {
       italic: false,
       underline: false,
       color: null,
-      fontSize: null
+      fontSize: null,
+      rtl: undefined
     };
     
     for (const tag of tagStack) {
+      if (tag.attributes.dir === 'rtl' || tag.attributes.dir === 'ltr') {
+        styles.rtl = tag.attributes.dir === 'rtl';
+      }
+      
       switch (tag.name) {
         case 'b':
         case 'strong':
@@ -327,6 +343,11 @@ class HtmlModule {
             styles.underline = true;
           }
           break;
+        case 'direction':
+          if (value === 'rtl' || value === 'ltr') {
+            styles.rtl = value === 'rtl';
+          }
+          break;
       }
     }
   }
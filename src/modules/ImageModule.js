@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const SheetPictures = require('../parsers/SheetPictures');
 
 /**
  * Image Module - Allows dynamic insertion and replacement of images
@@ -8,8 +9,10 @@ class ImageModule {
   constructor() {
     this.name = 'image';
     this.priority = 60;
-    this.supportedTypes = ['docx', 'pptx'];
+    this.supportedTypes = ['docx', 'pptx', 'xlsx'];
     this.imageCounter = 1;
+    this.sheetPictures = new SheetPictures();
+    this.pictures = new Map();
   }
 
   /**
@@ -36,9 +39,27 @@ class ImageModule {
       }
     }
 
+    if (context.documentType === 'xlsx') {
+      processedContent = this.sheetPictures.markCells(processedContent);
+    }
+
     return processedContent;
   }
 
+  /**
+   * Anchor the images placed in worksheet cells (see SheetPictures)
+   * @param {Object} context - Finishing context
+   */
+  async finish(context) {
+    if (context.documentType !== 'xlsx' || this.pictures.size === 0) {
+      return;
+    }
+    
+    const pictures = this.pictures;
+    this.pictures = new Map();
+    await this.sheetPictures.anchor(context.zip, context.references.sheets, pictures);
+  }
+
   /**
    * Check if content has image tags to process
    * @param {string} content - Content to check
@@ -81,38 +102,64 @@ class ImageModule {
   }
 
   /**
-   * Create image XML for insertion
+   * Create image XML for insertion; an image that cannot be read throws, for
+   * ModuleManager to report
    * @private
    */
   async _createImageXml(imageData, context) {
     const { src, width, height, alt = '' } = imageData;
     
-    try {
-      // Get image buffer
-      const imageBuffer = await this._getImageBuffer(src);
-      const imageExtension = this._getImageExtension(src);
-      const imageName = `image${this.imageCounter}.${imageExtension}`;
-      const relationshipId = `rId${1000 + this.imageCounter}`;
-      
-      // Add image to document
-      await this._addImageToDocument(context.zip, imageName, imageBuffer, relationshipId);
-      
-      // Calculate dimensions
-      const dimensions = this._calculateDimensions(width, height, imageBuffer);
-      
-      // Create image XML based on document type
-      if (context.documentType === 'docx') {
-        return this._createDocxImageXml(relationshipId, dimensions, alt);
-      } else if (context.documentType === 'pptx') {
-        return this._createPptxImageXml(relationshipId, dimensions, alt);
-      }
-      
-      this.imageCounter++;
-      return '';
-    } catch (error) {
-      console.warn(`Failed to process image: ${error.message}`);
-      return '';
+    // Get image buffer
+    const imageBuffer = await this._getImageBuffer(src);
+    const imageExtension = this._getImageExtension(src);
+    
+    // Calculate dimensions
+    const dimensions = this._calculateDimensions(width, height, imageBuffer);
+    
+    // Workbooks get the image in a drawing once their sheets are finished
+    if (context.documentType === 'xlsx') {
+      return this._placeSheetImage(imageBuffer, imageExtension, dimensions, alt);
     }
+    
+    const imageName = `image${this.imageCounter}.${imageExtension}`;
+    const relationshipId = `rId${1000 + this.imageCounter}`;
+    
+    // Add image to document
+    await this._addImageToDocument(context.zip, imageName, imageBuffer, relationshipId);
+    
+    // Create image XML based on document type
+    let xml = '';
+    if (context.documentType === 'docx') {
+      xml = this._createDocxImageXml(relationshipId, dimensions, alt);
+    } else if (context.documentType === 'pptx') {
+      xml = this._createPptxImageXml(relationshipId, dimensions, alt);
+    }
+    
+    // Every drawing needs its own media file, relationship and id
+    this.imageCounter++;
+    return xml;
+  }
+
+  /**
+   * Keep an image for the cell holding its tag
+   * @private
+   * @returns {string} - Placeholder marking the cell
+   */
+  _placeSheetImage(imageBuffer, extension, dimensions, alt) {
+    const id = `image${this.imageCounter}`;
+    
+    this.pictures.set(id, {
+      data: imageBuffer,
+      extension,
+      contentType: this._getImageContentType(extension),
+      ...dimensions,
+      media: 'image',
+      name: `Picture ${this.imageCounter}`,
+      descr: alt
+    });
+    
+    this.imageCounter++;
+    return this.sheetPictures.placeholder(id);
   }
 
   /**
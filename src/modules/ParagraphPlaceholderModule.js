@@ -1,19 +1,80 @@
+const ContextProcessor = require('../core/ContextProcessor');
+
 /**
- * Placeholder module implementation
+ * Paragraph Placeholder Module - Renders {{?optional}} tags left in content
+ *
+ * The core renders paragraph placeholders found in the template. This module
+ * handles the ones introduced later by other modules (HTML, subtemplates):
+ * the containing paragraph is removed when the value is empty and cloned once
+ * per element when the value is an array. Tags are found and rendered with
+ * the templater's processor, so its delimiters, filters and options apply.
  */
 class ParagraphPlaceholderModule {
   constructor() {
     this.name = 'paragraphplaceholdermodule';
     this.priority = 100;
-    this.supportedTypes = ['docx', 'pptx', 'xlsx'];
+    this.supportedTypes = ['docx', 'pptx'];
+    this.contextProcessor = new ContextProcessor();
+    
+    // Processors for modules used without a templater, by options object
+    this.processors = new WeakMap();
   }
 
+  /**
+   * Process content and render paragraph placeholders
+   * @param {string} content - Content to process
+   * @param {Object} context - Processing context
+   * @returns {Promise<string>} - Processed content
+   */
   async process(content, context) {
-    return content;
+    const contextProcessor = this._getProcessor(context).withOptions();
+    const parsed = contextProcessor.templateParser.parse(content);
+    
+    // Only paragraph placeholders are rendered; other tags are kept verbatim
+    parsed.tokens = parsed.tokens.map(token => (
+      token.type === 'text' || token.type === 'paragraphPlaceholder' ?
+        token :
+        { type: 'text', content: token.fullMatch, index: token.index }
+    ));
+    
+    const processed = await contextProcessor.process(parsed, context.context || {});
+    
+    if (context.errors) {
+      context.errors.push(...contextProcessor.errors);
+    }
+    
+    return processed;
+  }
+
+  /**
+   * Check if content has paragraph placeholders to process
+   * @param {string} content - Content to check
+   * @param {Object} [context] - Processing context
+   * @returns {boolean} - True if has paragraph placeholders
+   */
+  hasTagsToProcess(content, context = {}) {
+    return this._getProcessor(context).templateParser.hasTag(content, 'paragraphPlaceholder');
   }
 
-  hasTagsToProcess(content) {
-    return false;
+  /**
+   * Get the processor for a processing context: the templater's one, or one
+   * built from the context options
+   * @private
+   */
+  _getProcessor(context) {
+    if (context.contextProcessor) {
+      return context.contextProcessor;
+    }
+    
+    if (!context.options) {
+      return this.contextProcessor;
+    }
+    
+    if (!this.processors.has(context.options)) {
+      this.processors.set(context.options, new ContextProcessor(context.options));
+    }
+    
+    return this.processors.get(context.options);
   }
 }
 
@@ -1,4 +1,5 @@
 const QRCode = require('qrcode');
+const SheetPictures = require('../parsers/SheetPictures');
 
 /**
  * QR Code Module - Generates QR codes and inserts them as images
@@ -7,8 +8,10 @@ class QrCodeModule {
   constructor() {
     this.name = 'qrcode';
     this.priority = 70;
-    this.supportedTypes = ['docx', 'pptx'];
+    this.supportedTypes = ['docx', 'pptx', 'xlsx'];
     this.qrCounter = 1;
+    this.sheetPictures = new SheetPictures();
+    this.pictures = new Map();
   }
 
   /**
@@ -35,9 +38,27 @@ class QrCodeModule {
       }
     }
 
+    if (context.documentType === 'xlsx') {
+      processedContent = this.sheetPictures.markCells(processedContent);
+    }
+
     return processedContent;
   }
 
+  /**
+   * Anchor the QR codes placed in worksheet cells (see SheetPictures)
+   * @param {Object} context - Finishing context
+   */
+  async finish(context) {
+    if (context.documentType !== 'xlsx' || this.pictures.size === 0) {
+      return;
+    }
+    
+    const pictures = this.pictures;
+    this.pictures = new Map();
+    await this.sheetPictures.anchor(context.zip, context.references.sheets, pictures);
+  }
+
   /**
    * Check if content has QR code tags to process
    * @param {string} content - Content to check
@@ -80,7 +101,8 @@ class QrCodeModule {
   }
 
   /**
-   * Create QR code XML for insertion
+   * Create QR code XML for insertion; a QR code that cannot be generated
+   * throws, for ModuleManager to report
    * @private
    */
   async _createQrCodeXml(qrData, context) {
@@ -92,38 +114,51 @@ class QrCodeModule {
       color = { dark: '#000000', light: '#FFFFFF' }
     } = qrData;
     
-    try {
-      // Generate QR code as PNG buffer
-      const qrBuffer = await QRCode.toBuffer(text, {
-        type: 'png',
-        width: size,
-        margin: margin,
-        color: color,
-        errorCorrectionLevel: errorCorrectionLevel
+    // Generate QR code as PNG buffer
+    const qrBuffer = await QRCode.toBuffer(text, {
+      type: 'png',
+      width: size,
+      margin: margin,
+      color: color,
+      errorCorrectionLevel: errorCorrectionLevel
+    });
+    
+    // Calculate dimensions
+    const dimensions = this._calculateDimensions(size, size);
+    
+    // Workbooks get the QR code in a drawing once their sheets are finished
+    if (context.documentType === 'xlsx') {
+      const id = `qrcode${this.qrCounter}`;
+      this.pictures.set(id, {
+        data: qrBuffer,
+        extension: 'png',
+        contentType: 'image/png',
+        ...dimensions,
+        media: 'qrcode',
+        name: `QR Code ${this.qrCounter}`,
+        descr: `QR Code: ${text}`
       });
-      
-      const imageName = `qrcode${this.qrCounter}.png`;
-      const relationshipId = `rId${2000 + this.qrCounter}`;
-      
-      // Add QR code image to document
-      await this._addQrCodeToDocument(context.zip, imageName, qrBuffer, relationshipId);
-      
-      // Calculate dimensions
-      const dimensions = this._calculateDimensions(size, size);
-      
-      // Create image XML based on document type
-      if (context.documentType === 'docx') {
-        return this._createDocxQrCodeXml(relationshipId, dimensions, text);
-      } else if (context.documentType === 'pptx') {
-        return this._createPptxQrCodeXml(relationshipId, dimensions, text);
-      }
-      
       this.qrCounter++;
-      return '';
-    } catch (error) {
-      console.warn(`Failed to generate QR code: ${error.message}`);
-      return '';
+      return this.sheetPictures.placeholder(id);
     }
+    
+    const imageName = `qrcode${this.qrCounter}.png`;
+    const relationshipId = `rId${2000 + this.qrCounter}`;
+    
+    // Add QR code image to document
+    await this._addQrCodeToDocument(context.zip, imageName, qrBuffer, relationshipId);
+    
+    // Create image XML based on document type
+    let xml = '';
+    if (context.documentType === 'docx') {
+      xml = this._createDocxQrCodeXml(relationshipId, dimensions, text);
+    } else if (context.documentType === 'pptx') {
+      xml = this._createPptxQrCodeXml(relationshipId, dimensions, text);
+    }
+    
+    // Every drawing needs its own media file, relationship and id
+    this.qrCounter++;
+    return xml;
   }
 
   /**
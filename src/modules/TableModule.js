@@ -1,3 +1,5 @@
+const BidiProcessor = require('../parsers/BidiProcessor');
+
 /**
  * Table Module - Creates dynamic tables from structured data
  */
@@ -6,6 +8,7 @@ class TableModule {
     this.name = 'table';
     this.priority = 80;
     this.supportedTypes = ['docx'];
+    this.bidiProcessor = new BidiProcessor();
   }
 
   /**
@@ -23,9 +26,10 @@ class TableModule {
     while ((match = tablePattern.exec(content)) !== null) {
       const variableName = match[1].trim();
       const tableData = this._getTableData(variableName, context.context);
+      const rtl = context.options ? context.options.rtl : undefined;
       
       if (tableData) {
-        const tableXml = this._createTableXml(tableData);
+        const tableXml = this._createTableXml(tableData, rtl);
         processedContent = processedContent.replace(match[0], tableXml);
       } else {
         processedContent = processedContent.replace(match[0], '');
@@ -101,9 +105,13 @@ class TableModule {
 
   /**
    * Create table XML
+   *
+   * The table's `rtl` flag (or the render's `rtl` option) sets the
+   * direction; when neither is given it is detected from the first cell
+   * with text, and each cell's own text decides its run direction.
    * @private
    */
-  _createTableXml(tableData) {
+  _createTableXml(tableData, rtl) {
     const {
       headers = [],
       rows = [],
@@ -113,10 +121,13 @@ class TableModule {
       width = 'auto'
     } = tableData;
     
+    const direction = tableData.rtl !== undefined ? tableData.rtl : rtl;
+    const tableRtl = this.bidiProcessor.resolveRtl(this._getFirstText(headers, rows), direction);
+    
     let tableXml = '<w:tbl>';
     
     // Table properties
-    tableXml += this._createTableProperties(style, width);
+    tableXml += this._createTableProperties(style, width, tableRtl);
     
     // Table grid (column definitions)
     const columnCount = this._getColumnCount(headers, rows);
@@ -124,22 +135,22 @@ class TableModule {
     
     // Headers
     if (headers.length > 0) {
-      tableXml += this._createHeaderRow(headers, style.header);
+      tableXml += this._createHeaderRow(headers, { rtl: direction, ...style.header });
     }
     
     // Subheaders
     if (subheaders.length > 0) {
-      tableXml += this._createSubheaderRow(subheaders, style.subheader);
+      tableXml += this._createSubheaderRow(subheaders, { rtl: direction, ...style.subheader });
     }
     
     // Data rows
     for (const row of rows) {
-      tableXml += this._createDataRow(row, style.row);
+      tableXml += this._createDataRow(row, { rtl: direction, ...style.row });
     }
     
     // Footers
     if (footers.length > 0) {
-      tableXml += this._createFooterRow(footers, style.footer);
+      tableXml += this._createFooterRow(footers, { rtl: direction, ...style.footer });
     }
     
     tableXml += '</w:tbl>';
@@ -151,9 +162,14 @@ class TableModule {
    * Create table properties
    * @private
    */
-  _createTableProperties(style, width) {
+  _createTableProperties(style, width, rtl) {
     let tblPr = '<w:tblPr>';
     
+    // Right-to-left tables lay out their columns from the right
+    if (rtl) {
+      tblPr += '<w:bidiVisual/>';
+    }
+    
     // Table width
     if (width === 'auto') {
       tblPr += '<w:tblW w:w="0" w:type="auto"/>';
@@ -258,6 +274,25 @@ class TableModule {
     return maxColumns || 1;
   }
 
+  /**
+   * Get the first non-empty cell text, used to detect the table direction
+   * @private
+   */
+  _getFirstText(headers, rows) {
+    const cells = [...headers];
+    
+    for (const row of rows) {
+      if (Array.isArray(row)) {
+        cells.push(...row);
+      } else if (row && typeof row === 'object') {
+        cells.push(...Object.values(row));
+      }
+    }
+    
+    const first = cells.find(cell => cell !== null && cell !== undefined && String(cell).trim() !== '');
+    return first === undefined ? '' : String(first);
+  }
+
   /**
    * Create header row
    * @private
@@ -348,6 +383,8 @@ class TableModule {
    * @private
    */
   _createCell(content, cellStyle = {}) {
+    const text = String(content || '');
+    const rtl = this.bidiProcessor.resolveRtl(text, cellStyle.rtl);
     let tc = '<w:tc>';
     
     // Cell properties
@@ -355,10 +392,10 @@ class TableModule {
     
     // Cell content
     tc += '<w:p>';
-    tc += this._createParagraphProperties(cellStyle);
+    tc += this._createParagraphProperties(cellStyle, rtl);
     tc += '<w:r>';
-    tc += this._createRunProperties(cellStyle);
-    tc += `<w:t>${this._escapeXml(String(content || ''))}</w:t>`;
+    tc += this._createRunProperties(cellStyle, rtl);
+    tc += `<w:t>${this._escapeXml(text)}</w:t>`;
     tc += '</w:r>';
     tc += '</w:p>';
     
@@ -398,49 +435,45 @@ class TableModule {
    * Create paragraph properties
    * @private
    */
-  _createParagraphProperties(style) {
-    let pPr = '<w:pPr>';
+  _createParagraphProperties(style, rtl) {
+    let properties = '';
     
     // Text alignment
     if (style.alignment) {
-      pPr += `<w:jc w:val="${style.alignment}"/>`;
+      properties += `<w:jc w:val="${style.alignment}"/>`;
     }
     
-    pPr += '</w:pPr>';
-    
-    return pPr;
+    return `<w:pPr>${this.bidiProcessor.paragraphProperties(properties, rtl)}</w:pPr>`;
   }
 
   /**
    * Create run properties
    * @private
    */
-  _createRunProperties(style) {
-    let rPr = '<w:rPr>';
+  _createRunProperties(style, rtl) {
+    let properties = '';
     
     if (style.bold) {
-      rPr += '<w:b/>';
+      properties += '<w:b/>';
     }
     
     if (style.italic) {
-      rPr += '<w:i/>';
+      properties += '<w:i/>';
     }
     
     if (style.underline) {
-      rPr += '<w:u w:val="single"/>';
+      properties += '<w:u w:val="single"/>';
     }
     
     if (style.color) {
-      rPr += `<w:color w:val="${style.color}"/>`;
+      properties += `<w:color w:val="${style.color}"/>`;
     }
     
     if (style.fontSize) {
-      rPr += `<w:sz w:val="${style.fontSize * 2}"/>`;
+      properties += `<w:sz w:val="${style.fontSize * 2}"/>`;
     }
     
-    rPr += '</w:rPr>';
-    
-    return rPr;
+    return `<w:rPr>${this.bidiProcessor.runProperties(properties, rtl)}</w:rPr>`;
   }
 
   /**
@@ -1,23 +1,604 @@
+const PartLocator = require('../parsers/PartLocator');
+const SheetReferences = require('../parsers/SheetReferences');
+
+// Formulas a table column can hold
+const COLUMN_FORMULAS = ['calculatedColumnFormula', 'totalsRowFormula'];
+
+// Block delimiters used when the render options do not set them
+const MODULE_DELIMITERS = { start: '{%', end: '%}' };
+
+// Row attribute listing the columns of its column loops, set by prepare()
+// and removed once the copies are laid out
+const LOOP_COLUMNS = '_loopColumns';
+
+// Cells and rows of a worksheet
+const CELL_PATTERN = /<c(?=[\s>/])([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+const ROW_PATTERN = /<row(?=[\s>/])([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+
+// Last column of a worksheet (XFD)
+const MAX_COLUMN = 16384;
+
 /**
- * XLSX Module - Extends templating capabilities to Excel spreadsheets
+ * XLSX Module - Column loops, and tables kept consistent with the rendered data
+ *
+ * Cells, row loops and references are templated without this module (see
+ * SpreadsheetProcessor). The module adds column loops: a loop filling a
+ * whole cell, such as `{%loop m in months%}{{m}}{%endloop%}`, repeats the
+ * cell across columns. Cells to its right move over, `<col>` widths and
+ * styles cover every copy, and formulas, merged cells and other ranges
+ * follow the columns as they follow rows; row loops around it give a grid.
+ *
+ * Once a workbook is rendered, the module also updates the tables
+ * (ListObjects, `xl/tables/tableN.xml`) of every templated sheet, whose rows
+ * SpreadsheetProcessor has already fitted:
+ *
+ * - the table `ref` and autoFilter follow the columns loops added or
+ *   removed;
+ * - table column names follow the rendered header cells, and structured
+ *   references such as `Sales[Amount]` are renamed with them;
+ * - columns added by a column loop get table columns of their own, copied
+ *   from the looped column;
+ * - A1 references in totals row and calculated column formulas are updated.
  */
 class XlsxModule {
   constructor() {
     this.name = 'xlsx';
     this.priority = 90;
     this.supportedTypes = ['xlsx'];
+    this.partLocator = new PartLocator();
+    this.columnReferences = new SheetReferences('column');
   }
 
-  async process(content, context) {
-    // Placeholder implementation for XLSX processing
-    // In a full implementation, this would handle Excel-specific templating
+  /**
+   * Sheets need nothing from this module while they are rendered
+   * @param {string} content - Content to process
+   * @returns {Promise<string>} - The content unchanged
+   */
+  async process(content) {
     return content;
   }
 
   hasTagsToProcess(content) {
     return /\{%\s*xlsx\s+[^%]+\s*%\}/.test(content);
   }
+
+  /**
+   * Turn loops filling a whole cell into column loops
+   *
+   * The loop tags move around the cell, so that the loop repeats the cell
+   * itself, and the cell's row lists its column for finish().
+   * @param {string} content - Template content of a part
+   * @param {Object} context - Processing context (see ModuleManager#prepare)
+   * @returns {Promise<string>} - Prepared content
+   */
+  async prepare(content, context = {}) {
+    const delimiters = (context.options && context.options.moduleDelimiters) || MODULE_DELIMITERS;
+    const start = this._escapeXml(delimiters.start);
+    
+    if (!content.includes(start)) {
+      return content;
+    }
+    
+    const end = this._escapeXml(delimiters.end);
+    const tagPattern = new RegExp(`${this._escapeRegex(start)}\\s*(loop\\s[\\s\\S]*?|endloop)\\s*${this._escapeRegex(end)}`, 'g');
+    
+    return content.replace(ROW_PATTERN, (row, attributes, body) => {
+      const columns = [];
+      const cells = body === undefined ? body : body.replace(CELL_PATTERN, (cell, cellAttributes, cellBody = '') => {
+        const ref = (this.columnReferences.getAttribute(cellAttributes, 'r') || '').match(/^[A-Z]+/);
+        const loop = ref ? this._findColumnLoop(cellBody, tagPattern) : null;
+        
+        if (!loop) {
+          return cell;
+        }
+        
+        columns.push(ref[0]);
+        return `${loop.open}<c${cellAttributes}>${loop.body}</c>${loop.close}`;
+      });
+      
+      return columns.length > 0 ? `<row${this.columnReferences.setAttribute(attributes, LOOP_COLUMNS, columns.join(' '))}>${cells}</row>` : row;
+    });
+  }
+
+  /**
+   * Update the columns and tables of the rendered sheets
+   * @param {Object} context - Finishing context: { zip, references }, see
+   *   ModuleManager#finish
+   */
+  async finish(context) {
+    const { zip, references } = context;
+    
+    if (!references) {
+      return;
+    }
+    
+    const workbook = await this.partLocator.locateWorkbook(zip);
+    const layouts = new Map();
+    
+    for (const sheet of references.sheets) {
+      const layout = this._layoutColumns(await zip.file(sheet).async('text'));
+      if (layout) {
+        layouts.set(sheet, layout);
+      }
+    }
+    
+    // References to a sheet, by sheet name or from the sheet itself
+    const partsByName = new Map(workbook.sheets.map(sheet => [sheet.name, sheet.part]));
+    const resolveFrom = part => sheetName => {
+      const target = sheetName === null ? part : partsByName.get(sheetName);
+      return layouts.has(target) ? { part: target, layout: layouts.get(target) } : null;
+    };
+    
+    if (layouts.size > 0) {
+      await this._spreadColumns(zip, workbook, references.sheets, layouts, resolveFrom);
+    }
+    
+    const strings = workbook.sharedStrings ? this._readSharedStrings(await zip.file(workbook.sharedStrings).async('text')) : [];
+    const tables = [];
+    const renames = new Map();
+    
+    for (const sheet of references.sheets) {
+      const content = await zip.file(sheet).async('text');
+      const columns = { part: sheet, layout: layouts.get(sheet) || null, resolve: resolveFrom(sheet) };
+      
+      for (const name of references.tables.get(sheet) || []) {
+        const { content: table, renamed } = this._updateTable(await zip.file(name).async('text'), content, strings, columns);
+        tables.push({ name, table });
+        
+        if (renamed.size > 0) {
+          renames.set(this.columnReferences.getAttribute(table.match(/<table\b[^>]*>/)[0], 'displayName'), renamed);
+        }
+      }
+    }
+    
+    // Structured references follow renamed columns, in tables and sheets
+    for (const { name, table } of tables) {
+      zip.file(name, renames.size > 0 ?
+        table.replace(new RegExp(`(<(${COLUMN_FORMULAS.join('|')})>)([^<]*)(</\\2>)`, 'g'),
+          (match, open, element, formula, close) => open + this._renameColumns(formula, renames) + close) :
+        table);
+    }
+    
+    if (renames.size > 0) {
+      for (const sheet of references.sheets) {
+        const content = await zip.file(sheet).async('text');
+        zip.file(sheet, content.replace(/(<f(?:\s[^>]*)?>)([^<]*)(<\/f>)/g,
+          (match, open, formula, close) => open + this._renameColumns(formula, renames) + close));
+      }
+    }
+  }
+
+  /**
+   * Split a cell's content around a loop filling the whole cell
+   * @private
+   * @returns {Object|null} - { open, close, body }: the loop tags and the
+   *   cell content without them
+   */
+  _findColumnLoop(body, tagPattern) {
+    const tags = [...body.matchAll(tagPattern)];
+    const isBlank = xml => xml.replace(/<[^>]*>/g, '').trim() === '';
+    
+    if (tags.length < 2 || tags[0][1] === 'endloop' || !isBlank(body.slice(0, tags[0].index))) {
+      return null;
+    }
+    
+    // The tag closing the first loop must end the cell
+    let depth = 0;
+    const close = tags.find(tag => (depth += tag[1] === 'endloop' ? -1 : 1) === 0);
+    const [open] = tags;
+    
+    if (!close || !isBlank(body.slice(close.index + close[0].length))) {
+      return null;
+    }
+    
+    return {
+      open: open[0],
+      close: close[0],
+      body: body.slice(0, open.index) + body.slice(open.index + open[0].length, close.index) + body.slice(close.index + close[0].length)
+    };
+  }
+
+  /**
+   * Count the copies of each column loop of a rendered worksheet
+   *
+   * Copies of a cell keep its reference while rendering, so the copies of a
+   * column show up as cells repeating its reference within a row. A column
+   * takes as many copies as its longest row, none when every loop in it was
+   * empty.
+   * @private
+   * @returns {Object|null} - { counts: column -> copies, columns: looped
+   *   columns in order, copiesOf: column -> new numbers (see
+   *   SheetReferences) }, or null without column loops
+   */
+  _layoutColumns(content) {
+    const counts = new Map();
+    
+    for (const [, attributes, body = ''] of content.matchAll(ROW_PATTERN)) {
+      (this.columnReferences.getAttribute(attributes, LOOP_COLUMNS) || '').split(' ').filter(Boolean).forEach(letters => {
+        const column = this.columnReferences.columnNumber(letters);
+        counts.set(column, counts.get(column) || 0);
+      });
+    }
+    
+    if (counts.size === 0) {
+      return null;
+    }
+    
+    for (const [, , body = ''] of content.matchAll(ROW_PATTERN)) {
+      const row = new Map();
+      
+      for (const [, attributes] of body.matchAll(CELL_PATTERN)) {
+        const column = this.columnReferences.columnNumber((this.columnReferences.getAttribute(attributes, 'r') || '').replace(/\d+$/, ''));
+        row.set(column, (row.get(column) || 0) + 1);
+      }
+      
+      row.forEach((count, column) => {
+        if (counts.has(column)) {
+          counts.set(column, Math.max(counts.get(column), count));
+        }
+      });
+    }
+    
+    const layout = { counts, columns: [...counts.keys()].sort((a, b) => a - b) };
+    layout.copiesOf = column => this._columnCopies(layout, column);
+    
+    return layout;
+  }
+
+  /**
+   * New numbers of an original column, one per copy
+   * @private
+   */
+  _columnCopies(layout, column) {
+    let offset = 0;
+    
+    for (const looped of layout.columns) {
+      if (looped >= column) {
+        break;
+      }
+      offset += layout.counts.get(looped) - 1;
+    }
+    
+    const count = layout.counts.has(column) ? layout.counts.get(column) : 1;
+    return Array.from({ length: count }, (_, copy) => column + offset + copy);
+  }
+
+  /**
+   * Lay out the copies of column loops and update everything referring to
+   * columns: cells, formulas on every sheet, ranges, widths and defined names
+   * @private
+   */
+  async _spreadColumns(zip, workbook, sheets, layouts, resolveFrom) {
+    for (const sheet of sheets) {
+      // Shared formulas are written out in every cell once loops move columns
+      const content = this.columnReferences.expandSharedFormulas(await zip.file(sheet).async('text'));
+      zip.file(sheet, this._shiftColumns(content, layouts.get(sheet) || null, resolveFrom(sheet), sheet));
+    }
+    
+    const workbookXml = await zip.file(workbook.workbook).async('text');
+    zip.file(workbook.workbook, workbookXml.replace(/(<definedName\b[^>]*>)([^<]*)(<\/definedName>)/g,
+      (match, open, formula, close) => open + this.columnReferences.shiftFormula(formula, resolveFrom(null), { part: null, cell: null }) + close));
+  }
+
+  /**
+   * Move the cells of a worksheet to their columns and update its references
+   * @private
+   * @param {Object|null} layout - Column layout of the sheet, null when only
+   *   its references to other sheets change
+   */
+  _shiftColumns(content, layout, resolve, part) {
+    const references = this.columnReferences;
+    let rendered = content;
+    
+    if (layout) {
+      rendered = rendered.replace(ROW_PATTERN, (element, attributes, body) => {
+        const rowAttributes = references.removeAttribute(references.removeAttribute(attributes, LOOP_COLUMNS), 'spans');
+        const seen = new Map();
+        
+        if (body === undefined) {
+          return `<row${rowAttributes}/>`;
+        }
+        
+        const repeated = new Map();
+        for (const [, cellAttributes] of body.matchAll(CELL_PATTERN)) {
+          const letters = (references.getAttribute(cellAttributes, 'r') || '').replace(/\d+$/, '');
+          repeated.set(letters, repeated.has(letters));
+        }
+        
+        const cells = body.replace(CELL_PATTERN, (cell, cellAttributes) => {
+          const letters = (references.getAttribute(cellAttributes, 'r') || '').replace(/\d+$/, '');
+          
+          if (!/^[A-Z]+$/.test(letters)) {
+            return cell;
+          }
+          
+          const column = references.columnNumber(letters);
+          const copies = this._columnCopies(layout, column);
+          const copy = Math.min(seen.get(column) || 0, copies.length - 1);
+          seen.set(column, copy + 1);
+          
+          const moved = cell.replace(/^(<c\b[^>]*?\sr=")[A-Z]+/, `$1${references.columnName(copies[copy])}`);
+          return references.shiftCell(moved, layout, resolve, { part, cell: repeated.get(letters) ? { original: column, copy } : null });
+        });
+        
+        return `<row${rowAttributes}>${cells}</row>`;
+      });
+      
+      // Elements whose columns are all gone are dropped
+      rendered = references.updateRanges(rendered, layout);
+      
+      // Column widths and styles cover every copy
+      rendered = references.updateElements(rendered, 'col', tag => {
+        const columns = references.mapRange(layout, Number(references.getAttribute(tag, 'min')), Number(references.getAttribute(tag, 'max')));
+        return columns && columns[0] <= MAX_COLUMN ?
+          [references.setAttribute(references.setAttribute(tag, 'min', String(columns[0])), 'max', String(Math.min(columns[1], MAX_COLUMN)))] :
+          [];
+      });
+      
+      rendered = references.updateDimension(references.updateContainers(rendered, { cols: 'col' }));
+    } else {
+      rendered = references.shiftFormulas(rendered, resolve, { part, cell: null });
+    }
+    
+    return references.updateFormulaElements(rendered, resolve, part);
+  }
+
+  /**
+   * Fit a table to its rendered columns and header cells
+   * @private
+   * @returns {Object} - { content, renamed: old column name -> new name }
+   */
+  _updateTable(table, sheetContent, strings, { part, layout, resolve }) {
+    const renamed = new Map();
+    const tag = table.match(/<table\b[^>]*>/)[0];
+    const ref = this.columnReferences.getAttribute(tag, 'ref');
+    const shiftRange = value => (layout ? this.columnReferences.shiftRanges(value, layout) : value);
+    const original = ref && this._parseRange(ref);
+    const shifted = ref && shiftRange(ref);
+    const range = shifted && this._parseRange(shifted);
+    
+    // A table whose rows or columns are all gone is left as it was
+    if (!original || !range) {
+      return { content: table, renamed };
+    }
+    
+    const headerRows = Number(this.columnReferences.getAttribute(tag, 'headerRowCount') || 1);
+    const totalsRows = Number(this.columnReferences.getAttribute(tag, 'totalsRowCount') || 0);
+    const columns = [...table.matchAll(/<tableColumn\b[^>]*?(?:\/>|>[\s\S]*?<\/tableColumn>)/g)].map(match => match[0]);
+    const width = range.endColumn - range.startColumn + 1;
+    let nextId = Math.max(0, ...columns.map(column => Number(this.columnReferences.getAttribute(column, 'id')) || 0)) + 1;
+    const used = new Set();
+    const tableColumns = [];
+    
+    // Copies of a looped column get a copy of its table column
+    const slots = [];
+    for (let i = 0; i <= original.endColumn - original.startColumn; i++) {
+      const column = original.startColumn + i;
+      const copies = layout ? this._columnCopies(layout, column) : [column];
+      copies.forEach((target, copy) => slots.push({
+        tableColumn: columns[i] && copy > 0 ?
+          this._setTag(columns[i].replace(/\s[\w]+:uid="[^"]*"/g, ''), 'tableColumn', { id: nextId++ }) :
+          columns[i],
+        original: copy === 0,
+        cell: copies.length > 1 ? { original: column, copy } : null
+      }));
+    }
+    
+    for (let i = 0; i < width; i++) {
+      const slot = slots[i] || { cell: null };
+      let column = slot.tableColumn || `<tableColumn id="${nextId++}" name=""/>`;
+      const previous = this._decodeXml(this.columnReferences.getAttribute(column, 'name') || '');
+      const header = headerRows > 0 ?
+        this._cellText(sheetContent, `${this.columnReferences.columnName(range.startColumn + i)}${range.startRow}`, strings) :
+        previous;
+      const name = this._uniqueName(header || previous || `Column${i + 1}`, used);
+      
+      if (name !== previous && slot.tableColumn && slot.original) {
+        renamed.set(previous, name);
+      }
+      
+      column = this._setTag(column, 'tableColumn', { name: this._escapeXml(name) });
+      tableColumns.push(column.replace(new RegExp(`(<(${COLUMN_FORMULAS.join('|')})>)([^<]*)(</\\2>)`, 'g'),
+        (match, open, element, formula, close) => open + this.columnReferences.shiftFormula(formula, resolve, { part, cell: slot.cell }) + close));
+    }
+    
+    const bounds = (startRow, endRow) => `${this.columnReferences.columnName(range.startColumn)}${startRow}:${this.columnReferences.columnName(range.endColumn)}${endRow}`;
+    let content = this._setTag(table, 'table', { ref: bounds(range.startRow, range.endRow) });
+    content = content.replace(/<tableColumns\b[^>]*>[\s\S]*?<\/tableColumns>/, `<tableColumns count="${width}">${tableColumns.join('')}</tableColumns>`);
+    content = this._setTag(content, 'autoFilter', { ref: bounds(range.startRow, range.endRow - totalsRows) });
+    content = content.replace(/(<sort(?:State|Condition)\b[^>]*?\sref=")([^"]*)(")/g, (match, before, value, after) => before + (shiftRange(value) || value) + after);
+    
+    return { content, renamed };
+  }
+
+  /**
+   * Rename structured references (`Table[Column]`, `Table[[#This Row],[Column]]`)
+   * @private
+   * @param {Map} renames - Table name -> (old column name -> new name)
+   */
+  _renameColumns(formula, renames) {
+    let result = formula;
+    
+    for (const [table, columns] of renames) {
+      const escaped = new Map([...columns].map(([from, to]) => [this._escapeColumn(from).toLowerCase(), this._escapeColumn(to)]));
+      const pattern = new RegExp(`(^|[^\\w.])(${this._escapeRegex(table)})\\[`, 'gi');
+      let output = '';
+      let position = 0;
+      let match;
+      
+      while ((match = pattern.exec(result)) !== null) {
+        const open = match.index + match[0].length - 1;
+        const close = this._findClosingBracket(result, open);
+        
+        if (close === -1) {
+          break;
+        }
+        
+        const inner = result.slice(open + 1, close);
+        const renamedInner = inner.includes('[') ?
+          inner.replace(/\[((?:'.|[^'\]])*)\]/g, (group, name) => (escaped.has(name.toLowerCase()) ? `[${escaped.get(name.toLowerCase())}]` : group)) :
+          (escaped.has(inner.toLowerCase()) ? escaped.get(inner.toLowerCase()) : inner);
+        
+        output += result.slice(position, open + 1) + renamedInner;
+        position = close;
+        pattern.lastIndex = close;
+      }
+      
+      result = output + result.slice(position);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Find the bracket closing the one at an offset, skipping `'` escapes
+   * @private
+   */
+  _findClosingBracket(text, open) {
+    let depth = 0;
+    
+    for (let i = open; i < text.length; i++) {
+      if (text[i] === "'") {
+        i++;
+      } else if (text[i] === '[') {
+        depth++;
+      } else if (text[i] === ']' && --depth === 0) {
+        return i;
+      }
+    }
+    
+    return -1;
+  }
+
+  /**
+   * Escape a column name for a structured reference
+   * @private
+   */
+  _escapeColumn(name) {
+    return name.replace(/['#[\]]/g, "'$&");
+  }
+
+  /**
+   * Make a column name unique in its table (names are case-insensitive)
+   * @private
+   */
+  _uniqueName(name, used) {
+    let unique = name;
+    
+    for (let suffix = 2; used.has(unique.toLowerCase()); suffix++) {
+      unique = `${name}${suffix}`;
+    }
+    
+    used.add(unique.toLowerCase());
+    return unique;
+  }
+
+  /**
+   * Read the text of a cell
+   * @private
+   */
+  _cellText(content, ref, strings) {
+    const cell = content.match(new RegExp(`<c\\b(?=[^>]*\\sr="${ref}")([^>]*?)(?:/>|>([\\s\\S]*?)</c>)`));
+    
+    if (!cell) {
+      return '';
+    }
+    
+    const [, attributes, body = ''] = cell;
+    const type = this.columnReferences.getAttribute(attributes, 't');
+    const value = (body.match(/<v>([^<]*)<\/v>/) || [])[1];
+    
+    if (type === 's') {
+      return strings[Number(value)] || '';
+    }
+    if (type === 'inlineStr') {
+      return this._text(body);
+    }
+    
+    return value === undefined ? '' : this._decodeXml(value);
+  }
+
+  /**
+   * Read the text of each shared string
+   * @private
+   */
+  _readSharedStrings(content) {
+    return [...content.matchAll(/<si(?:\s[^>]*)?(?:\/>|>([\s\S]*?)<\/si>)/g)].map(match => this._text(match[1] || ''));
+  }
+
+  /**
+   * Join the text nodes of a string item, leaving out phonetic runs
+   * @private
+   */
+  _text(xml) {
+    return this._decodeXml([...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+      .map(match => match[1])
+      .join(''));
+  }
+
+  /**
+   * Parse an A1 range into column and row numbers
+   * @private
+   */
+  _parseRange(ref) {
+    const match = ref.match(/^\$?([A-Z]+)\$?(\d+)(?::\$?([A-Z]+)\$?(\d+))?$/);
+    
+    if (!match) {
+      return null;
+    }
+    
+    const [, startColumn, startRow, endColumn = startColumn, endRow = startRow] = match;
+    return {
+      startColumn: this.columnReferences.columnNumber(startColumn),
+      startRow: Number(startRow),
+      endColumn: this.columnReferences.columnNumber(endColumn),
+      endRow: Number(endRow)
+    };
+  }
+
+  /**
+   * Set attributes on the first element with a given name
+   * @private
+   */
+  _setTag(content, element, attributes) {
+    return content.replace(new RegExp(`<${element}(?=[\\s>/])[^>]*?(?=/?>)`), tag => Object.entries(attributes).reduce((updated, [name, value]) => {
+      const pattern = new RegExp(`(\\s${name}=")[^"]*(")`);
+      return pattern.test(updated) ? updated.replace(pattern, `$1${value}$2`) : `${updated} ${name}="${value}"`;
+    }, tag));
+  }
+
+  /**
+   * Escape text for an attribute value
+   * @private
+   */
+  _escapeXml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Escape text for use in a regular expression
+   * @private
+   */
+  _escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Decode the predefined entities
+   * @private
+   */
+  _decodeXml(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
 }
 
 module.exports = XlsxModule;
-
@@ -0,0 +1,328 @@
+// Private-use characters around text inserted with right-to-left direction
+const RTL_START = '\uE000';
+const RTL_END = '\uE007';
+const MARK_PATTERN = /[\uE000\uE007]/g;
+
+// Strong right-to-left scripts: Hebrew, Arabic, Syriac, Thaana, NKo and their presentation forms
+const RTL_PATTERN = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+
+// Any letter, used to find the first strongly directional character
+const LETTER_PATTERN = /\p{L}/u;
+
+// Elements that must follow w:rtl inside w:rPr (schema order)
+const RUN_PROPERTIES_AFTER_RTL = ['w:cs', 'w:em', 'w:lang', 'w:eastAsianLayout', 'w:specVanish', 'w:oMath', 'w:rPrChange'];
+
+// Elements that must follow w:bidi inside w:pPr (schema order)
+const PARAGRAPH_PROPERTIES_AFTER_BIDI = [
+  'w:adjustRightInd', 'w:snapToGrid', 'w:spacing', 'w:ind', 'w:contextualSpacing',
+  'w:mirrorIndents', 'w:suppressOverlap', 'w:jc', 'w:textDirection', 'w:textAlignment',
+  'w:textboxTightWrap', 'w:outlineLvl', 'w:divId', 'w:cnfStyle', 'w:rPr', 'w:sectPr', 'w:pPrChange'
+];
+
+/**
+ * Bidi processor for right-to-left (Arabic, Hebrew) output
+ *
+ * Inserted values are wrapped in invisible marks while the template is
+ * processed; once the part is rendered, the marks are removed and the
+ * values get their bidi properties. A Word run holding a value is split so
+ * only the value's text is `w:rtl`. Paragraphs holding a value become
+ * right-to-left (`w:bidi`, `a:pPr rtl="1"`) only when the `rtl` option
+ * forces it or their own text reads right-to-left, so a right-to-left name
+ * does not turn a left-to-right sentence around.
+ */
+class BidiProcessor {
+  constructor() {
+    this.mark = RTL_START;
+  }
+
+  /**
+   * Check whether text reads right-to-left (its first letter is RTL)
+   * @param {string} text - Text to check
+   * @returns {boolean} - True if the text is right-to-left
+   */
+  isRtl(text) {
+    const match = LETTER_PATTERN.exec(String(text || ''));
+    return !!match && RTL_PATTERN.test(match[0]);
+  }
+
+  /**
+   * Decide the direction of inserted text from an `rtl` option
+   * @param {string} text - Inserted text
+   * @param {boolean} [rtl] - true/false to force a direction, undefined to detect
+   * @returns {boolean} - True if the text should be laid out right-to-left
+   */
+  resolveRtl(text, rtl) {
+    if (rtl === true || rtl === false) {
+      return rtl;
+    }
+    return this.isRtl(text);
+  }
+
+  /**
+   * Mark inserted text as right-to-left
+   * @param {string} text - Inserted text
+   * @returns {string} - Text wrapped in the RTL marks
+   */
+  markText(text) {
+    return text ? RTL_START + text + RTL_END : text;
+  }
+
+  /**
+   * Apply bidi properties to marked runs and paragraphs and remove the marks
+   * @param {string} xmlContent - Rendered XML content
+   * @param {string} documentType - docx, pptx or xlsx
+   * @param {boolean} [rtl] - The `rtl` option: true makes every paragraph
+   *   holding a value right-to-left
+   * @returns {string} - XML content with bidi properties
+   */
+  applyMarks(xmlContent, documentType, rtl) {
+    if (!xmlContent.includes(RTL_START)) {
+      return xmlContent;
+    }
+    
+    let result = xmlContent;
+    
+    if (documentType === 'docx') {
+      result = this._editMarked(result, 'w:p', paragraph => (rtl === true || this.isRtl(this._text(paragraph)) ? this._applyEdit(paragraph, 0, 'paragraph') : paragraph));
+      result = this._editMarked(result, 'w:r', run => this._splitRun(run));
+    } else if (documentType === 'pptx') {
+      result = this._editMarked(result, 'a:p', paragraph => (rtl === true || this.isRtl(this._text(paragraph)) ? this._applyEdit(paragraph, 0, 'drawingParagraph') : paragraph));
+    }
+    
+    return result.replace(MARK_PATTERN, '');
+  }
+
+  /**
+   * Build a `w:rPr` fragment for a run, adding `w:rtl` when needed
+   * @param {string} properties - Existing run properties (inner XML)
+   * @param {boolean} rtl - Whether the run is right-to-left
+   * @returns {string} - Run properties inner XML
+   */
+  runProperties(properties, rtl) {
+    return rtl ? this._insertProperty(properties, '<w:rtl/>', 'w:rtl', RUN_PROPERTIES_AFTER_RTL) : properties;
+  }
+
+  /**
+   * Build a `w:pPr` fragment for a paragraph, adding `w:bidi` when needed
+   * @param {string} properties - Existing paragraph properties (inner XML)
+   * @param {boolean} rtl - Whether the paragraph is right-to-left
+   * @returns {string} - Paragraph properties inner XML
+   */
+  paragraphProperties(properties, rtl) {
+    return rtl ? this._insertProperty(properties, '<w:bidi/>', 'w:bidi', PARAGRAPH_PROPERTIES_AFTER_BIDI) : properties;
+  }
+
+  /**
+   * Replace the elements enclosing a mark
+   * @private
+   */
+  _editMarked(xmlContent, tagName, edit) {
+    const starts = new Set();
+    
+    for (let position = xmlContent.indexOf(RTL_START); position !== -1; position = xmlContent.indexOf(RTL_START, position + 1)) {
+      const start = this._findEnclosingStart(xmlContent, position, tagName);
+      if (start !== -1) {
+        starts.add(start);
+      }
+    }
+    
+    // Edit from the end so earlier offsets stay valid
+    let result = xmlContent;
+    
+    for (const start of [...starts].sort((a, b) => b - a)) {
+      const end = this._findEnd(result, start, tagName);
+      result = result.slice(0, start) + edit(result.slice(start, end)) + result.slice(end);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Split a Word run so only its marked text is right-to-left
+   * @private
+   */
+  _splitRun(run) {
+    const match = run.match(/^(<w:r(?:\s[^>]*)?>)(\s*<w:rPr(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/w:rPr>))?([\s\S]*)<\/w:r>$/);
+    
+    // Runs holding other runs (text boxes) are right-to-left as a whole
+    if (!match || /<w:r[\s>]/.test(match[5])) {
+      return this._applyEdit(run, 0, 'run');
+    }
+    
+    const [, openTag, properties = '', attributes = '', inner = '', body] = match;
+    const pieces = [];
+    let rtl = false;
+    let content = '';
+    const flush = () => {
+      if (content.trim()) {
+        pieces.push({ rtl, content });
+      }
+      content = '';
+    };
+    
+    body.split(/(<w:t(?:\s[^>]*)?>[^<]*<\/w:t>)/).forEach((token, i) => {
+      if (i % 2 === 0) {
+        content += token;
+        return;
+      }
+      
+      const [, textAttributes = '', text] = token.match(/^<w:t(\s[^>]*)?>([^<]*)<\/w:t>$/);
+      text.split(/([\uE000\uE007])/).forEach((segment, j) => {
+        if (j % 2 === 1) {
+          if ((segment === RTL_START) !== rtl) {
+            flush();
+            rtl = !rtl;
+          }
+        } else if (segment) {
+          const preserve = /^\s|\s$/.test(segment) && !/\sxml:space=/.test(textAttributes) ? ' xml:space="preserve"' : '';
+          content += `<w:t${textAttributes}${preserve}>${segment}</w:t>`;
+        }
+      });
+    });
+    flush();
+    
+    if (pieces.length === 0) {
+      return run;
+    }
+    
+    return pieces
+      .map(piece => `${openTag}${piece.rtl ? `<w:rPr${attributes}>${this.runProperties(inner, true)}</w:rPr>` : properties}${piece.content}</w:r>`)
+      .join('');
+  }
+
+  /**
+   * Get the text of a paragraph, marks and entities left out
+   * @private
+   */
+  _text(paragraph) {
+    return [...paragraph.matchAll(/<[wa]:t(?:\s[^>]*)?>([^<]*)<\/[wa]:t>/g)]
+      .map(match => match[1])
+      .join('')
+      .replace(MARK_PATTERN, '')
+      .replace(/&[^;]*;/g, ' ');
+  }
+
+  /**
+   * Find the end of the element starting at an offset
+   * @private
+   */
+  _findEnd(xmlContent, start, tagName) {
+    const pattern = new RegExp(`<(/?)${tagName}(?=[\\s>/])[^>]*?(/?)>`, 'g');
+    pattern.lastIndex = start;
+    let depth = 0;
+    let match;
+    
+    while ((match = pattern.exec(xmlContent)) !== null) {
+      if (match[2] === '/') {
+        if (depth === 0) {
+          return pattern.lastIndex;
+        }
+        continue;
+      }
+      depth += match[1] === '/' ? -1 : 1;
+      if (depth === 0) {
+        return pattern.lastIndex;
+      }
+    }
+    
+    return xmlContent.length;
+  }
+
+  /**
+   * Find the opening tag of the innermost element enclosing a position
+   * @private
+   */
+  _findEnclosingStart(xmlContent, position, tagName) {
+    const pattern = new RegExp(`<(/?)${tagName}(?=[\\s>/])[^>]*?(/?)>`, 'g');
+    const stack = [];
+    let match;
+    
+    while ((match = pattern.exec(xmlContent)) !== null && match.index < position) {
+      if (match[2] === '/') {
+        continue;
+      }
+      if (match[1] === '/') {
+        stack.pop();
+      } else {
+        stack.push(match.index);
+      }
+    }
+    
+    return stack.length > 0 ? stack[stack.length - 1] : -1;
+  }
+
+  /**
+   * Add bidi properties to the element starting at an offset
+   * @private
+   */
+  _applyEdit(xmlContent, start, kind) {
+    const openEnd = xmlContent.indexOf('>', start) + 1;
+    
+    if (kind === 'drawingParagraph') {
+      return this._applyDrawingParagraphEdit(xmlContent, openEnd);
+    }
+    
+    const propertiesTag = kind === 'run' ? 'w:rPr' : 'w:pPr';
+    const pattern = new RegExp(`\\s*<${propertiesTag}(\\s[^>]*)?(/?)>`, 'y');
+    pattern.lastIndex = openEnd;
+    const match = pattern.exec(xmlContent);
+    const build = inner => (kind === 'run' ? this.runProperties(inner, true) : this.paragraphProperties(inner, true));
+    
+    if (!match) {
+      return xmlContent.slice(0, openEnd) + `<${propertiesTag}>${build('')}</${propertiesTag}>` + xmlContent.slice(openEnd);
+    }
+    
+    const innerStart = match.index + match[0].length;
+    
+    if (match[2] === '/') {
+      const replacement = `<${propertiesTag}${match[1] || ''}>${build('')}</${propertiesTag}>`;
+      return xmlContent.slice(0, innerStart - match[0].trimStart().length) + replacement + xmlContent.slice(innerStart);
+    }
+    
+    const innerEnd = xmlContent.indexOf(`</${propertiesTag}>`, innerStart);
+    return xmlContent.slice(0, innerStart) + build(xmlContent.slice(innerStart, innerEnd)) + xmlContent.slice(innerEnd);
+  }
+
+  /**
+   * Set rtl="1" on a DrawingML paragraph's a:pPr
+   * @private
+   */
+  _applyDrawingParagraphEdit(xmlContent, openEnd) {
+    const pattern = /\s*<a:pPr(\s[^>]*?)?(\/?)>/y;
+    pattern.lastIndex = openEnd;
+    const match = pattern.exec(xmlContent);
+    
+    if (!match) {
+      return xmlContent.slice(0, openEnd) + '<a:pPr rtl="1"/>' + xmlContent.slice(openEnd);
+    }
+    
+    const attributes = (match[1] || '').replace(/\s+rtl="[^"]*"/, '');
+    const replacement = `<a:pPr${attributes} rtl="1"${match[2]}>`;
+    const tagStart = match.index + match[0].length - match[0].trimStart().length;
+    
+    return xmlContent.slice(0, tagStart) + replacement + xmlContent.slice(match.index + match[0].length);
+  }
+
+  /**
+   * Insert a property element respecting the schema order
+   * @private
+   */
+  _insertProperty(properties, element, name, followers) {
+    if (new RegExp(`<${name}(?=[\\s>/])`).test(properties)) {
+      return properties;
+    }
+    
+    const positions = followers
+      .map(follower => properties.search(new RegExp(`<${follower}(?=[\\s>/])`)))
+      .filter(position => position !== -1);
+    
+    if (positions.length === 0) {
+      return properties + element;
+    }
+    
+    const position = Math.min(...positions);
+    return properties.slice(0, position) + element + properties.slice(position);
+  }
+}
+
+module.exports = BidiProcessor;
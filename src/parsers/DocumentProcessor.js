@@ -177,13 +177,117 @@ class DocumentProcessor {
   }
 
   /**
-   * Validate XML structure
+   * Find the innermost element of the given names that contains a position
+   * @param {string} xmlContent - XML content
+   * @param {number} position - Offset inside the XML content
+   * @param {Array<string>} tagNames - Element names to look for (e.g. ['w:tr', 'a:tr'])
+   * @returns {Object|null} - { tagName, start, end } or null if none encloses the position
+   */
+  findEnclosingElement(xmlContent, position, tagNames) {
+    const names = tagNames.map(name => this._escapeRegex(name)).join('|');
+    const tagPattern = new RegExp(`<(/?)(${names})(?=[\\s>/])[^>]*?(/?)>`, 'g');
+    const stack = [];
+    let match;
+    
+    while ((match = tagPattern.exec(xmlContent)) !== null && match.index < position) {
+      if (match[3] === '/') {
+        continue; // Self-closing element cannot contain anything
+      }
+      
+      if (match[1] === '/') {
+        const depth = stack.map(element => element.tagName).lastIndexOf(match[2]);
+        if (depth !== -1) {
+          stack.length = depth;
+        }
+      } else {
+        stack.push({ tagName: match[2], start: match.index });
+      }
+    }
+    
+    const element = stack[stack.length - 1];
+    if (!element) {
+      return null;
+    }
+    
+    const end = this.findElementEnd(xmlContent, element.start, element.tagName);
+    return end === -1 ? null : { ...element, end };
+  }
+
+  /**
+   * Find the end offset (after the closing tag) of an element
+   * @param {string} xmlContent - XML content
+   * @param {number} start - Offset of the element's opening tag
+   * @param {string} tagName - Element name
+   * @returns {number} - Offset just after the closing tag, or -1 if unclosed
+   */
+  findElementEnd(xmlContent, start, tagName) {
+    const tagPattern = new RegExp(`<(/?)${this._escapeRegex(tagName)}(?=[\\s>/])[^>]*?(/?)>`, 'g');
+    let depth = 0;
+    let match;
+    
+    tagPattern.lastIndex = start;
+    
+    while ((match = tagPattern.exec(xmlContent)) !== null) {
+      if (match[2] === '/') {
+        if (depth === 0) {
+          return match.index + match[0].length;
+        }
+        continue;
+      }
+      
+      depth += match[1] === '/' ? -1 : 1;
+      
+      if (depth === 0) {
+        return match.index + match[0].length;
+      }
+    }
+    
+    return -1;
+  }
+
+  /**
+   * Get the visible text of an XML fragment (markup stripped)
+   * @param {string} xmlFragment - XML fragment, possibly with unbalanced tags
+   * @returns {string} - Text content
+   */
+  getTextContent(xmlFragment) {
+    return this._decodeXmlEntities(xmlFragment.replace(/<[^>]*>/g, ''));
+  }
+
+  /**
+   * Locate an offset for error messages: the index of the paragraph holding
+   * it (Word and DrawingML paragraphs, shared strings, cells) and the text
+   * of that paragraph
+   * @param {string} xmlContent - XML content
+   * @param {number} position - Offset inside the XML content
+   * @returns {Object} - { paragraph, context }; paragraph is null and context
+   *   the nearby text when no paragraph encloses the position
+   */
+  describeLocation(xmlContent, position) {
+    const element = this.findEnclosingElement(xmlContent, position, ['w:p', 'a:p', 'si', 'c']);
+    
+    if (!element) {
+      const nearby = xmlContent.slice(Math.max(0, position - 100), position + 100);
+      return { paragraph: null, context: this.getTextContent(nearby.replace(/^[^<]*>|<[^>]*$/g, '')).trim() };
+    }
+    
+    const openPattern = new RegExp(`<${this._escapeRegex(element.tagName)}(?=[\\s>/])`, 'g');
+    const paragraph = (xmlContent.slice(0, element.start).match(openPattern) || []).length;
+    
+    return {
+      paragraph,
+      context: this.getTextContent(xmlContent.slice(element.start, element.end)).trim()
+    };
+  }
+
+  /**
+   * Check that XML content is well-formed
    * @param {string} xmlContent - XML content to validate
-   * @returns {boolean} - True if valid XML
+   * @returns {Promise<boolean>} - True if valid XML
    */
-  isValidXml(xmlContent) {
+  async isValidXml(xmlContent) {
     try {
-      this.parser.parseStringPromise(xmlContent);
+      await this.parser.parseStringPromise(xmlContent);
       return true;
     } catch (error) {
       return false;
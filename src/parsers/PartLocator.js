@@ -0,0 +1,341 @@
+const path = require('path');
+
+const WORDPROCESSING = 'application/vnd.openxmlformats-officedocument.wordprocessingml';
+
+// Word stories holding text, in processing order. A part belongs to a story
+// when [Content_Types].xml gives it one of the content types or a
+// relationship of the given type (matched on the end of the type URI, so
+// both transitional and strict packages are found) points at it.
+const DOCX_STORIES = [
+  {
+    kind: 'main',
+    relationship: 'officeDocument',
+    contentTypes: [
+      `${WORDPROCESSING}.document.main+xml`,
+      `${WORDPROCESSING}.template.main+xml`,
+      'application/vnd.ms-word.document.macroEnabled.main+xml',
+      'application/vnd.ms-word.template.macroEnabledTemplate.main+xml'
+    ]
+  },
+  { kind: 'header', relationship: 'header', contentTypes: [`${WORDPROCESSING}.header+xml`] },
+  { kind: 'footer', relationship: 'footer', contentTypes: [`${WORDPROCESSING}.footer+xml`] },
+  { kind: 'footnotes', relationship: 'footnotes', contentTypes: [`${WORDPROCESSING}.footnotes+xml`] },
+  { kind: 'endnotes', relationship: 'endnotes', contentTypes: [`${WORDPROCESSING}.endnotes+xml`] },
+  { kind: 'comments', relationship: 'comments', contentTypes: [`${WORDPROCESSING}.comments+xml`] },
+  { kind: 'glossary', relationship: 'glossaryDocument', contentTypes: [`${WORDPROCESSING}.document.glossary+xml`] },
+  {
+    kind: 'coreProperties',
+    relationship: 'metadata/core-properties',
+    contentTypes: ['application/vnd.openxmlformats-package.core-properties+xml']
+  },
+  {
+    kind: 'customProperties',
+    relationship: 'custom-properties',
+    contentTypes: ['application/vnd.openxmlformats-officedocument.custom-properties+xml']
+  }
+];
+
+// Presentation parts reached through relationships from the presentation,
+// its slides and its masters
+const SLIDE_RELATED = ['notesSlide', 'chart'];
+const LAYOUT_RELATIONSHIP = 'slideLayout';
+const MASTER_RELATIONSHIPS = ['slideMaster', 'notesMaster'];
+
+/**
+ * Locator finding the parts of a package that hold template tags
+ *
+ * Word documents are read through their package structure: every part that
+ * `[Content_Types].xml` declares as a text story, or that the package and
+ * main document relationships point at, is templated. This covers the body
+ * (text boxes included), headers, footers, footnotes, endnotes, comments,
+ * the glossary document and the core and custom document properties,
+ * wherever the package stores them. Presentations are read the same way:
+ * slides in presentation order, then the speaker notes and charts of each
+ * slide (which name their slide as `owner`, so they can share its context),
+ * slide layouts, slide masters and the notes master. Workbooks are read
+ * through the workbook part: its worksheets in tab order (their shared
+ * strings are templated through the cells using them, see
+ * SpreadsheetProcessor).
+ *
+ * The `parts` option adjusts the selection: `exclude` drops parts and
+ * `include` adds parts that are not found otherwise (e.g. SmartArt data).
+ * Entries are story kinds (`footnotes`, `coreProperties`...), part names
+ * or regular expressions tested against part names.
+ */
+class PartLocator {
+  /**
+   * @param {Object} [selection] - { include, exclude }
+   */
+  constructor(selection = {}) {
+    this.include = [].concat(selection.include || []);
+    this.exclude = [].concat(selection.exclude || []);
+  }
+
+  /**
+   * List the template parts of a package in processing order
+   * @param {JSZip} zip - Package
+   * @param {string} documentType - docx, pptx or xlsx
+   * @returns {Promise<Array>} - [{ name, kind, owner }], owner being the
+   *   part whose context a part shares (a notes slide's slide)
+   */
+  async locate(zip, documentType) {
+    const names = Object.keys(zip.files).filter(name => zip.file(name));
+    let parts;
+    
+    switch (documentType) {
+      case 'docx':
+        parts = await this._locateDocxParts(zip, names);
+        break;
+      case 'pptx':
+        parts = await this._locatePptxParts(zip, names);
+        break;
+      case 'xlsx':
+        parts = (await this.locateWorkbook(zip)).sheets.map(({ part }) => ({ name: part, kind: 'sheet' }));
+        break;
+      default:
+        parts = [];
+    }
+    
+    const selected = parts.filter(part => !this.exclude.some(entry => this._matches(entry, part)));
+    const extra = names
+      .filter(name => !parts.some(part => part.name === name))
+      .filter(name => this.include.some(entry => this._matches(entry, { name })))
+      .filter(name => !this.exclude.some(entry => this._matches(entry, { name })));
+    
+    return selected.concat(extra.map(name => ({ name, kind: 'included' })));
+  }
+
+  /**
+   * Find the parts of a workbook from its relationships
+   * @param {JSZip} zip - Spreadsheet package
+   * @returns {Promise<Object>} - { workbook, sheets: [{ name, part }],
+   *   sharedStrings, styles } with part names, sheets in tab order
+   */
+  async locateWorkbook(zip) {
+    const packageTargets = await this._readRelationships(zip, '');
+    const main = packageTargets.find(({ type }) => type.endsWith('/officeDocument'));
+    const workbook = main ? main.target : 'xl/workbook.xml';
+    const targets = await this._readRelationships(zip, workbook);
+    const byType = relationship => targets.find(({ type, target }) => type.endsWith(`/${relationship}`) && zip.file(target));
+    
+    const workbookXml = await this._read(zip, workbook);
+    let sheets = [...workbookXml.matchAll(/<sheet\b[^>]*>/g)]
+      .map(([element]) => {
+        const attribute = name => (element.match(new RegExp(`\\s${name}="([^"]*)"`)) || [])[1];
+        const target = targets.find(({ id }) => id === attribute('r:id'));
+        return target && zip.file(target.target) ? { name: this._decodeXml(attribute('name') || ''), part: target.target } : null;
+      })
+      .filter(Boolean);
+    
+    if (sheets.length === 0) {
+      sheets = Object.keys(zip.files)
+        .filter(name => /^xl\/worksheets\/[^/]+\.xml$/.test(name) && zip.file(name))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .map(part => ({ name: null, part }));
+    }
+    
+    const sharedStrings = byType('sharedStrings');
+    const styles = byType('styles');
+    
+    return {
+      workbook,
+      sheets,
+      sharedStrings: sharedStrings ? sharedStrings.target : null,
+      styles: styles ? styles.target : null
+    };
+  }
+
+  /**
+   * Find the parts a part points at with a given type of relationship
+   * @param {JSZip} zip - Package
+   * @param {string} partName - Part holding the relationships
+   * @param {string} type - Last segment of the relationship type (`table`)
+   * @returns {Promise<Array<string>>} - Names of the related parts present
+   *   in the package
+   */
+  async locateRelated(zip, partName, type) {
+    return (await this._readRelationships(zip, partName))
+      .filter(relationship => relationship.type.endsWith(`/${type}`) && zip.file(relationship.target))
+      .map(({ target }) => target);
+  }
+
+  /**
+   * Find the Word stories from content types and relationships
+   * @private
+   */
+  async _locateDocxParts(zip, names) {
+    const found = new Map();
+    const add = (name, story) => {
+      if (zip.file(name) && !found.has(name)) {
+        found.set(name, story);
+      }
+    };
+    
+    const contentTypes = await this._read(zip, '[Content_Types].xml');
+    for (const [, partName, contentType] of contentTypes.matchAll(/<Override\b(?=[^>]*\sPartName="([^"]*)")(?=[^>]*\sContentType="([^"]*)")[^>]*>/g)) {
+      const story = DOCX_STORIES.find(candidate => candidate.contentTypes.includes(contentType));
+      if (story) {
+        add(partName.replace(/^\//, ''), story);
+      }
+    }
+    
+    // Package relationships lead to the main document and the properties,
+    // the main document's relationships to its other stories
+    const packageTargets = await this._readRelationships(zip, '');
+    packageTargets.forEach(({ type, target }) => this._addRelated(type, target, add));
+    
+    const mainParts = [...found].filter(([, story]) => story.kind === 'main').map(([name]) => name);
+    if (mainParts.length === 0 && names.includes('word/document.xml')) {
+      add('word/document.xml', DOCX_STORIES[0]);
+      mainParts.push('word/document.xml');
+    }
+    
+    for (const mainPart of mainParts) {
+      const targets = await this._readRelationships(zip, mainPart);
+      targets.forEach(({ type, target }) => this._addRelated(type, target, add));
+    }
+    
+    return DOCX_STORIES.flatMap(story => [...found]
+      .filter(([, candidate]) => candidate === story)
+      .map(([name]) => name)
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .map(name => ({ name, kind: story.kind })));
+  }
+
+  /**
+   * Find slides, their notes and charts, layouts and masters from the
+   * presentation's relationships
+   * @private
+   */
+  async _locatePptxParts(zip, names) {
+    const packageTargets = await this._readRelationships(zip, '');
+    const main = packageTargets.find(({ type }) => type.endsWith('/officeDocument'));
+    const presentation = main ? main.target : 'ppt/presentation.xml';
+    const presentationTargets = await this._readRelationships(zip, presentation);
+    const byType = (targets, relationship) => targets
+      .filter(({ type }) => type.endsWith(`/${relationship}`))
+      .map(({ target }) => target)
+      .filter(target => zip.file(target));
+    const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+    
+    // Slides in the order of p:sldIdLst, or by name without one
+    const presentationXml = await this._read(zip, presentation);
+    const slideIds = [...presentationXml.matchAll(/<p:sldId\b[^>]*\sr:id="([^"]*)"/g)].map(match => match[1]);
+    let slides = slideIds
+      .map(id => presentationTargets.find(target => target.id === id))
+      .filter(target => target && zip.file(target.target))
+      .map(({ target }) => target);
+    
+    if (slides.length === 0) {
+      slides = byType(presentationTargets, 'slide');
+    }
+    if (slides.length === 0) {
+      slides = names.filter(name => /^ppt\/slides\/slide[^/]*\.xml$/.test(name));
+    }
+    slides = [...new Set(slides)];
+    if (slideIds.length === 0) {
+      slides.sort(byName);
+    }
+    
+    const parts = slides.map(name => ({ name, kind: 'slide' }));
+    const layouts = new Set();
+    const seen = new Set(slides);
+    const add = (name, kind, owner) => {
+      if (!seen.has(name)) {
+        seen.add(name);
+        parts.push(owner ? { name, kind, owner } : { name, kind });
+      }
+    };
+    
+    for (const slide of slides) {
+      const targets = await this._readRelationships(zip, slide);
+      SLIDE_RELATED.forEach(kind => byType(targets, kind).forEach(name => add(name, kind, slide)));
+      byType(targets, LAYOUT_RELATIONSHIP).forEach(name => layouts.add(name));
+    }
+    
+    const masters = MASTER_RELATIONSHIPS.map(kind => ({ kind, names: byType(presentationTargets, kind).sort(byName) }));
+    for (const master of masters.find(({ kind }) => kind === 'slideMaster').names) {
+      byType(await this._readRelationships(zip, master), LAYOUT_RELATIONSHIP).forEach(name => layouts.add(name));
+    }
+    
+    [...layouts].sort(byName).forEach(name => add(name, LAYOUT_RELATIONSHIP));
+    masters.forEach(({ kind, names: masterNames }) => masterNames.forEach(name => add(name, kind)));
+    
+    return parts;
+  }
+
+  /**
+   * Record the target of a relationship if it points at a Word story
+   * @private
+   */
+  _addRelated(type, target, add) {
+    const story = DOCX_STORIES.find(candidate => type.endsWith(`/${candidate.relationship}`));
+    if (story) {
+      add(target, story);
+    }
+  }
+
+  /**
+   * Read the internal relationships of a part ('' for the package)
+   * @private
+   * @returns {Promise<Array>} - [{ id, type, target }] with targets resolved to part names
+   */
+  async _readRelationships(zip, partName) {
+    const directory = path.posix.dirname(partName);
+    const base = directory === '.' ? '' : directory;
+    const relsName = `${base ? `${base}/` : ''}_rels/${path.posix.basename(partName)}.rels`;
+    const relsXml = await this._read(zip, relsName);
+    const relationships = [];
+    
+    for (const [element] of relsXml.matchAll(/<Relationship\b[^>]*>/g)) {
+      const attribute = name => (element.match(new RegExp(`\\s${name}="([^"]*)"`)) || [])[1];
+      const target = attribute('Target');
+      
+      if (target && attribute('TargetMode') !== 'External') {
+        relationships.push({
+          id: attribute('Id'),
+          type: attribute('Type') || '',
+          target: target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(base, target))
+        });
+      }
+    }
+    
+    return relationships;
+  }
+
+  /**
+   * Read a part as text, or an empty string when it is missing
+   * @private
+   */
+  async _read(zip, name) {
+    const file = zip.file(name);
+    return file ? file.async('text') : '';
+  }
+
+  /**
+   * Decode the predefined entities of an attribute value
+   * @private
+   */
+  _decodeXml(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Test a selection entry against a part
+   * @private
+   */
+  _matches(entry, part) {
+    if (entry instanceof RegExp) {
+      return entry.test(part.name);
+    }
+    
+    return entry === part.name || entry === part.kind;
+  }
+}
+
+module.exports = PartLocator;
@@ -0,0 +1,278 @@
+/**
+ * Run-aware lexer that reassembles template tags split across text runs
+ *
+ * Word, PowerPoint and Excel store visible text in many small text nodes
+ * (`<w:t>`, `<a:t>`, `<t>`), and editors split a typed `{{customer.name}}`
+ * across several of them (spell-check, revision ids, autocorrect). The lexer
+ * rebuilds the logical text of each paragraph, finds tags that cross node
+ * boundaries and moves the whole tag into the first node, so the parser can
+ * match it on the XML string while the run keeps its formatting.
+ */
+class RunLexer {
+  constructor(options = {}) {
+    this.options = {
+      delimiters: { start: '{{', end: '}}' },
+      moduleDelimiters: { start: '{%', end: '%}' },
+      rawXmlDelimiter: { start: '{@', end: '}' },
+      ...options
+    };
+    
+    this.patterns = {
+      // Text nodes: <w:t>, <a:t> and spreadsheet <t>
+      textNode: /<(w:t|a:t|t)((?:\s[^>]*)?)>([\s\S]*?)<\/\1>/g,
+      
+      // Elements that end a logical paragraph; tags never cross these
+      boundary: /<\/?(?:w:p|a:p|si|is|c|w:txbxContent)[\s>/]/
+    };
+  }
+
+  /**
+   * Rewrite XML so that every template tag lives inside a single text node
+   * @param {string} xmlContent - XML content of a document part
+   * @returns {string} - XML content with split tags reassembled
+   */
+  normalize(xmlContent) {
+    const groups = this._groupTextNodes(xmlContent);
+    const replacements = [];
+    
+    // Delimiter switches carry over to the following paragraphs
+    const state = { delimiters: this.options.delimiters };
+    
+    for (const group of groups) {
+      const texts = this._lexGroup(group, state);
+      
+      if (texts) {
+        group.forEach((node, i) => {
+          if (texts[i] !== node.text) {
+            replacements.push({ node, text: texts[i] });
+          }
+        });
+      }
+    }
+    
+    if (replacements.length === 0) {
+      return xmlContent;
+    }
+    
+    let result = '';
+    let position = 0;
+    
+    for (const { node, text } of replacements) {
+      result += xmlContent.substring(position, node.index);
+      result += this._buildTextNode(node, text);
+      position = node.index + node.length;
+    }
+    
+    return result + xmlContent.substring(position);
+  }
+
+  /**
+   * Find all tag spans in a piece of logical text
+   *
+   * Escaped delimiters (`\{{`) are returned as spans too so they are kept
+   * in a single node, and `{{=[[ ]]=}}` switches the placeholder delimiters
+   * in the given state.
+   * @param {string} text - Logical (decoded) text
+   * @param {Object} [state] - { delimiters } placeholder delimiters in effect
+   * @returns {Array} - Array of { start, end } offsets
+   */
+  findTagSpans(text, state = { delimiters: this.options.delimiters }) {
+    const spans = [];
+    let i = 0;
+    
+    while (i < text.length) {
+      const pairs = [state.delimiters, this.options.moduleDelimiters, this.options.rawXmlDelimiter]
+        .sort((a, b) => b.start.length - a.start.length);
+      const escaped = text[i] === '\\' && pairs
+        .reduce((list, pair) => list.concat(pair.start, pair.end), [])
+        .find(delimiter => text.startsWith(delimiter, i + 1));
+      
+      if (escaped) {
+        spans.push({ start: i, end: i + 1 + escaped.length });
+        i += 1 + escaped.length;
+        continue;
+      }
+      
+      const pair = pairs.find(delimiter => text.startsWith(delimiter.start, i));
+      const close = pair ? this._findClose(text, i + pair.start.length, pair.end) : -1;
+      
+      if (close === -1) {
+        i++;
+        continue;
+      }
+      
+      const end = close + pair.end.length;
+      const switched = pair === state.delimiters &&
+        /^=(\S+)\s+(\S+)=$/.exec(text.substring(i + pair.start.length, close));
+      
+      if (switched) {
+        state.delimiters = { start: switched[1], end: switched[2] };
+      }
+      
+      spans.push({ start: i, end });
+      i = end;
+    }
+    
+    return spans;
+  }
+
+  /**
+   * Find the closing delimiter of a tag, skipping escaped ones
+   * @private
+   */
+  _findClose(text, from, end) {
+    for (let i = from; i < text.length; i++) {
+      if (text[i] === '\\') {
+        i++;
+      } else if (text.startsWith(end, i)) {
+        return i;
+      }
+    }
+    
+    return -1;
+  }
+
+  /**
+   * Collect text nodes and group them by paragraph
+   * @private
+   */
+  _groupTextNodes(xmlContent) {
+    const groups = [];
+    let current = [];
+    let previousEnd = 0;
+    let match;
+    
+    this.patterns.textNode.lastIndex = 0;
+    
+    while ((match = this.patterns.textNode.exec(xmlContent)) !== null) {
+      const between = xmlContent.substring(previousEnd, match.index);
+      
+      if (current.length > 0 && this.patterns.boundary.test(between)) {
+        groups.push(current);
+        current = [];
+      }
+      
+      current.push({
+        index: match.index,
+        length: match[0].length,
+        tagName: match[1],
+        attributes: match[2],
+        text: this._decodeXml(match[3])
+      });
+      
+      previousEnd = match.index + match[0].length;
+    }
+    
+    if (current.length > 0) {
+      groups.push(current);
+    }
+    
+    return groups;
+  }
+
+  /**
+   * Compute the new text of each node in a group, or null if nothing changes
+   * @private
+   */
+  _lexGroup(group, state) {
+    const text = group.map(node => node.text).join('');
+    const spans = this.findTagSpans(text, state);
+    
+    if (spans.length === 0) {
+      return null;
+    }
+    
+    // Offset of each node in the logical text
+    const offsets = [];
+    let offset = 0;
+    for (const node of group) {
+      offsets.push(offset);
+      offset += node.text.length;
+    }
+    
+    const ownerOf = position => {
+      let owner = 0;
+      while (owner + 1 < offsets.length && offsets[owner + 1] <= position) {
+        owner++;
+      }
+      return owner;
+    };
+    
+    const texts = group.map(() => '');
+    let position = 0;
+    
+    for (const span of spans) {
+      // Text before the tag stays where it was
+      for (; position < span.start; position++) {
+        texts[ownerOf(position)] += text[position];
+      }
+      
+      // The whole tag moves into the node holding its opening delimiter
+      texts[ownerOf(span.start)] += this._normalizeQuotes(text.substring(span.start, span.end));
+      position = span.end;
+    }
+    
+    for (; position < text.length; position++) {
+      texts[ownerOf(position)] += text[position];
+    }
+    
+    const changed = texts.some((value, i) => value !== group[i].text);
+    return changed ? texts : null;
+  }
+
+  /**
+   * Replace typographic quotes inserted by autocorrect inside a tag
+   * @private
+   */
+  _normalizeQuotes(tag) {
+    return tag
+      .replace(/[“”„‟]/g, '"')
+      .replace(/[‘’‚‛]/g, "'");
+  }
+
+  /**
+   * Build a text node with new content, preserving its attributes
+   * @private
+   */
+  _buildTextNode(node, text) {
+    let attributes = node.attributes;
+    
+    if (node.tagName !== 'a:t' && /^\s|\s$/.test(text) && !/xml:space=/.test(attributes)) {
+      attributes += ' xml:space="preserve"';
+    }
+    
+    return `<${node.tagName}${attributes}>${this._escapeXml(text)}</${node.tagName}>`;
+  }
+
+  /**
+   * Decode XML entities in text node content
+   *
+   * Entities are decoded in a single pass, so decoded text (`&amp;#60;`
+   * becomes `&#60;`) is never decoded again.
+   * @private
+   */
+  _decodeXml(text) {
+    const entities = { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' };
+    
+    return text.replace(/&(?:#x([0-9a-fA-F]+)|#(\d+)|(lt|gt|quot|apos|amp));/g, (match, hex, dec, name) => {
+      if (hex !== undefined) {
+        return String.fromCodePoint(parseInt(hex, 16));
+      }
+      
+      return dec !== undefined ? String.fromCodePoint(parseInt(dec, 10)) : entities[name];
+    });
+  }
+
+  /**
+   * Escape XML special characters in text node content
+   * @private
+   */
+  _escapeXml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+}
+
+module.exports = RunLexer;
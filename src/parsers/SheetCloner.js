@@ -0,0 +1,606 @@
+const path = require('path');
+const PartLocator = require('./PartLocator');
+
+// Sheet names: characters Excel refuses, its length limit and the name it
+// keeps for the change history
+const FORBIDDEN_CHARACTERS = /[\\/?*[\]:]/g;
+const MAX_NAME_LENGTH = 31;
+const RESERVED_NAMES = ['history'];
+
+// Private-use marks ContextProcessor leaves in rendered values
+const VALUE_MARKS = /[\uE000-\uE004\uE007]/g;
+
+// Elements holding formulas that can name a sheet or a table
+const FORMULA_PATTERN = /<(f|c:f|xm:f|formula|formula1|formula2|calculatedColumnFormula|totalsRowFormula|definedName)(?=[\s>])([^>]*)>([^<]*)<\/\1>/g;
+
+// String literals of a formula, left alone when renaming
+const STRING_PATTERN = /(&quot;(?:[^&]|&(?!quot;)|&quot;&quot;)*?&quot;|"(?:[^"]|"")*")/;
+
+// Related parts shared by the copies of a sheet rather than copied: images,
+// and parts the workbook itself points at (pivot caches, persons...)
+const SHARED_RELATIONSHIPS = ['image'];
+
+/**
+ * Sheet cloner repeating a worksheet once per item of a `{%sheets%}` loop
+ *
+ * A worksheet holding `{%sheets region in regions%}` becomes one sheet per
+ * item, inserted where the template sheet was. The first copy keeps the
+ * template's part; the others get parts of their own, as do the parts they
+ * own (tables, drawings, charts, comments), so every copy can be rendered
+ * with its item. Everything naming the sheet follows:
+ *
+ * - `xl/workbook.xml` lists the copies with their names and new sheet ids,
+ *   and `xl/_rels/workbook.xml.rels` and `[Content_Types].xml` declare
+ *   their parts;
+ * - defined names scoped to the sheet (print areas, filters) are repeated
+ *   for every copy, and names scoped to later sheets are moved along;
+ * - `docProps/app.xml` lists the copies among the titles of the workbook;
+ * - formulas naming the sheet point at the first copy, or at their own copy
+ *   inside it, and tables of the copies get names and ids of their own.
+ *
+ * An empty list removes the sheet, and references to it become `#REF!`;
+ * the workbook's last visible sheet is never removed (see isLastVisible).
+ */
+class SheetCloner {
+  constructor(options = {}) {
+    this.options = {
+      moduleDelimiters: { start: '{%', end: '%}' },
+      ...options
+    };
+    
+    this.partLocator = new PartLocator();
+  }
+
+  /**
+   * Find the `{%sheets%}` tag of a worksheet
+   * @param {string} content - Run-normalized worksheet
+   * @returns {Object|null} - { tag, header, index, content } with the loop
+   *   header (`region in regions`) and the worksheet without the tag
+   */
+  findLoop(content) {
+    const { start, end } = this.options.moduleDelimiters;
+    const pattern = new RegExp(`${this._escapeRegex(start)}\\s*sheets\\s+([\\s\\S]+?)\\s*${this._escapeRegex(end)}`);
+    const match = content.match(pattern);
+    
+    if (!match) {
+      return null;
+    }
+    
+    return {
+      tag: match[0],
+      header: match[1],
+      index: match.index,
+      content: content.slice(0, match.index) + content.slice(match.index + match[0].length)
+    };
+  }
+
+  /**
+   * Turn rendered text into a sheet name Excel accepts
+   *
+   * Forbidden characters and surrounding apostrophes are dropped, the name
+   * is cut to 31 characters and names already taken (compared without
+   * case) get a ` (2)`, ` (3)`... suffix.
+   * @param {string} name - Rendered name (XML-escaped)
+   * @param {Set} [used] - Lower-cased names taken so far, the result is added
+   * @param {string} [fallback] - Name used when nothing is left
+   * @returns {string} - Sheet name, not escaped
+   */
+  sanitizeName(name, used = new Set(), fallback = 'Sheet') {
+    let base = this._decodeXml(name.replace(VALUE_MARKS, ''))
+      .replace(FORBIDDEN_CHARACTERS, '')
+      .trim()
+      .replace(/^'+|'+$/g, '')
+      .slice(0, MAX_NAME_LENGTH)
+      .trim();
+    
+    if (!base) {
+      base = fallback;
+    }
+    
+    let candidate = base;
+    for (let n = 2; used.has(candidate.toLowerCase()) || RESERVED_NAMES.includes(candidate.toLowerCase()); n++) {
+      const suffix = ` (${n})`;
+      candidate = base.slice(0, MAX_NAME_LENGTH - suffix.length) + suffix;
+    }
+    
+    used.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  /**
+   * Tell whether a worksheet is the only visible sheet of its workbook,
+   * which Excel needs to keep
+   * @param {JSZip} zip - Spreadsheet package
+   * @param {string} part - Worksheet part
+   * @returns {Promise<boolean>} - True when removing it would leave no
+   *   visible sheet
+   */
+  async isLastVisible(zip, part) {
+    const { workbook } = await this.partLocator.locateWorkbook(zip);
+    const workbookXml = await zip.file(workbook).async('text');
+    const relationships = this._relationships(await this._read(zip, this._relsName(workbook)), workbook);
+    const relationship = relationships.find(({ target }) => target === part);
+    
+    return ![...workbookXml.matchAll(/<sheet\b[^>]*>/g)]
+      .map(([element]) => element)
+      .some(element => (!relationship || this._getAttribute(element, 'r:id') !== relationship.id) &&
+        !['hidden', 'veryHidden'].includes(this._getAttribute(element, 'state')));
+  }
+
+  /**
+   * Repeat a worksheet under the given names
+   * @param {JSZip} zip - Spreadsheet package
+   * @param {string} part - Worksheet part
+   * @param {Array<string>} names - Sheet names of the copies, in order;
+   *   empty to remove the sheet
+   * @returns {Promise<Array<string>>} - Worksheet parts of the copies
+   */
+  async clone(zip, part, names) {
+    const { workbook } = await this.partLocator.locateWorkbook(zip);
+    const workbookXml = await zip.file(workbook).async('text');
+    const workbookRels = this._relsName(workbook);
+    const relsXml = await this._read(zip, workbookRels);
+    const relationships = this._relationships(relsXml, workbook);
+    const relationship = relationships.find(({ target }) => target === part);
+    const elements = [...workbookXml.matchAll(/<sheet\b[^>]*>/g)].map(([element]) => element);
+    const index = relationship ? elements.findIndex(element => this._getAttribute(element, 'r:id') === relationship.id) : -1;
+    
+    if (index === -1) {
+      return [];
+    }
+    
+    const element = elements[index];
+    const from = this._decodeXml(this._getAttribute(element, 'name') || '');
+    const state = {
+      contentTypes: await this._read(zip, '[Content_Types].xml'),
+      shared: new Set(relationships.map(({ target }) => target)),
+      copies: null
+    };
+    
+    // Copies after the first get parts of their own
+    const copies = [{ name: names[0], parts: new Map([[part, part]]) }];
+    for (const name of names.slice(1)) {
+      state.copies = new Map();
+      await this._copyPart(zip, part, state);
+      copies.push({ name, parts: state.copies });
+    }
+    
+    await this._renameTables(zip, copies.slice(1));
+    
+    // The copies refer to themselves, other parts to the first copy
+    const owned = new Set();
+    for (const copy of copies.slice(0, names.length)) {
+      for (const copied of copy.parts.values()) {
+        owned.add(copied);
+        await this._updateText(zip, copied, content => this._renameFormulas(content, formula => copy.renameTables ?
+          copy.renameTables(this.renameSheet(formula, from, copy.name)) :
+          this.renameSheet(formula, from, copy.name)));
+      }
+    }
+    
+    for (const copy of copies.slice(1)) {
+      await this._updateText(zip, copy.parts.get(part), content => content.replace(/(<sheetView\b[^>]*?)\stabSelected="[^"]*"/g, '$1'));
+    }
+    
+    for (const name of Object.keys(zip.files).filter(name => /\.xml$/.test(name) && zip.file(name) && !owned.has(name) && name !== workbook)) {
+      await this._updateText(zip, name, content => this._renameFormulas(content, formula => this.renameSheet(formula, from, names.length > 0 ? names[0] : null)));
+    }
+    
+    let updatedRels = relsXml;
+    const sheetIds = elements.map(sheet => Number(this._getAttribute(sheet, 'sheetId')) || 0);
+    const ids = new Set(relationships.map(({ id }) => id));
+    const sheetElements = copies.slice(0, names.length).map((copy, i) => {
+      let updated = this._setAttribute(element, 'name', this._escapeAttribute(copy.name));
+      
+      if (i > 0) {
+        const id = this._nextId(ids);
+        const target = path.posix.relative(path.posix.dirname(workbook), copy.parts.get(part));
+        updated = this._setAttribute(this._setAttribute(updated, 'sheetId', String(Math.max(...sheetIds) + i)), 'r:id', id);
+        updatedRels = updatedRels.replace(/<\/Relationships>/, `<Relationship Id="${id}" Type="${relationship.type}" Target="${target}"/></Relationships>`);
+      }
+      
+      return updated;
+    });
+    
+    if (names.length === 0) {
+      updatedRels = updatedRels.replace(relationship.element, '');
+      await this._removePart(zip, part, state);
+    }
+    
+    let updatedWorkbook = workbookXml.replace(element, sheetElements.join(''));
+    updatedWorkbook = this._updateDefinedNames(updatedWorkbook, index, from, names);
+    updatedWorkbook = this._updateViews(updatedWorkbook, index, names.length - 1, elements.length + names.length - 1);
+    
+    zip.file(workbook, updatedWorkbook);
+    zip.file(workbookRels, updatedRels);
+    zip.file('[Content_Types].xml', state.contentTypes);
+    await this._updateProperties(zip, from, names);
+    
+    return copies.slice(0, names.length).map(copy => copy.parts.get(part));
+  }
+
+  /**
+   * Point the references of a formula at a sheet under another name
+   * @param {string} formula - Formula text (XML-escaped)
+   * @param {string} from - Current sheet name
+   * @param {string|null} to - New sheet name, null when the sheet is gone
+   * @returns {string} - Formula with `from!` and `'from'!` replaced,
+   *   string literals left alone
+   */
+  renameSheet(formula, from, to) {
+    const escaped = this._escapeXml(from);
+    const forms = [this._escapeRegex(`'${escaped.replace(/'/g, "''")}'!`)];
+    
+    if (this._isPlainName(from)) {
+      forms.push(`(?<![\\w.'\\]])${this._escapeRegex(escaped)}!`);
+    }
+    
+    const pattern = new RegExp(forms.join('|'), 'gi');
+    const replacement = to === null ? '#REF!' : `${this._quoteName(to)}!`;
+    
+    return formula.split(STRING_PATTERN).map((segment, i) => (i % 2 === 1 ? segment : segment.replace(pattern, () => replacement))).join('');
+  }
+
+  /**
+   * Copy a part, its relationships and the parts it owns
+   * @private
+   * @returns {Promise<string>} - Name of the copy
+   */
+  async _copyPart(zip, name, state) {
+    if (state.copies.has(name)) {
+      return state.copies.get(name);
+    }
+    
+    const copy = this._nextName(zip, name);
+    state.copies.set(name, copy);
+    zip.file(copy, await zip.file(name).async('uint8array'));
+    
+    const override = state.contentTypes.match(new RegExp(`<Override\\b[^>]*?\\sPartName="/${this._escapeRegex(name)}"[^>]*>`, 'i'));
+    if (override) {
+      state.contentTypes = state.contentTypes.replace(/<\/Types>/, `${this._setAttribute(override[0], 'PartName', `/${copy}`)}</Types>`);
+    }
+    
+    const relsName = this._relsName(name);
+    if (zip.file(relsName)) {
+      let relsXml = await zip.file(relsName).async('text');
+      
+      for (const relationship of this._relationships(relsXml, name)) {
+        const shared = state.shared.has(relationship.target) ||
+          SHARED_RELATIONSHIPS.some(type => relationship.type.endsWith(`/${type}`));
+        
+        if (!relationship.external && !shared && zip.file(relationship.target)) {
+          const target = await this._copyPart(zip, relationship.target, state);
+          const updated = this._setAttribute(relationship.element, 'Target', path.posix.relative(path.posix.dirname(copy), target));
+          relsXml = relsXml.replace(relationship.element, updated);
+        }
+      }
+      
+      zip.file(this._relsName(copy), relsXml);
+    }
+    
+    return copy;
+  }
+
+  /**
+   * Remove a part with its relationships and the parts it owns
+   * @private
+   */
+  async _removePart(zip, name, state) {
+    const relsName = this._relsName(name);
+    
+    if (zip.file(relsName)) {
+      for (const relationship of this._relationships(await zip.file(relsName).async('text'), name)) {
+        const shared = state.shared.has(relationship.target) ||
+          SHARED_RELATIONSHIPS.some(type => relationship.type.endsWith(`/${type}`));
+        
+        if (!relationship.external && !shared && zip.file(relationship.target)) {
+          await this._removePart(zip, relationship.target, state);
+        }
+      }
+      zip.remove(relsName);
+    }
+    
+    zip.remove(name);
+    state.contentTypes = state.contentTypes.replace(new RegExp(`<Override\\b[^>]*?\\sPartName="/${this._escapeRegex(name)}"[^>]*>`, 'i'), '');
+  }
+
+  /**
+   * Give the tables of the copies ids and names of their own
+   *
+   * Each copy gets `renameTables(formula)`, pointing structured references
+   * at its tables.
+   * @private
+   */
+  async _renameTables(zip, copies) {
+    const tables = [];
+    for (const name of Object.keys(zip.files).filter(name => /\.xml$/.test(name) && zip.file(name))) {
+      const table = (await zip.file(name).async('text')).match(/^(?:<\?xml[^>]*>)?\s*(<table\b[^>]*>)/);
+      if (table) {
+        tables.push({ name, table: table[1] });
+      }
+    }
+    
+    const used = new Set(tables.map(({ table }) => (this._getAttribute(table, 'name') || '').toLowerCase()));
+    let id = Math.max(0, ...tables.map(({ table }) => Number(this._getAttribute(table, 'id')) || 0));
+    
+    for (const copy of copies) {
+      const renames = [];
+      
+      for (const copied of copy.parts.values()) {
+        const original = tables.find(({ name }) => copy.parts.get(name) === copied);
+        if (!original) {
+          continue;
+        }
+        
+        const from = this._getAttribute(original.table, 'name') || '';
+        let to = from;
+        for (let n = 2; used.has(to.toLowerCase()); n++) {
+          to = `${from.replace(/\d+$/, '')}${n}`;
+        }
+        used.add(to.toLowerCase());
+        renames.push({ from, to });
+        
+        id += 1;
+        await this._updateText(zip, copied, content => content.replace(/<table\b[^>]*>/, table => {
+          let updated = this._setAttribute(table, 'id', String(id));
+          updated = this._setAttribute(updated, 'name', to);
+          return this._setAttribute(updated, 'displayName', to);
+        }));
+      }
+      
+      copy.renameTables = formula => renames.reduce((renamed, { from, to }) => renamed.split(STRING_PATTERN)
+        .map((segment, i) => (i % 2 === 1 ? segment : segment.replace(new RegExp(`(?<![\\w.])${this._escapeRegex(from)}(?=\\[)`, 'gi'), to)))
+        .join(''), formula);
+    }
+  }
+
+  /**
+   * Repeat the defined names scoped to a cloned sheet and follow its moves
+   * @private
+   */
+  _updateDefinedNames(content, index, from, names) {
+    const shift = names.length - 1;
+    
+    return content.replace(/<definedName\b([^>]*)>([^<]*)<\/definedName>/g, (match, attributes, formula) => {
+      const scope = this._getAttribute(attributes, 'localSheetId');
+      const sheet = scope === null ? null : Number(scope);
+      
+      if (sheet === index) {
+        return names.map((name, i) => `<definedName${this._setAttribute(attributes, 'localSheetId', String(index + i))}>${this.renameSheet(formula, from, name)}</definedName>`).join('');
+      }
+      
+      const moved = sheet !== null && sheet > index ? this._setAttribute(attributes, 'localSheetId', String(sheet + shift)) : attributes;
+      return `<definedName${moved}>${this.renameSheet(formula, from, names.length > 0 ? names[0] : null)}</definedName>`;
+    });
+  }
+
+  /**
+   * Keep the active and first visible tabs on the same sheets
+   * @private
+   */
+  _updateViews(content, index, shift, count) {
+    return content.replace(/<workbookView\b[^>]*>/g, view => ['activeTab', 'firstSheet'].reduce((updated, name) => {
+      const value = this._getAttribute(updated, name);
+      if (value === null || Number(value) <= index) {
+        return value === null ? updated : this._setAttribute(updated, name, String(Math.max(0, Math.min(Number(value), count - 1))));
+      }
+      return this._setAttribute(updated, name, String(Math.max(0, Number(value) + shift)));
+    }, view));
+  }
+
+  /**
+   * Replace the sheet among the titles of the extended properties
+   * @private
+   */
+  async _updateProperties(zip, from, names) {
+    const packageRels = await this._read(zip, '_rels/.rels');
+    const properties = this._relationships(packageRels, '').find(({ type }) => type.endsWith('/extended-properties'));
+    const name = properties ? properties.target : 'docProps/app.xml';
+    
+    await this._updateText(zip, name, content => {
+      const titles = content.match(/<TitlesOfParts>[\s\S]*?<\/TitlesOfParts>/);
+      const entries = titles ? [...titles[0].matchAll(/<vt:lpstr>([^<]*)<\/vt:lpstr>/g)] : [];
+      const position = entries.findIndex(entry => this._decodeXml(entry[1]) === from);
+      
+      if (position === -1) {
+        return content;
+      }
+      
+      const entry = entries[position];
+      const replaced = names.map(title => `<vt:lpstr>${this._escapeXml(title)}</vt:lpstr>`).join('');
+      let updatedTitles = titles[0].slice(0, entry.index) + replaced + titles[0].slice(entry.index + entry[0].length);
+      updatedTitles = updatedTitles.replace(/(<vt:vector\b[^>]*?\ssize=")(\d+)(")/, (match, open, size, close) => `${open}${Number(size) + names.length - 1}${close}`);
+      
+      // Heading pairs give the number of titles in each group
+      let total = 0;
+      let counted = false;
+      const updated = content.replace(/<HeadingPairs>[\s\S]*?<\/HeadingPairs>/, pairs => pairs.replace(/(<vt:i4>)(\d+)(<\/vt:i4>)/g, (match, open, count, close) => {
+        total += Number(count);
+        if (counted || position >= total) {
+          return match;
+        }
+        counted = true;
+        return `${open}${Number(count) + names.length - 1}${close}`;
+      }));
+      
+      return updated.replace(titles[0], updatedTitles);
+    });
+  }
+
+  /**
+   * Apply a change to every formula of a part
+   * @private
+   */
+  _renameFormulas(content, rename) {
+    return content.replace(FORMULA_PATTERN, (match, element, attributes, formula) => `<${element}${attributes}>${rename(formula)}</${element}>`);
+  }
+
+  /**
+   * Rewrite a text part when it exists and the change does something
+   * @private
+   */
+  async _updateText(zip, name, update) {
+    const file = zip.file(name);
+    if (!file) {
+      return;
+    }
+    
+    const content = await file.async('text');
+    const updated = update(content);
+    if (updated !== content) {
+      zip.file(name, updated);
+    }
+  }
+
+  /**
+   * Read relationships with targets resolved to part names
+   * @private
+   * @returns {Array} - [{ element, id, type, target, external }]
+   */
+  _relationships(relsXml, source) {
+    const directory = path.posix.dirname(source);
+    const base = directory === '.' ? '' : directory;
+    
+    return [...relsXml.matchAll(/<Relationship\b[^>]*>/g)].map(([element]) => {
+      const target = this._getAttribute(element, 'Target') || '';
+      return {
+        element,
+        id: this._getAttribute(element, 'Id'),
+        type: this._getAttribute(element, 'Type') || '',
+        target: target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(base, target)),
+        external: this._getAttribute(element, 'TargetMode') === 'External'
+      };
+    });
+  }
+
+  /**
+   * Name of the relationships part of a part
+   * @private
+   */
+  _relsName(name) {
+    const directory = path.posix.dirname(name);
+    return `${directory === '.' ? '' : `${directory}/`}_rels/${path.posix.basename(name)}.rels`;
+  }
+
+  /**
+   * Next free part name numbered like the given one (sheet1.xml -> sheet4.xml)
+   * @private
+   */
+  _nextName(zip, name) {
+    const directory = path.posix.dirname(name);
+    const extension = path.posix.extname(name);
+    const stem = path.posix.basename(name, extension).replace(/\d+$/, '');
+    const pattern = new RegExp(`^${this._escapeRegex(`${directory}/${stem}`)}(\\d+)${this._escapeRegex(extension)}$`, 'i');
+    const taken = Object.keys(zip.files).map(file => Number((file.match(pattern) || [])[1]) || 0);
+    
+    return `${directory}/${stem}${Math.max(0, ...taken) + 1}${extension}`;
+  }
+
+  /**
+   * Next free relationship id, added to the ids
+   * @private
+   */
+  _nextId(ids) {
+    let n = ids.size + 1;
+    while (ids.has(`rId${n}`)) {
+      n++;
+    }
+    ids.add(`rId${n}`);
+    return `rId${n}`;
+  }
+
+  /**
+   * Read a part as text, or an empty string when it is missing
+   * @private
+   */
+  async _read(zip, name) {
+    const file = zip.file(name);
+    return file ? file.async('text') : '';
+  }
+
+  /**
+   * Sheet name as written in formulas, quoted unless it is a plain name
+   * @private
+   */
+  _quoteName(name) {
+    const escaped = this._escapeXml(name);
+    return this._isPlainName(name) ? escaped : `'${escaped.replace(/'/g, "''")}'`;
+  }
+
+  /**
+   * Check that a sheet name needs no quotes: a word that is not a cell
+   * or R1C1 reference
+   * @private
+   */
+  _isPlainName(name) {
+    return /^[A-Za-z_][\w.]*$/.test(name) &&
+      !/^[A-Za-z]{1,3}\d+$/.test(name) &&
+      !/^(R\d*C\d*|R\d*|C\d*)$/i.test(name) &&
+      !/^(TRUE|FALSE)$/i.test(name);
+  }
+
+  /**
+   * Get an attribute value from an opening tag
+   * @private
+   */
+  _getAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Set an attribute in an attribute string or opening tag
+   * @private
+   */
+  _setAttribute(attributes, name, value) {
+    const pattern = new RegExp(`(\\s${name}=")[^"]*(")`);
+    if (pattern.test(attributes)) {
+      return attributes.replace(pattern, (match, open, close) => `${open}${value}${close}`);
+    }
+    
+    const selfClosing = attributes.match(/^(<[\s\S]*?)(\s*\/?>)$/);
+    return selfClosing ? `${selfClosing[1]} ${name}="${value}"${selfClosing[2]}` : `${attributes} ${name}="${value}"`;
+  }
+
+  /**
+   * Escape a string for use in a regular expression
+   * @private
+   */
+  _escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Escape text for use in XML content
+   * @private
+   */
+  _escapeXml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Escape text for use in an attribute value
+   * @private
+   */
+  _escapeAttribute(text) {
+    return this._escapeXml(text).replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Decode the predefined entities of XML text
+   * @private
+   */
+  _decodeXml(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+}
+
+module.exports = SheetCloner;
@@ -0,0 +1,345 @@
+const path = require('path');
+
+// Private-use characters wrapping the id of a picture placed in a cell,
+// until the cell carries it as `_pictures`
+const PICTURE_START = '\uE005';
+const PICTURE_END = '\uE006';
+const PICTURE_PATTERN = /\uE005([^\uE006]*)\uE006/g;
+const PICTURES = '_pictures';
+
+// Cells, their opening tags and merged cells of a worksheet
+const CELL_PATTERN = /<c(?=[\s>/])([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+const CELL_TAG_PATTERN = /<c(?=[\s>/])[^>]*>/g;
+const MERGE_PATTERN = /<mergeCell\b[^>]*?\sref="([A-Z]+)(\d+):([A-Z]+)(\d+)"/g;
+
+// Worksheet elements that come after `<drawing>`
+const AFTER_DRAWING = ['legacyDrawing', 'legacyDrawingHF', 'drawingHF', 'picture', 'oleObjects', 'controls', 'webPublishItems', 'tableParts', 'extLst'];
+
+const RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const DRAWING_TYPE = `${RELATIONSHIPS}/drawing`;
+const IMAGE_TYPE = `${RELATIONSHIPS}/image`;
+const DRAWING_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.drawing+xml';
+const SPREADSHEET_DRAWING = 'http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing';
+const DRAWINGML = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+
+/**
+ * Sheet pictures placing images in worksheet cells
+ *
+ * Excel does not keep pictures in cells: they float over the sheet in a
+ * drawing part, anchored to a cell. Modules replace their tag with a
+ * placeholder and let the cell carry it (`markCells`), so the picture
+ * follows the cell while rows are repeated and renumbered. Once the sheets
+ * are finished, `anchor` puts the pictures in the sheet's drawing, creating
+ * `xl/drawings/drawingN.xml` when the sheet has none, and adds the media,
+ * relationships and content types. A picture sits at the top left corner of
+ * its cell with its own size (`oneCellAnchor`), or fills the cell when it is
+ * merged (`twoCellAnchor`).
+ */
+class SheetPictures {
+  /**
+   * Text standing for a picture in a cell
+   * @param {string} id - Picture id, unique to the module
+   * @returns {string} - Placeholder, see markCells
+   */
+  placeholder(id) {
+    return `${PICTURE_START}${id}${PICTURE_END}`;
+  }
+
+  /**
+   * Move the placeholders of a rendered worksheet onto their cells
+   * @param {string} content - Rendered worksheet
+   * @returns {string} - Worksheet whose cells list their pictures as
+   *   `_pictures`, placeholders outside cells dropped
+   */
+  markCells(content) {
+    return content.replace(CELL_PATTERN, (cell, attributes, body = '') => {
+      const ids = [...body.matchAll(PICTURE_PATTERN)].map(match => match[1]);
+      
+      if (ids.length === 0) {
+        return cell;
+      }
+      
+      const marked = [...(this._getAttribute(attributes, PICTURES) || '').split(' ').filter(Boolean), ...ids];
+      return `<c${this._setAttribute(attributes, PICTURES, marked.join(' '))}>${body.replace(PICTURE_PATTERN, '')}</c>`;
+    }).replace(PICTURE_PATTERN, '');
+  }
+
+  /**
+   * Anchor the pictures of marked cells in the sheets' drawings
+   * @param {JSZip} zip - Rendered package
+   * @param {Array<string>} sheets - Worksheet parts
+   * @param {Map} pictures - Id to { data, extension, contentType, width,
+   *   height, name, descr }, sizes in EMUs; marks of other ids are kept
+   */
+  async anchor(zip, sheets, pictures) {
+    const state = {
+      contentTypes: await this._read(zip, '[Content_Types].xml'),
+      media: new Map()
+    };
+    
+    for (const sheet of sheets.filter(name => zip.file(name))) {
+      const content = await zip.file(sheet).async('text');
+      const cells = [];
+      
+      const unmarked = content.replace(CELL_TAG_PATTERN, tag => {
+        const ids = (this._getAttribute(tag, PICTURES) || '').split(' ').filter(Boolean);
+        const others = ids.filter(id => !pictures.has(id));
+        
+        ids.filter(id => pictures.has(id)).forEach(id => cells.push({ id, ref: this._getAttribute(tag, 'r') }));
+        
+        if (others.length === ids.length) {
+          return tag;
+        }
+        
+        return others.length > 0 ? this._setAttribute(tag, PICTURES, others.join(' ')) : this._removeAttribute(tag, PICTURES);
+      });
+      
+      if (cells.length === 0) {
+        continue;
+      }
+      
+      const { name, content: drawing, sheetContent } = await this._findDrawing(zip, sheet, unmarked, state);
+      const relsName = this._relsName(name);
+      let relsXml = await this._read(zip, relsName) || '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+      const prefix = (drawing.match(/<(\w+:)?wsDr\b/) || [])[1] || '';
+      const merges = this._merges(sheetContent);
+      const namespaces = [['a', DRAWINGML], ['r', RELATIONSHIPS]]
+        .filter(([name]) => !new RegExp(`<${prefix}wsDr\\b[^>]*\\sxmlns:${name}=`).test(drawing))
+        .map(([name, uri]) => ` xmlns:${name}="${uri}"`)
+        .join('');
+      const embedded = new Map();
+      let shapeId = Math.max(0, ...[...drawing.matchAll(/<(?:\w+:)?cNvPr\b[^>]*?\sid="(\d+)"/g)].map(match => Number(match[1])));
+      
+      const anchors = [];
+      for (const { id, ref } of cells.filter(cell => /^[A-Z]+\d+$/.test(cell.ref || ''))) {
+        const picture = pictures.get(id);
+        
+        if (!embedded.has(id)) {
+          const media = await this._addMedia(zip, picture, id, state);
+          const relationshipId = this._nextId(relsXml);
+          relsXml = relsXml.replace(/<\/Relationships>/, `<Relationship Id="${relationshipId}" Type="${IMAGE_TYPE}" Target="${path.posix.relative(path.posix.dirname(name), media)}"/></Relationships>`);
+          embedded.set(id, relationshipId);
+        }
+        
+        shapeId += 1;
+        anchors.push(this._anchorXml(prefix, namespaces, ref, merges.get(ref), picture, embedded.get(id), shapeId));
+      }
+      
+      zip.file(name, drawing.replace(new RegExp(`</${prefix}wsDr>`), `${anchors.join('')}</${prefix}wsDr>`));
+      zip.file(relsName, relsXml);
+      zip.file(sheet, sheetContent);
+    }
+    
+    zip.file('[Content_Types].xml', state.contentTypes);
+  }
+
+  /**
+   * Find the drawing of a worksheet, or give it a new one
+   * @private
+   * @returns {Promise<Object>} - { name, content, sheetContent }
+   */
+  async _findDrawing(zip, sheet, content, state) {
+    const sheetRels = this._relsName(sheet);
+    let relsXml = await this._read(zip, sheetRels);
+    const id = (content.match(/<drawing\b[^>]*?\sr:id="([^"]*)"/) || [])[1];
+    const relationship = id && [...relsXml.matchAll(/<Relationship\b[^>]*>/g)]
+      .map(([element]) => element)
+      .find(element => this._getAttribute(element, 'Id') === id);
+    
+    if (relationship) {
+      const target = this._getAttribute(relationship, 'Target');
+      const name = target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(path.posix.dirname(sheet), target));
+      
+      if (zip.file(name)) {
+        return { name, content: await zip.file(name).async('text'), sheetContent: content };
+      }
+    }
+    
+    const name = this._nextName(zip, 'xl/drawings/drawing.xml');
+    const relationshipId = this._nextId(relsXml);
+    relsXml = relsXml || '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+    zip.file(sheetRels, relsXml.replace(/<\/Relationships>/, `<Relationship Id="${relationshipId}" Type="${DRAWING_TYPE}" Target="${path.posix.relative(path.posix.dirname(sheet), name)}"/></Relationships>`));
+    state.contentTypes = state.contentTypes.replace(/<\/Types>/, `<Override PartName="/${name}" ContentType="${DRAWING_CONTENT_TYPE}"/></Types>`);
+    
+    // <drawing> goes before the elements the schema puts after it
+    const namespace = /<worksheet\b[^>]*\sxmlns:r=/.test(content) ? '' : ` xmlns:r="${RELATIONSHIPS}"`;
+    const element = `<drawing${namespace} r:id="${relationshipId}"/>`;
+    const next = content.match(new RegExp(`<(?:${AFTER_DRAWING.join('|')})[\\s>/]|</worksheet>`));
+    const sheetContent = next ? content.slice(0, next.index) + element + content.slice(next.index) : content + element;
+    
+    return {
+      name,
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<xdr:wsDr xmlns:xdr="${SPREADSHEET_DRAWING}" xmlns:a="${DRAWINGML}" xmlns:r="${RELATIONSHIPS}"></xdr:wsDr>`,
+      sheetContent
+    };
+  }
+
+  /**
+   * Add the media file of a picture once, with its content type
+   * @private
+   * @returns {Promise<string>} - Media part name
+   */
+  async _addMedia(zip, picture, id, state) {
+    if (state.media.has(id)) {
+      return state.media.get(id);
+    }
+    
+    const extension = picture.extension.toLowerCase();
+    const name = this._nextName(zip, `xl/media/${picture.media || 'image'}.${extension}`);
+    zip.file(name, picture.data);
+    state.media.set(id, name);
+    
+    if (!new RegExp(`<Default\\b[^>]*?\\sExtension="${extension}"`, 'i').test(state.contentTypes)) {
+      state.contentTypes = state.contentTypes.replace(/<\/Types>/, `<Default Extension="${extension}" ContentType="${picture.contentType}"/></Types>`);
+    }
+    
+    return name;
+  }
+
+  /**
+   * Anchor XML of a picture at a cell, filling it when it is merged
+   * @private
+   * @param {string} namespaces - Declarations the drawing's root lacks
+   */
+  _anchorXml(prefix, namespaces, ref, merge, picture, relationshipId, shapeId) {
+    const [, letters, row] = ref.match(/^([A-Z]+)(\d+)$/);
+    const marker = (element, column, rowIndex) => `<${prefix}${element}><${prefix}col>${column}</${prefix}col><${prefix}colOff>0</${prefix}colOff>` +
+      `<${prefix}row>${rowIndex}</${prefix}row><${prefix}rowOff>0</${prefix}rowOff></${prefix}${element}>`;
+    const from = marker('from', this._columnNumber(letters) - 1, Number(row) - 1);
+    const width = Math.round(picture.width);
+    const height = Math.round(picture.height);
+    const pic = `<${prefix}pic><${prefix}nvPicPr><${prefix}cNvPr id="${shapeId}" name="${this._escapeAttribute(picture.name || `Picture ${shapeId}`)}" descr="${this._escapeAttribute(picture.descr || '')}"/>` +
+      `<${prefix}cNvPicPr><a:picLocks noChangeAspect="1"/></${prefix}cNvPicPr></${prefix}nvPicPr>` +
+      `<${prefix}blipFill><a:blip r:embed="${relationshipId}"/><a:stretch><a:fillRect/></a:stretch></${prefix}blipFill>` +
+      `<${prefix}spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${width}" cy="${height}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></${prefix}spPr></${prefix}pic>`;
+    
+    if (merge) {
+      const to = marker('to', merge.column, merge.row);
+      return `<${prefix}twoCellAnchor${namespaces} editAs="oneCell">${from}${to}${pic}<${prefix}clientData/></${prefix}twoCellAnchor>`;
+    }
+    
+    return `<${prefix}oneCellAnchor${namespaces}>${from}<${prefix}ext cx="${width}" cy="${height}"/>${pic}<${prefix}clientData/></${prefix}oneCellAnchor>`;
+  }
+
+  /**
+   * Merged cells by their top left cell
+   * @private
+   * @returns {Map} - Ref to { column, row }: the 1-based column and row of
+   *   the merge's last cell, i.e. the 0-based ones just past it
+   */
+  _merges(content) {
+    return new Map([...content.matchAll(MERGE_PATTERN)].map(([, startColumn, startRow, endColumn, endRow]) => [
+      `${startColumn}${startRow}`,
+      { column: this._columnNumber(endColumn), row: Number(endRow) }
+    ]));
+  }
+
+  /**
+   * Name of the relationships part of a part
+   * @private
+   */
+  _relsName(name) {
+    return `${path.posix.dirname(name)}/_rels/${path.posix.basename(name)}.rels`;
+  }
+
+  /**
+   * Next free part name numbered after the given one (drawing.xml ->
+   * drawing3.xml)
+   * @private
+   */
+  _nextName(zip, name) {
+    const directory = path.posix.dirname(name);
+    const extension = path.posix.extname(name);
+    const stem = path.posix.basename(name, extension).replace(/\d+$/, '');
+    const pattern = new RegExp(`^${this._escapeRegex(`${directory}/${stem}`)}(\\d+)\\.[^./]+$`, 'i');
+    const taken = Object.keys(zip.files).map(file => Number((file.match(pattern) || [])[1]) || 0);
+    
+    return `${directory}/${stem}${Math.max(0, ...taken) + 1}${extension}`;
+  }
+
+  /**
+   * Next relationship id free in a relationships part
+   * @private
+   */
+  _nextId(relsXml) {
+    const ids = new Set([...(relsXml || '').matchAll(/\sId="([^"]*)"/g)].map(match => match[1]));
+    let n = ids.size + 1;
+    
+    while (ids.has(`rId${n}`)) {
+      n++;
+    }
+    
+    return `rId${n}`;
+  }
+
+  /**
+   * Read a part as text, or an empty string when it is missing
+   * @private
+   */
+  async _read(zip, name) {
+    const file = zip.file(name);
+    return file ? file.async('text') : '';
+  }
+
+  /**
+   * Get an attribute value from an attribute string or opening tag
+   * @private
+   */
+  _getAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Set an attribute in an attribute string or opening tag
+   * @private
+   */
+  _setAttribute(attributes, name, value) {
+    const pattern = new RegExp(`(\\s${name}=")[^"]*(")`);
+    
+    if (pattern.test(attributes)) {
+      return attributes.replace(pattern, (match, open, close) => `${open}${value}${close}`);
+    }
+    
+    const tag = attributes.match(/^(<[\s\S]*?)(\s*\/?>)$/);
+    return tag ? `${tag[1]} ${name}="${value}"${tag[2]}` : `${attributes} ${name}="${value}"`;
+  }
+
+  /**
+   * Remove an attribute from an attribute string or opening tag
+   * @private
+   */
+  _removeAttribute(attributes, name) {
+    return attributes.replace(new RegExp(`\\s${name}="[^"]*"`), '');
+  }
+
+  /**
+   * Column number of column letters (A = 1)
+   * @private
+   */
+  _columnNumber(letters) {
+    return [...letters].reduce((number, letter) => number * 26 + letter.charCodeAt(0) - 64, 0);
+  }
+
+  /**
+   * Escape a string for use in a regular expression
+   * @private
+   */
+  _escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Escape text for use in an attribute value
+   * @private
+   */
+  _escapeAttribute(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = SheetPictures;
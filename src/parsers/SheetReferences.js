@@ -0,0 +1,570 @@
+// A1 references in formulas: an optional sheet, then a cell or cell range,
+// a range of whole rows or a range of whole columns. Preceding characters
+// rule out the middle of names, external workbooks ([1]Sheet1!A1) and 3D
+// ranges
+const REFERENCE_PATTERN = /(^|[^\w.$!'\]:])((?:'(?:[^']|'')+'|[A-Za-z_][\w.]*)!)?(?:(\$?)([A-Z]{1,3})(\$?)(\d+)(?::(\$?)([A-Z]{1,3})(\$?)(\d+))?|(\$?)(\d+):(\$?)(\d+)|(\$?)([A-Z]{1,3}):(\$?)([A-Z]{1,3}))(?![\w(.!:])/g;
+
+// String literals in formulas, XML-escaped or not, which are left alone
+const STRING_PATTERN = /(&quot;(?:[^&]|&(?!quot;)|&quot;&quot;)*?&quot;|"(?:[^"]|"")*")/;
+
+// A cell range in a `ref` or `sqref` attribute
+const RANGE_PATTERN = /^(\$?)([A-Z]+)(\$?)(\d+)(?::(\$?)([A-Z]+)(\$?)(\d+))?$/;
+
+// Cells of a worksheet, and their formulas
+const CELL_PATTERN = /<c(?=[\s>/])([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+const FORMULA_PATTERN = /(<f(?:\s[^>]*)?>)([^<]*)(<\/f>)/g;
+const FORMULA_ELEMENT_PATTERN = /<f(?=[\s>/])([^>]*?)(?:\/>|>([^<]*)<\/f>)/;
+
+// Last row and column of a worksheet
+const MAX_ROW = 1048576;
+const MAX_COLUMN = 16384;
+
+// Worksheet elements whose references follow the rows or columns: ranges
+// covering repeated ones grow, and ranges within them are repeated
+const RANGE_ATTRIBUTES = [
+  { element: 'conditionalFormatting', attribute: 'sqref' },
+  { element: 'dataValidation', attribute: 'sqref' },
+  { element: 'ignoredError', attribute: 'sqref' },
+  { element: 'protectedRange', attribute: 'sqref' },
+  { element: 'autoFilter', attribute: 'ref' },
+  { element: 'sortState', attribute: 'ref' },
+  { element: 'sortCondition', attribute: 'ref' }
+];
+const REPEATED_ELEMENTS = ['mergeCell', 'hyperlink'];
+
+// Lists holding those elements, dropped once empty
+const CONTAINERS = {
+  mergeCells: 'mergeCell',
+  hyperlinks: 'hyperlink',
+  dataValidations: 'dataValidation',
+  ignoredErrors: 'ignoredError',
+  protectedRanges: 'protectedRange'
+};
+
+// Formulas outside cells, relative to the ranges above
+const FORMULA_ELEMENTS = ['formula', 'formula1', 'formula2'];
+
+/**
+ * References of a worksheet following its rows or columns
+ *
+ * Row loops (SpreadsheetProcessor) and column loops (XlsxModule) repeat and
+ * remove rows or columns of a sheet; both then update the references into
+ * it the same way, along their axis. A layout describes the new positions:
+ * `layout.copiesOf(original)` gives the new number of each copy of an
+ * original row or column, none once a loop removed it.
+ *
+ * - references to a single row or column move with it, to its first copy;
+ * - ranges grow over repeated rows or columns and shrink over removed ones;
+ *   ranges whose rows or columns are all gone become `#REF!`;
+ * - relative references in a formula of a repeated cell point at the copy
+ *   in the same repetition, as when a row or column is copied in Excel;
+ * - merged cells and hyperlinks within repeated rows or columns are repeated
+ *   with them.
+ */
+class SheetReferences {
+  /**
+   * @param {string} axis - 'row' or 'column'
+   */
+  constructor(axis) {
+    this.axis = axis;
+  }
+
+  /**
+   * Update the references of a formula
+   * @param {string} formula - Formula text (XML-escaped)
+   * @param {Function} resolve - (sheetName or null for the formula's own
+   *   sheet) -> { part, layout } of a sheet whose references change, or null
+   * @param {Object} context - { part, cell }: the sheet holding the formula,
+   *   if any, and for a formula of a repeated cell, the original row or
+   *   column (`original`) and repetition (`copy`) of the cell
+   * @returns {string} - Updated formula
+   */
+  shiftFormula(formula, resolve, context) {
+    return this._mapReferences(formula, (parts, sheetName, sheet) => {
+      const target = sheet || context.part ? resolve(sheetName) : null;
+      const [start, end = start] = parts;
+      
+      if (!target || this._coordinate(start) === undefined) {
+        return null;
+      }
+      
+      const own = target.part === context.part ? context.cell : null;
+      const mapped = this._mapReference(target.layout, [this._coordinate(start), this._coordinate(end)],
+        [this._isAbsolute(start), this._isAbsolute(end)], parts.length === 1, own);
+      
+      return mapped && parts.map((part, i) => this._setCoordinate(part, mapped[i]));
+    });
+  }
+
+  /**
+   * Update the formulas of the cells in some XML
+   * @param {string} xml - Cells or whole worksheet
+   * @param {Function} resolve - See shiftFormula
+   * @param {Object} context - See shiftFormula
+   * @returns {string} - XML with updated formulas
+   */
+  shiftFormulas(xml, resolve, context) {
+    return xml.replace(FORMULA_PATTERN, (match, open, formula, close) => open + this.shiftFormula(formula, resolve, context) + close);
+  }
+
+  /**
+   * Update the formula of a cell and the range it spans (array and shared
+   * formulas). The range of a repeated cell covers its own copy, like its
+   * relative references.
+   * @param {string} cell - Cell XML
+   * @param {Object} layout - Layout of the cell's sheet
+   * @param {Function} resolve - See shiftFormula
+   * @param {Object} context - See shiftFormula
+   * @returns {string} - Updated cell
+   */
+  shiftCell(cell, layout, resolve, context) {
+    const shiftRef = ref => this._mapReferences(ref, parts => {
+      const [start, end = start] = parts;
+      const mapped = this._mapReference(layout, [this._coordinate(start), this._coordinate(end)], [false, false], parts.length === 1, context.cell);
+      return mapped && parts.map((part, i) => this._setCoordinate(part, mapped[i]));
+    });
+    
+    return this.shiftFormulas(cell, resolve, context)
+      .replace(/(<f\b[^>]*?\sref=")([^"]*)(")/g, (match, before, ref, after) => before + shiftRef(ref) + after);
+  }
+
+  /**
+   * Write shared formulas out in each of their cells
+   *
+   * The cells of a shared formula hold no formula of their own: Excel
+   * translates the formula of the group's first cell by their distance to
+   * it. Once loops repeat, remove or move cells, copies would join the same
+   * group, cells could lose its first cell, and distances and the ranges a
+   * formula covers no longer match, so every cell gets a plain formula
+   * instead, translated as Excel does, before references are updated.
+   * @param {string} content - Worksheet, its cells at their original place
+   * @param {string} [source] - Worksheet holding the first cell of each
+   *   group, when loops may have removed it (the template)
+   * @returns {string} - Updated worksheet
+   */
+  expandSharedFormulas(content, source = content) {
+    const shared = xml => [...xml.matchAll(CELL_PATTERN)].map(([cell, attributes]) => {
+      const formula = cell.match(FORMULA_ELEMENT_PATTERN);
+      const position = this._cellPosition(attributes);
+      return formula && position && this.getAttribute(formula[1], 't') === 'shared' ?
+        { position, si: this.getAttribute(formula[1], 'si'), ref: this.getAttribute(formula[1], 'ref'), formula: formula[2] || '' } :
+        null;
+    }).filter(Boolean);
+    
+    const masters = new Map(shared(source).filter(cell => cell.ref !== null).map(cell => [cell.si, cell]));
+    
+    if (masters.size === 0) {
+      return content;
+    }
+    
+    return content.replace(CELL_PATTERN, (cell, attributes) => cell.replace(FORMULA_ELEMENT_PATTERN, (element, formulaAttributes) => {
+      const si = this.getAttribute(formulaAttributes, 'si');
+      
+      if (this.getAttribute(formulaAttributes, 't') !== 'shared' || !masters.has(si)) {
+        return element;
+      }
+      
+      const master = masters.get(si);
+      const position = this._cellPosition(attributes);
+      const formula = this.translateFormula(master.formula, position.column - master.position.column, position.row - master.position.row);
+      const rest = ['t', 'si', 'ref'].reduce((updated, name) => this.removeAttribute(updated, name), formulaAttributes);
+      return `<f${rest}>${formula}</f>`;
+    }));
+  }
+
+  /**
+   * Move the relative references of a formula, as when it is copied to
+   * another cell; references moved off the sheet become `#REF!`
+   * @param {string} formula - Formula text (XML-escaped)
+   * @param {number} columns - Columns to move by
+   * @param {number} rows - Rows to move by
+   * @returns {string} - Translated formula
+   */
+  translateFormula(formula, columns, rows) {
+    if (columns === 0 && rows === 0) {
+      return formula;
+    }
+    
+    return this._mapReferences(formula, parts => {
+      const moved = parts.map(part => ({
+        ...part,
+        column: part.column === undefined || part.columnAbsolute ? part.column : this.columnNumber(part.column) + columns,
+        row: part.row === undefined || part.rowAbsolute ? part.row : Number(part.row) + rows
+      }));
+      
+      if (moved.some(part => (typeof part.column === 'number' && (part.column < 1 || part.column > MAX_COLUMN)) ||
+        (typeof part.row === 'number' && (part.row < 1 || part.row > MAX_ROW)))) {
+        return false;
+      }
+      
+      return moved.map(part => ({
+        ...part,
+        column: typeof part.column === 'number' ? this.columnName(part.column) : part.column,
+        row: part.row === undefined ? part.row : String(part.row)
+      }));
+    });
+  }
+
+  /**
+   * Update a space-separated list of ranges (`sqref`, `ref`)
+   * @param {string} value - Ranges
+   * @param {Object} layout - Layout of the sheet
+   * @param {boolean} [repeat] - Repeat ranges within repeated rows or
+   *   columns once per copy (merged cells, hyperlinks) instead of growing them
+   * @returns {string} - Updated ranges, '' when all are gone
+   */
+  shiftRanges(value, layout, repeat = false) {
+    return value.split(/\s+/).filter(Boolean).flatMap(range => {
+      const match = range.match(RANGE_PATTERN);
+      
+      if (!match) {
+        return [range];
+      }
+      
+      const [, columnAbsolute, column, rowAbsolute, row] = match;
+      const start = { columnAbsolute, column, rowAbsolute, row };
+      const end = match[6] === undefined ?
+        start :
+        { columnAbsolute: match[5], column: match[6], rowAbsolute: match[7], row: match[8] };
+      const format = ([first, last]) => (match[6] === undefined && first === last ?
+        this._formatPart(this._setCoordinate(start, first)) :
+        `${this._formatPart(this._setCoordinate(start, first))}:${this._formatPart(this._setCoordinate(end, last))}`);
+      const startCopies = layout.copiesOf(this._coordinate(start));
+      const endCopies = layout.copiesOf(this._coordinate(end));
+      
+      if (repeat && startCopies.length > 1 && endCopies.length === startCopies.length) {
+        return startCopies.map((first, copy) => format([first, endCopies[copy]]));
+      }
+      
+      const mapped = this.mapRange(layout, this._coordinate(start), this._coordinate(end));
+      return mapped ? [format(mapped)] : [];
+    }).join(' ');
+  }
+
+  /**
+   * Map a range of rows or columns, growing over repeated ones and
+   * shrinking over removed ones
+   * @param {Object} layout - Layout of the sheet
+   * @param {number} start - First original row or column
+   * @param {number} end - Last original row or column
+   * @returns {Array|null} - [start, end], or null when all were removed
+   */
+  mapRange(layout, start, end) {
+    let first = start;
+    let last = end;
+    
+    while (first <= last && layout.copiesOf(first).length === 0) {
+      first++;
+    }
+    while (last >= first && layout.copiesOf(last).length === 0) {
+      last--;
+    }
+    
+    if (first > last) {
+      return null;
+    }
+    
+    const lastCopies = layout.copiesOf(last);
+    return [layout.copiesOf(first)[0], lastCopies[lastCopies.length - 1]];
+  }
+
+  /**
+   * Update the ranges of a worksheet: elements whose rows or columns are all
+   * gone are dropped, and merged cells and hyperlinks are repeated
+   * @param {string} content - Worksheet
+   * @param {Object} layout - Layout of the worksheet
+   * @returns {string} - Updated worksheet
+   */
+  updateRanges(content, layout) {
+    let updated = content;
+    
+    for (const { element, attribute } of RANGE_ATTRIBUTES) {
+      updated = this.updateElements(updated, element, tag => {
+        const value = this.getAttribute(tag, attribute);
+        const shifted = value === null ? null : this.shiftRanges(value, layout);
+        return shifted === null ? [tag] : shifted ? [this.setAttribute(tag, attribute, shifted)] : [];
+      });
+    }
+    for (const element of REPEATED_ELEMENTS) {
+      updated = this.updateElements(updated, element, tag => {
+        const ref = this.getAttribute(tag, 'ref');
+        const ranges = ref === null ? null : this.shiftRanges(ref, layout, true).split(' ').filter(Boolean);
+        return ranges === null ? [tag] : ranges.map(range => this.setAttribute(tag, 'ref', range));
+      });
+    }
+    
+    return updated;
+  }
+
+  /**
+   * Update the counts of the lists holding ranges, dropping empty ones
+   * @param {string} content - Worksheet
+   * @param {Object} [containers] - More lists: element name -> item name
+   * @returns {string} - Updated worksheet
+   */
+  updateContainers(content, containers = {}) {
+    let updated = content;
+    
+    for (const [container, element] of Object.entries({ ...CONTAINERS, ...containers })) {
+      updated = this.updateElements(updated, container, (tag, whole) => {
+        const count = (whole.match(new RegExp(`<${element}(?=[\\s>/])`, 'g')) || []).length;
+        if (count === 0) {
+          return [];
+        }
+        return [this.getAttribute(tag, 'count') === null ? tag : this.setAttribute(tag, 'count', String(count))];
+      });
+    }
+    
+    return updated;
+  }
+
+  /**
+   * Update the formulas of a worksheet found outside its cells (conditional
+   * formatting, data validation)
+   * @param {string} content - Worksheet
+   * @param {Function} resolve - See shiftFormula
+   * @param {string} part - Worksheet part name
+   * @returns {string} - Updated worksheet
+   */
+  updateFormulaElements(content, resolve, part) {
+    return content.replace(new RegExp(`(<(${FORMULA_ELEMENTS.join('|')})>)([^<]*)(</\\2>)`, 'g'),
+      (match, open, name, formula, close) => open + this.shiftFormula(formula, resolve, { part, cell: null }) + close);
+  }
+
+  /**
+   * Recompute `<dimension>` from the cells of a worksheet
+   * @param {string} content - Worksheet
+   * @returns {string} - Updated worksheet
+   */
+  updateDimension(content) {
+    const refs = [...content.matchAll(/<c(?=[\s>/])[^>]*?\sr="([A-Z]+)(\d+)"/g)];
+    
+    if (refs.length === 0) {
+      return content;
+    }
+    
+    const columns = refs.map(([, column]) => this.columnNumber(column));
+    const rows = refs.map(([, , row]) => Number(row));
+    const first = `${this.columnName(Math.min(...columns))}${Math.min(...rows)}`;
+    const last = `${this.columnName(Math.max(...columns))}${Math.max(...rows)}`;
+    
+    return content.replace(/(<dimension\b[^>]*?\sref=")[^"]*(")/, `$1${first === last ? first : `${first}:${last}`}$2`);
+  }
+
+  /**
+   * Rewrite the opening tags of an element, possibly into several
+   * @param {string} content - XML
+   * @param {string} element - Element name
+   * @param {Function} update - (opening tag, whole element) -> array of
+   *   opening tags, empty to remove the element
+   * @returns {string} - Updated XML
+   */
+  updateElements(content, element, update) {
+    return content.replace(new RegExp(`<${element}(?=[\\s>/])[^>]*?(?:/>|>[\\s\\S]*?</${element}>)`, 'g'), whole => {
+      const tag = whole.match(new RegExp(`^<${element}[^>]*?(?=/?>)`))[0];
+      const rest = whole.slice(tag.length);
+      return update(tag, whole).map(updated => updated + rest).join('');
+    });
+  }
+
+  /**
+   * Get an attribute value from an attribute string or opening tag
+   * @param {string} attributes - Attribute string or opening tag
+   * @param {string} name - Attribute name
+   * @returns {string|null} - Value, or null when the attribute is missing
+   */
+  getAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Set an attribute in an attribute string or opening tag
+   * @param {string} attributes - Attribute string or opening tag
+   * @param {string} name - Attribute name
+   * @param {string} value - Escaped value
+   * @returns {string} - Updated attributes
+   */
+  setAttribute(attributes, name, value) {
+    const pattern = new RegExp(`(\\s${name}=")[^"]*(")`);
+    return pattern.test(attributes) ?
+      attributes.replace(pattern, `$1${value}$2`) :
+      `${attributes} ${name}="${value}"`;
+  }
+
+  /**
+   * Remove an attribute from an attribute string
+   * @param {string} attributes - Attribute string or opening tag
+   * @param {string} name - Attribute name
+   * @returns {string} - Updated attributes
+   */
+  removeAttribute(attributes, name) {
+    return attributes.replace(new RegExp(`\\s${name}="[^"]*"`), '');
+  }
+
+  /**
+   * Column number of column letters (A = 1)
+   * @param {string} letters - Column letters
+   * @returns {number}
+   */
+  columnNumber(letters) {
+    return [...letters].reduce((number, letter) => number * 26 + letter.charCodeAt(0) - 64, 0);
+  }
+
+  /**
+   * Column letters of a column number (1 = A)
+   * @param {number} number - Column number
+   * @returns {string}
+   */
+  columnName(number) {
+    let name = '';
+    
+    for (let rest = number; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+      name = String.fromCharCode(65 + ((rest - 1) % 26)) + name;
+    }
+    
+    return name;
+  }
+
+  /**
+   * Rewrite the references of a formula, leaving string literals alone
+   * @private
+   * @param {Function} map - (parts, sheet name or null, sheet prefix) ->
+   *   new parts, null to keep the reference or false for `#REF!`; parts
+   *   are { columnAbsolute, column, rowAbsolute, row } for each end, with
+   *   the column or row missing for ranges of whole rows or columns
+   */
+  _mapReferences(formula, map) {
+    return formula.split(STRING_PATTERN).map((segment, i) => (i % 2 === 1 ? segment : segment.replace(REFERENCE_PATTERN, (match, before, sheet, ...groups) => {
+      const [
+        startColumnAbsolute, startColumn, startRowAbsolute, startRow, endColumnAbsolute, endColumn, endRowAbsolute, endRow,
+        rowStartAbsolute, rowStart, rowEndAbsolute, rowEnd, columnStartAbsolute, columnStart, columnEndAbsolute, columnEnd
+      ] = groups;
+      let parts;
+      
+      if (startColumn !== undefined) {
+        parts = [{ columnAbsolute: startColumnAbsolute, column: startColumn, rowAbsolute: startRowAbsolute, row: startRow }];
+        if (endColumn !== undefined) {
+          parts.push({ columnAbsolute: endColumnAbsolute, column: endColumn, rowAbsolute: endRowAbsolute, row: endRow });
+        }
+      } else if (rowStart !== undefined) {
+        parts = [{ rowAbsolute: rowStartAbsolute, row: rowStart }, { rowAbsolute: rowEndAbsolute, row: rowEnd }];
+      } else {
+        parts = [{ columnAbsolute: columnStartAbsolute, column: columnStart }, { columnAbsolute: columnEndAbsolute, column: columnEnd }];
+      }
+      
+      if (parts.some(part => part.column !== undefined && !this._isColumn(part.column))) {
+        return match;
+      }
+      
+      const sheetName = sheet ? sheet.slice(0, -1).replace(/^'|'$/g, '').replace(/''/g, "'") : null;
+      const mapped = map(parts, sheetName, sheet);
+      
+      if (mapped === null) {
+        return match;
+      }
+      
+      return mapped ?
+        `${before}${sheet || ''}${mapped.map(part => this._formatPart(part)).join(':')}` :
+        `${before}${sheet || ''}#REF!`;
+    }))).join('');
+  }
+
+  /**
+   * Map the rows or columns of a reference
+   * @private
+   * @param {Array} positions - [start, end] original rows or columns
+   * @param {Array} absolute - Whether each end is absolute
+   * @param {boolean} single - A single cell rather than a range
+   * @param {Object} [own] - { original, copy } of the repeated cell holding
+   *   the formula, on the same sheet
+   * @returns {Array|null} - [start, end], or null once they are gone
+   */
+  _mapReference(layout, [start, end], absolute, single, own) {
+    // Relative references inside repeated rows or columns point at their own copy
+    const ownCopies = own ? layout.copiesOf(own.original) : [];
+    const copyOf = (position, isAbsolute) => {
+      if (isAbsolute || ownCopies.length < 2) {
+        return undefined;
+      }
+      const copies = layout.copiesOf(position);
+      return copies.length === ownCopies.length ? copies[own.copy] : undefined;
+    };
+    
+    const first = copyOf(start, absolute[0]);
+    const last = copyOf(end, absolute[1]);
+    
+    if (single) {
+      if (first !== undefined) {
+        return [first, first];
+      }
+      const [position] = layout.copiesOf(start);
+      return position === undefined ? null : [position, position];
+    }
+    
+    if (first !== undefined && last !== undefined) {
+      return [first, last];
+    }
+    
+    const range = this.mapRange(layout, start, end);
+    return range ? [first !== undefined ? first : range[0], last !== undefined ? last : range[1]] : null;
+  }
+
+  /**
+   * Row or column number of a reference end, along this axis
+   * @private
+   */
+  _coordinate(part) {
+    if (this.axis === 'row') {
+      return part.row === undefined ? undefined : Number(part.row);
+    }
+    return part.column === undefined ? undefined : this.columnNumber(part.column);
+  }
+
+  /**
+   * Whether a reference end is absolute along this axis
+   * @private
+   */
+  _isAbsolute(part) {
+    return this.axis === 'row' ? part.rowAbsolute === '$' : part.columnAbsolute === '$';
+  }
+
+  /**
+   * Copy of a reference end moved to a row or column along this axis
+   * @private
+   */
+  _setCoordinate(part, position) {
+    return this.axis === 'row' ?
+      { ...part, row: String(position) } :
+      { ...part, column: this.columnName(position) };
+  }
+
+  /**
+   * Write a reference end
+   * @private
+   */
+  _formatPart(part) {
+    return (part.column === undefined ? '' : `${part.columnAbsolute}${part.column}`) +
+      (part.row === undefined ? '' : `${part.rowAbsolute}${part.row}`);
+  }
+
+  /**
+   * Column and row numbers of a cell, from its attributes
+   * @private
+   * @returns {Object|null} - { column, row }
+   */
+  _cellPosition(attributes) {
+    const match = (this.getAttribute(attributes, 'r') || '').match(/^\$?([A-Z]+)\$?(\d+)$/);
+    return match ? { column: this.columnNumber(match[1]), row: Number(match[2]) } : null;
+  }
+
+  /**
+   * Check that letters name a column (A to XFD)
+   * @private
+   */
+  _isColumn(letters) {
+    return letters.length < 3 || letters <= 'XFD';
+  }
+}
+
+module.exports = SheetReferences;
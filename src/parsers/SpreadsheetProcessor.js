@@ -0,0 +1,710 @@
+const PartLocator = require('./PartLocator');
+const SheetReferences = require('./SheetReferences');
+
+// Private-use characters wrapping a placeholder value that can become a
+// typed cell: the type (n, b or d) and raw value, then the formatted text
+const VALUE_START = '\uE002';
+const VALUE_TEXT = '\uE003';
+const VALUE_END = '\uE004';
+const VALUE_PATTERN = /\uE002([nbd])([^\uE003]*)\uE003([^\uE004]*)\uE004/g;
+const SINGLE_VALUE_PATTERN = /^\uE002([nbd])([^\uE003]*)\uE003([^\uE004]*)\uE004$/;
+
+// Cells, rows and text nodes of a worksheet
+const CELL_PATTERN = /<c(?=[\s>/])([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+const ROW_PATTERN = /<row(?=[\s>/])([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+const TEXT_PATTERN = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+
+// Formulas a table column can hold
+const TABLE_FORMULAS = ['calculatedColumnFormula', 'totalsRowFormula'];
+
+// Built-in number formats showing dates and times
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58]);
+
+// Formats given to date cells whose style does not show a date
+const DATE_FORMAT = 14;
+const DATE_TIME_FORMAT = 22;
+
+// Excel serial day 0, as used by the 1900 date system
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Spreadsheet processor turning rendered worksheets into valid workbooks
+ *
+ * Excel keeps cell text in a shared strings table that cells point at by
+ * index, so before a workbook is rendered every cell using a shared string
+ * with tags gets its own inline copy, marked with the string's index. The
+ * sheets are then templated like any other part: a loop whose tags sit in
+ * different cells repeats the enclosing rows. Once rendered:
+ *
+ * - a cell holding nothing but a number, boolean or date placeholder becomes
+ *   a typed cell (`t="n"`, `t="b"`, dates as serial numbers with a date
+ *   format);
+ * - inline copies go back to the shared strings table; the first value
+ *   keeps the original entry and values that diverge get entries of their
+ *   own;
+ * - rows are renumbered, and everything referring to them follows:
+ *   `<dimension>`, merged cells, hyperlinks, conditional formatting, data
+ *   validation, formulas on every sheet and defined names. Ranges covering
+ *   repeated rows grow to cover every copy, formulas inside a repeated row
+ *   point at their own copy, and references to rows a loop removed become
+ *   `#REF!`, as when rows are inserted and deleted in Excel;
+ * - tables (`xl/tables/tableN.xml`) follow their rows: `ref`, autoFilter,
+ *   sort ranges and column formulas. Excel needs a data row in every table,
+ *   so when loops leave none, the table's first data row is kept, empty.
+ */
+class SpreadsheetProcessor {
+  constructor(options = {}) {
+    this.options = {
+      delimiters: { start: '{{', end: '}}' },
+      moduleDelimiters: { start: '{%', end: '%}' },
+      rawXmlDelimiter: { start: '{@', end: '}' },
+      ...options
+    };
+    
+    this.partLocator = new PartLocator();
+    this.rowReferences = new SheetReferences('row');
+  }
+
+  /**
+   * Mark an inserted value so that a cell holding only it becomes typed
+   * @param {*} value - Placeholder value
+   * @param {string} text - Formatted, escaped text of the value
+   * @param {string} [timeZone] - Time zone giving the wall time of dates
+   * @returns {string} - Marked text, or the text for values without a cell type
+   */
+  markValue(value, text, timeZone = undefined) {
+    let type = null;
+    let raw = null;
+    
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      type = 'n';
+      raw = String(value);
+    } else if (typeof value === 'boolean') {
+      type = 'b';
+      raw = value ? '1' : '0';
+    } else if (value instanceof Date && !Number.isNaN(value.getTime())) {
+      type = 'd';
+      raw = String(this._toSerial(value, timeZone));
+    }
+    
+    return type ? `${VALUE_START}${type}${raw}${VALUE_TEXT}${text}${VALUE_END}` : text;
+  }
+
+  /**
+   * Give the cells using shared strings with tags their own inline copy
+   * @param {JSZip} zip - Spreadsheet package
+   * @param {Array<string>} names - Parts to read
+   * @returns {Promise<Map>} - Part name to content, cells using a shared
+   *   string with tags turned into inline strings carrying its index as `_si`
+   */
+  async inlineSharedStrings(zip, names) {
+    const { sharedStrings } = await this.partLocator.locateWorkbook(zip);
+    const { items } = await this._readSharedStrings(zip, sharedStrings);
+    const templated = items.map(item => this._hasTags(item));
+    const contents = new Map();
+    
+    for (const name of names) {
+      const content = await zip.file(name).async('text');
+      
+      contents.set(name, content.replace(CELL_PATTERN, (cell, attributes, body = '') => {
+        const index = Number((body.match(/<v>(\d+)<\/v>/) || [])[1]);
+        
+        if (this.rowReferences.getAttribute(attributes, 't') !== 's' || !templated[index]) {
+          return cell;
+        }
+        
+        const inline = this.rowReferences.setAttribute(this.rowReferences.setAttribute(attributes, 't', 'inlineStr'), '_si', String(index));
+        return `<c${inline}><is>${items[index]}</is></c>`;
+      }));
+    }
+    
+    return contents;
+  }
+
+  /**
+   * Finish rendered worksheets: type cells, share strings again, renumber
+   * rows and update everything referring to them
+   * @param {JSZip} zip - Rendered package
+   * @param {Map} templates - Part name to content before rendering, as
+   *   returned by inlineSharedStrings
+   * @returns {Promise<Object>} - References of the rendered sheets, for
+   *   parts that point into them: { sheets, tables: sheet -> table parts,
+   *   shiftRange(part, ref), shiftFormula(part, formula) }, shiftRange giving
+   *   '' for a range whose rows are all gone
+   */
+  async finish(zip, templates) {
+    const workbook = await this.partLocator.locateWorkbook(zip);
+    const strings = await this._readSharedStrings(zip, workbook.sharedStrings);
+    const styles = await this._readStyles(zip, workbook.styles);
+    
+    // Shared strings still used by sheets that were not templated keep their entry
+    for (const { part } of workbook.sheets.filter(sheet => !templates.has(sheet.part))) {
+      this._sharedIndexes(await zip.file(part).async('text')).forEach(index => strings.reserved.add(index));
+    }
+    
+    const sheets = new Map();
+    const tables = new Map();
+    for (const [name, template] of templates) {
+      const sheetTables = [];
+      for (const table of await this.partLocator.locateRelated(zip, name, 'table')) {
+        sheetTables.push({ name: table, content: await zip.file(table).async('text') });
+      }
+      
+      const content = this._keepTableRows(template, this._finishCells(await zip.file(name).async('text'), strings, styles), sheetTables);
+      sheets.set(name, { content, template, layout: this._layoutRows(template, content) });
+      tables.set(name, sheetTables);
+    }
+    
+    // Entries with tags that no cell uses any more (e.g. in rows a loop
+    // removed) are emptied
+    strings.items.forEach((item, index) => {
+      if (!strings.claimed.has(index) && !strings.reserved.has(index) && this._hasTags(item)) {
+        strings.items[index] = '<t/>';
+        strings.changed = true;
+      }
+    });
+    
+    const partsByName = new Map(workbook.sheets.map(sheet => [sheet.name, sheet.part]));
+    const resolve = (sheetName, part) => {
+      const target = sheetName === null ? part : partsByName.get(sheetName);
+      return target && sheets.has(target) ? { part: target, layout: sheets.get(target).layout } : null;
+    };
+    
+    // Shared formulas are written out in every cell once loops move rows
+    const moved = [...sheets.values()].some(({ layout }) => layout.removed.size > 0 || layout.rows.some(row => row.copy > 0));
+    
+    let formulas = false;
+    for (const [name, { content, template, layout }] of sheets) {
+      const expanded = moved ? this.rowReferences.expandSharedFormulas(content, template) : content;
+      const finished = this._renumber(expanded, layout, sheetName => resolve(sheetName, name), name);
+      formulas = formulas || /<f[\s>]/.test(finished);
+      zip.file(name, finished);
+    }
+    
+    for (const [name, sheetTables] of tables) {
+      for (const table of sheetTables) {
+        zip.file(table.name, this._updateTable(table.content, sheets.get(name).layout, sheetName => resolve(sheetName, name), name));
+      }
+    }
+    
+    if (workbook.sheets.length > 0) {
+      const workbookXml = await zip.file(workbook.workbook).async('text');
+      const updated = this._updateWorkbook(workbookXml, sheetName => resolve(sheetName, null), formulas);
+      if (updated !== workbookXml) {
+        zip.file(workbook.workbook, updated);
+      }
+    }
+    
+    if (strings.changed) {
+      zip.file(workbook.sharedStrings, await this._writeSharedStrings(zip, workbook, strings));
+    }
+    if (styles && styles.changed) {
+      zip.file(workbook.styles, this._writeStyles(styles));
+    }
+    
+    return {
+      sheets: [...sheets.keys()],
+      tables: new Map([...tables].map(([name, sheetTables]) => [name, sheetTables.map(table => table.name)])),
+      shiftRange: (part, ref) => (sheets.has(part) ? this.rowReferences.shiftRanges(ref, sheets.get(part).layout) : ref),
+      shiftFormula: (part, formula) => this.rowReferences.shiftFormula(formula, sheetName => resolve(sheetName, part), { part, cell: null })
+    };
+  }
+
+  /**
+   * Type, unwrap and share the cells of a rendered worksheet
+   * @private
+   */
+  _finishCells(content, strings, styles) {
+    const finished = content.replace(CELL_PATTERN, (cell, attributes, body = '') => {
+      const origin = this.rowReferences.getAttribute(attributes, '_si');
+      const inline = this.rowReferences.getAttribute(attributes, 't') === 'inlineStr' && /<is[\s>]/.test(body);
+      
+      if (!inline && origin === null && !body.includes(VALUE_START)) {
+        return cell;
+      }
+      
+      let cellAttributes = this.rowReferences.removeAttribute(attributes, '_si');
+      
+      if (inline) {
+        const text = [...body.matchAll(TEXT_PATTERN)].map(match => match[1]).join('');
+        const typed = text.match(SINGLE_VALUE_PATTERN);
+        
+        if (typed) {
+          const [, type, raw] = typed;
+          cellAttributes = this.rowReferences.setAttribute(cellAttributes, 't', type === 'b' ? 'b' : 'n');
+          if (type === 'd' && styles) {
+            cellAttributes = this.rowReferences.setAttribute(cellAttributes, 's', String(this._dateStyle(styles, this.rowReferences.getAttribute(cellAttributes, 's'), Number(raw))));
+          }
+          return `<c${cellAttributes}><v>${raw}</v></c>`;
+        }
+        
+        const unwrapped = this._unwrap(body);
+        
+        // Cells left empty, e.g. by loop tags, keep only their style
+        if (text.replace(VALUE_PATTERN, '$3') === '') {
+          return `<c${this.rowReferences.removeAttribute(cellAttributes, 't')}/>`;
+        }
+        
+        if (origin !== null) {
+          const index = this._shareString(strings, Number(origin), unwrapped.replace(/^[\s\S]*?<is(?:\s[^>]*)?>|<\/is>[\s\S]*$/g, ''));
+          return `<c${this.rowReferences.setAttribute(cellAttributes, 't', 's')}><v>${index}</v></c>`;
+        }
+        
+        return `<c${cellAttributes}>${unwrapped}</c>`;
+      }
+      
+      return `<c${cellAttributes}>${this._unwrap(body)}</c>`;
+    });
+    
+    return this._unwrap(finished);
+  }
+
+  /**
+   * Replace value marks with their formatted text
+   * @private
+   */
+  _unwrap(content) {
+    return content.includes(VALUE_START) ? content.replace(VALUE_PATTERN, '$3') : content;
+  }
+
+  /**
+   * Give a rendered string a shared strings entry: its template's entry the
+   * first time, a new entry when values diverge
+   * @private
+   */
+  _shareString(strings, origin, content) {
+    const { items, claimed, added, reserved } = strings;
+    
+    if (!reserved.has(origin) && !claimed.has(origin)) {
+      claimed.set(origin, content);
+      strings.changed = strings.changed || items[origin] !== content;
+      items[origin] = content;
+      if (!added.has(content)) {
+        added.set(content, origin);
+      }
+      return origin;
+    }
+    
+    if (claimed.get(origin) === content) {
+      return origin;
+    }
+    
+    if (!added.has(content)) {
+      items.push(content);
+      added.set(content, items.length - 1);
+      strings.changed = true;
+    }
+    
+    return added.get(content);
+  }
+
+  /**
+   * Work out the new number of every rendered row
+   *
+   * Rows keep their original number in `r` while rendering, so a repeated
+   * row shows up as its original number again and a removed row is missing.
+   * @private
+   * @returns {Object} - { rows: [{ original, row, copy }] in document order,
+   *   copies: original -> new numbers, removed: originals with no copy,
+   *   survivors: sorted originals with copies, copiesOf: original -> new
+   *   numbers, none once removed (see SheetReferences) }
+   */
+  _layoutRows(template, content) {
+    const templateRows = this._rowNumbers(template);
+    const originals = this._rowNumbers(content);
+    const copies = new Map();
+    originals.forEach(original => copies.set(original, []));
+    
+    const removed = new Set(templateRows.filter(original => !copies.has(original)));
+    const removedBetween = (from, to) => [...removed].filter(original => original > from && original < to).length;
+    const rows = [];
+    let previous = null;
+    
+    for (const original of originals) {
+      let row;
+      
+      if (!previous) {
+        row = original - removedBetween(0, original);
+      } else if (original > previous.original) {
+        row = previous.row + (original - previous.original) - removedBetween(previous.original, original);
+      } else {
+        // The next copy of repeated rows starts right after the previous one
+        row = previous.row + 1;
+      }
+      
+      const rowCopies = copies.get(original);
+      rows.push({ original, row, copy: rowCopies.length });
+      rowCopies.push(row);
+      previous = { original, row };
+    }
+    
+    const layout = {
+      rows,
+      copies,
+      removed,
+      removedBetween,
+      survivors: [...copies.keys()].sort((a, b) => a - b)
+    };
+    layout.copiesOf = original => copies.get(original) || (removed.has(original) ? [] : [this._position(layout, original, 'first')]);
+    
+    return layout;
+  }
+
+  /**
+   * Keep the first data row of tables whose data rows were all removed
+   * @private
+   * @param {Array} tables - [{ name, content }] of the sheet's tables
+   * @returns {string} - Rendered worksheet, with an empty row standing for
+   *   the missing data rows
+   */
+  _keepTableRows(template, content, tables) {
+    const attributes = [...template.matchAll(ROW_PATTERN)].map(match => match[1]);
+    const templateRows = new Map(this._rowNumbers(template).map((row, i) => [row, attributes[i]]));
+    const rendered = new Set(this._rowNumbers(content));
+    let kept = content;
+    
+    for (const table of tables) {
+      const tag = table.content.match(/<table\b[^>]*>/);
+      const range = tag && (this.rowReferences.getAttribute(tag[0], 'ref') || '').match(/^\$?[A-Z]+\$?(\d+):\$?[A-Z]+\$?(\d+)$/);
+      
+      if (!range) {
+        continue;
+      }
+      
+      const first = Number(range[1]) + Number(this.rowReferences.getAttribute(tag[0], 'headerRowCount') || 1);
+      const last = Number(range[2]) - Number(this.rowReferences.getAttribute(tag[0], 'totalsRowCount') || 0);
+      const rows = [...templateRows.keys()].filter(row => row >= first && row <= last);
+      
+      if (rows.length === 0 || rows.some(row => rendered.has(row))) {
+        continue;
+      }
+      
+      const row = rows[0];
+      const element = `<row${this.rowReferences.setAttribute(this.rowReferences.removeAttribute(templateRows.get(row), 'spans'), 'r', String(row))}/>`;
+      const numbers = this._rowNumbers(kept);
+      let index = 0;
+      let inserted = false;
+      
+      kept = kept.replace(ROW_PATTERN, existing => {
+        if (!inserted && numbers[index++] > row) {
+          inserted = true;
+          return element + existing;
+        }
+        return existing;
+      });
+      
+      if (!inserted) {
+        kept = kept.includes('</sheetData>') ?
+          kept.replace('</sheetData>', `${element}</sheetData>`) :
+          kept.replace(/<sheetData(\s[^>]*?)?\/>/, `<sheetData$1>${element}</sheetData>`);
+      }
+      rendered.add(row);
+    }
+    
+    return kept;
+  }
+
+  /**
+   * Fit a table to the renumbered rows of its sheet
+   * @private
+   */
+  _updateTable(table, layout, resolve, part) {
+    const tag = table.match(/<table\b[^>]*>/);
+    const ref = tag && this.rowReferences.getAttribute(tag[0], 'ref');
+    const shifted = ref ? this.rowReferences.shiftRanges(ref, layout) : '';
+    const range = shifted.match(/^(\$?[A-Z]+\$?)(\d+):(\$?[A-Z]+\$?)(\d+)$/);
+    
+    // A table whose rows are all gone is left as it was
+    if (!range) {
+      return table;
+    }
+    
+    const totalsRows = Number(this.rowReferences.getAttribute(tag[0], 'totalsRowCount') || 0);
+    const context = { part, cell: null };
+    let content = table.replace(tag[0], this.rowReferences.setAttribute(tag[0], 'ref', shifted));
+    
+    content = content.replace(/(<autoFilter\b[^>]*?\sref=")([^"]*)(")/, `$1${range[1]}${range[2]}:${range[3]}${Number(range[4]) - totalsRows}$3`);
+    content = content.replace(/(<sort(?:State|Condition)\b[^>]*?\sref=")([^"]*)(")/g, (match, before, value, after) => before + (this.rowReferences.shiftRanges(value, layout) || value) + after);
+    
+    return content.replace(new RegExp(`(<(${TABLE_FORMULAS.join('|')})>)([^<]*)(</\\2>)`, 'g'),
+      (match, open, element, formula, close) => open + this.rowReferences.shiftFormula(formula, resolve, context) + close);
+  }
+
+  /**
+   * Read the row numbers of a worksheet in document order
+   * @private
+   */
+  _rowNumbers(content) {
+    const numbers = [];
+    
+    for (const [, attributes] of content.matchAll(ROW_PATTERN)) {
+      const r = Number(this.rowReferences.getAttribute(attributes, 'r'));
+      numbers.push(r || (numbers.length > 0 ? numbers[numbers.length - 1] + 1 : 1));
+    }
+    
+    return numbers;
+  }
+
+  /**
+   * Renumber rows and cells and update the references of a worksheet
+   * @private
+   */
+  _renumber(content, layout, resolve, part) {
+    let rowIndex = 0;
+    let rendered = content.replace(ROW_PATTERN, (element, attributes, body) => {
+      const position = layout.rows[rowIndex++];
+      const rowAttributes = this.rowReferences.setAttribute(attributes, 'r', String(position.row));
+      
+      if (body === undefined) {
+        return `<row${rowAttributes}/>`;
+      }
+      
+      const cells = body.replace(/(<c(?=[\s>/])[^>]*?\sr="\$?[A-Z]+)\d+"/g, `$1${position.row}"`);
+      
+      return `<row${rowAttributes}>${this.rowReferences.shiftCell(cells, layout, resolve, { part, cell: position })}</row>`;
+    });
+    
+    // Elements whose rows are all gone are dropped
+    rendered = this.rowReferences.updateContainers(this.rowReferences.updateRanges(rendered, layout));
+    rendered = this.rowReferences.updateFormulaElements(rendered, resolve, part);
+    rendered = rendered.replace(/(<brk\b[^>]*?\sid=")(\d+)(")/g, (match, before, row, after) => {
+      const shifted = layout.removed.has(Number(row)) ? Number(row) : this._position(layout, Number(row), 'last');
+      return before + shifted + after;
+    });
+    
+    return this.rowReferences.updateDimension(rendered);
+  }
+
+  /**
+   * New number of an original row: its first or last copy, or for rows
+   * without cells, the same distance below the closest rendered row above
+   * @private
+   */
+  _position(layout, original, which) {
+    const copies = layout.copies.get(original);
+    
+    if (copies && copies.length > 0) {
+      return which === 'first' ? copies[0] : copies[copies.length - 1];
+    }
+    
+    const above = layout.survivors.filter(survivor => survivor < original).pop();
+    
+    if (above === undefined) {
+      return original - layout.removedBetween(0, original);
+    }
+    
+    const aboveCopies = layout.copies.get(above);
+    return aboveCopies[aboveCopies.length - 1] + (original - above) - layout.removedBetween(above, original);
+  }
+
+  /**
+   * Update defined names and ask Excel to recalculate formulas on open
+   * @private
+   */
+  _updateWorkbook(content, resolve, recalculate) {
+    let updated = content.replace(/(<definedName\b[^>]*>)([^<]*)(<\/definedName>)/g,
+      (match, open, formula, close) => open + this.rowReferences.shiftFormula(formula, resolve, { part: null, cell: null }) + close);
+    
+    if (recalculate) {
+      if (/<calcPr\b/.test(updated)) {
+        updated = this.rowReferences.updateElements(updated, 'calcPr', tag => [this.rowReferences.setAttribute(tag, 'fullCalcOnLoad', '1')]);
+      } else {
+        // calcPr follows definedNames, or sheets without them
+        updated = updated.replace(/(<\/definedNames>|<\/sheets>)(?![\s\S]*<\/definedNames>)/, '$1<calcPr fullCalcOnLoad="1"/>');
+      }
+    }
+    
+    return updated;
+  }
+
+  /**
+   * Style index showing a date for a cell style, derived from it if needed
+   * @private
+   */
+  _dateStyle(styles, style, serial) {
+    const index = Number(style || 0);
+    const xf = styles.xfs[index];
+    
+    if (!xf) {
+      return index;
+    }
+    
+    const numFmtId = Number(this.rowReferences.getAttribute(xf, 'numFmtId') || 0);
+    if (DATE_FORMAT_IDS.has(numFmtId) || (styles.formats.has(numFmtId) && this._isDateFormat(styles.formats.get(numFmtId)))) {
+      return index;
+    }
+    
+    const format = Number.isInteger(serial) ? DATE_FORMAT : DATE_TIME_FORMAT;
+    const key = `${index}|${format}`;
+    
+    if (!styles.derived.has(key)) {
+      const derived = xf.replace(/^<xf\b[^>]*?(?=\/?>)/, tag => this.rowReferences.setAttribute(this.rowReferences.setAttribute(tag, 'numFmtId', String(format)), 'applyNumberFormat', '1'));
+      styles.xfs.push(derived);
+      styles.derived.set(key, styles.xfs.length - 1);
+      styles.changed = true;
+    }
+    
+    return styles.derived.get(key);
+  }
+
+  /**
+   * Check whether a custom number format shows a date or time
+   * @private
+   */
+  _isDateFormat(code) {
+    return /[dmyhs]/i.test(code.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, ''));
+  }
+
+  /**
+   * Read the entries of the shared strings table
+   * @private
+   * @returns {Promise<Object>} - { items: inner XML of each `<si>`, claimed,
+   *   added, reserved, changed }
+   */
+  async _readSharedStrings(zip, name) {
+    const content = name ? await zip.file(name).async('text') : '';
+    const items = [...content.matchAll(/<si(?:\s[^>]*)?(?:\/>|>([\s\S]*?)<\/si>)/g)].map(match => match[1] || '');
+    
+    return { items, claimed: new Map(), added: new Map(), reserved: new Set(), changed: false };
+  }
+
+  /**
+   * Rewrite the shared strings table with its new entries and counts
+   * @private
+   */
+  async _writeSharedStrings(zip, workbook, strings) {
+    const content = await zip.file(workbook.sharedStrings).async('text');
+    const entries = strings.items.map(item => `<si>${item}</si>`).join('');
+    const first = content.search(/<si[\s>/]/);
+    const lastEnd = Math.max(content.lastIndexOf('</si>') + '</si>'.length, content.lastIndexOf('<si/>') + '<si/>'.length);
+    const body = first === -1 ?
+      content.replace(/<sst\b([^>]*?)\/>/, '<sst$1></sst>').replace('</sst>', `${entries}</sst>`) :
+      content.slice(0, first) + entries + content.slice(lastEnd);
+    
+    let references = 0;
+    for (const { part } of workbook.sheets) {
+      references += this._sharedIndexes(await zip.file(part).async('text')).length;
+    }
+    
+    return this.rowReferences.updateElements(body, 'sst', tag => {
+      let updated = this.rowReferences.setAttribute(tag, 'uniqueCount', String(strings.items.length));
+      if (this.rowReferences.getAttribute(tag, 'count') !== null) {
+        updated = this.rowReferences.setAttribute(updated, 'count', String(references));
+      }
+      return [updated];
+    });
+  }
+
+  /**
+   * Read the cell formats (`cellXfs`) and custom number formats of the styles
+   * @private
+   */
+  async _readStyles(zip, name) {
+    if (!name) {
+      return null;
+    }
+    
+    const content = await zip.file(name).async('text');
+    const cellXfs = content.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+    
+    if (!cellXfs) {
+      return null;
+    }
+    
+    const formats = new Map([...content.matchAll(/<numFmt\b[^>]*>/g)].map(([tag]) => [
+      Number(this.rowReferences.getAttribute(tag, 'numFmtId')),
+      this._decodeXml(this.rowReferences.getAttribute(tag, 'formatCode') || '')
+    ]));
+    
+    return {
+      content,
+      xfs: [...cellXfs[1].matchAll(/<xf\b[^>]*?(?:\/>|>[\s\S]*?<\/xf>)/g)].map(match => match[0]),
+      formats,
+      derived: new Map(),
+      changed: false
+    };
+  }
+
+  /**
+   * Rewrite the styles with the derived cell formats
+   * @private
+   */
+  _writeStyles(styles) {
+    return styles.content.replace(/<cellXfs\b([^>]*)>[\s\S]*?<\/cellXfs>/, (match, attributes) => (
+      `<cellXfs${this.rowReferences.setAttribute(attributes, 'count', String(styles.xfs.length))}>${styles.xfs.join('')}</cellXfs>`
+    ));
+  }
+
+  /**
+   * Shared string indexes used by the cells of a worksheet
+   * @private
+   */
+  _sharedIndexes(content) {
+    return [...content.matchAll(CELL_PATTERN)]
+      .filter(([, attributes]) => this.rowReferences.getAttribute(attributes, 't') === 's')
+      .map(([, , body = '']) => Number((body.match(/<v>(\d+)<\/v>/) || [])[1]))
+      .filter(Number.isInteger);
+  }
+
+  /**
+   * Check whether text holds an opening delimiter
+   * @private
+   */
+  _hasTags(text) {
+    const { delimiters, moduleDelimiters, rawXmlDelimiter } = this.options;
+    return [delimiters, moduleDelimiters, rawXmlDelimiter].some(({ start }) => text.includes(this._escapeXml(start)));
+  }
+
+  /**
+   * Convert a date to an Excel serial number from its wall time
+   * @private
+   */
+  _toSerial(date, timeZone) {
+    let parts;
+    
+    if (timeZone) {
+      const values = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }).formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+      parts = [values.year, values.month - 1, values.day, values.hour, values.minute, values.second, date.getMilliseconds()];
+    } else {
+      parts = [date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds()];
+    }
+    
+    return (Date.UTC(...parts) - EXCEL_EPOCH) / DAY;
+  }
+
+  /**
+   * Escape text for use in XML content
+   * @private
+   */
+  _escapeXml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Decode the predefined entities of an attribute value
+   * @private
+   */
+  _decodeXml(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+}
+
+module.exports = SpreadsheetProcessor;
@@ -1,5 +1,61 @@
-const { DocxTemplaterPro, modules } = require('../index');
+const {
+  DocxTemplaterPro,
+  TemplateError,
+  TemplateSyntaxError,
+  MissingDataError,
+  ModuleError,
+  XmlIntegrityError,
+  MultiError,
+  modules
+} = require('../index');
 const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const RunLexer = require('../src/parsers/RunLexer');
+const DocumentProcessor = require('../src/parsers/DocumentProcessor');
+
+const DOCX_CONTENT_TYPES = '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>';
+
+/**
+ * Build a minimal DOCX buffer around the given body XML
+ */
+async function createDocx(bodyXml) {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', DOCX_CONTENT_TYPES);
+  zip.file('word/document.xml', `<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${bodyXml}</w:body></w:document>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+const XLSX_CONTENT_TYPES = '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="xml" ContentType="application/xml"/><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/></Types>';
+
+/**
+ * Build a minimal XLSX buffer from worksheets ({ name: worksheet inner XML }),
+ * shared strings and extra parts
+ */
+async function createXlsx(sheets, strings = [], { definedNames = '', files = {} } = {}) {
+  const R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const names = Object.keys(sheets);
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', XLSX_CONTENT_TYPES);
+  zip.file('_rels/.rels', `<Relationships><Relationship Id="rId1" Type="${R}/officeDocument" Target="xl/workbook.xml"/></Relationships>`);
+  zip.file('xl/workbook.xml', `<workbook xmlns:r="${R}"><sheets>${names.map((name, i) => `<sheet name="${name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>${definedNames}</workbook>`);
+  zip.file('xl/_rels/workbook.xml.rels', `<Relationships>${names.map((name, i) => `<Relationship Id="rId${i + 1}" Type="${R}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')}<Relationship Id="rIdS" Type="${R}/sharedStrings" Target="sharedStrings.xml"/><Relationship Id="rIdT" Type="${R}/styles" Target="styles.xml"/></Relationships>`);
+  zip.file('xl/sharedStrings.xml', `<sst count="${strings.length}" uniqueCount="${strings.length}">${strings.map(text => `<si><t>${text}</t></si>`).join('')}</sst>`);
+  zip.file('xl/styles.xml', '<styleSheet><cellXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/></cellXfs></styleSheet>');
+  names.forEach((name, i) => zip.file(`xl/worksheets/sheet${i + 1}.xml`, `<worksheet>${sheets[name]}</worksheet>`));
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+/**
+ * Read a part of a rendered document as text
+ */
+async function readPart(buffer, partName) {
+  const zip = await JSZip.loadAsync(buffer);
+  return zip.file(partName).async('text');
+}
 
 async function runTests() {
   console.log('Running DocxTemplaterPro Tests');
@@ -77,7 +133,7 @@ async function runTests() {
       ]
     };
     const context = { name: 'World' };
-    const result = processor.process(parsed, context);
+    const result = await processor.process(parsed, context);
     
     assert(result === 'Hello World!', 'Should process placeholders correctly');
     console.log('✓ Test 5: Context processor passed');
@@ -153,12 +209,1108 @@ async function runTests() {
     testsFailed++;
   }
   
+  // Test 11: Run lexer reassembles split tags
+  try {
+    const lexer = new RunLexer();
+    const xml = '<w:p><w:r><w:rPr><w:b/></w:rPr><w:t>Dear {{cust</w:t></w:r><w:r><w:t>omer.na</w:t></w:r><w:r><w:t>me}}!</w:t></w:r></w:p>';
+    const result = lexer.normalize(xml);
+    
+    assert(result.includes('<w:rPr><w:b/></w:rPr><w:t>Dear {{customer.name}}</w:t>'), 'Should move the tag into the first run');
+    assert(result.includes('<w:t>!</w:t>'), 'Should keep trailing text in its run');
+    assert(lexer.normalize('<w:p><w:r><w:t>{{a}}</w:t></w:r></w:p>') === '<w:p><w:r><w:t>{{a}}</w:t></w:r></w:p>', 'Should leave intact tags untouched');
+    assert(lexer.normalize('<w:p><w:r><w:t>&amp;#60;&amp;lt;&#x41;{{</w:t></w:r><w:r><w:t>a}}</w:t></w:r></w:p>').includes('<w:t>&amp;#60;&amp;lt;A{{a}}</w:t>'),
+      'Should decode each entity once');
+    console.log('✓ Test 11: Run lexer passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 11: Run lexer failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 12: Rendering a placeholder split across runs
+  try {
+    const templater = new DocxTemplaterPro();
+    await templater.loadTemplate(await createDocx('<w:p><w:r><w:t>{{</w:t></w:r><w:r><w:t>name}}</w:t></w:r></w:p>'));
+    templater.setContext({ name: 'World' });
+    const xml = await readPart(await templater.render(), 'word/document.xml');
+    
+    assert(xml.includes('<w:t>World</w:t>'), 'Should render the reassembled placeholder');
+    console.log('✓ Test 12: Split placeholder rendering passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 12: Split placeholder rendering failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 13: Nested loops and conditionals
+  try {
+    const templater = new DocxTemplaterPro();
+    const parser = templater.templateParser;
+    const parsed = parser.parse('{%loop row in rows%}[{%loop cell in row.cells%}{%if cell%}{{cell}}{%else%}-{%endif%}{%endloop%}]{%endloop%}');
+    
+    assert(parsed.tokens.length === 1 && parsed.tokens[0].type === 'loop', 'Should pair the outer loop with the last endloop');
+    
+    const result = await templater.contextProcessor.process(parsed, {
+      rows: [{ cells: ['a', 0] }, { cells: ['b'] }]
+    });
+    
+    assert(result === '[a-][b]', 'Should process nested loop and conditional bodies');
+    console.log('✓ Test 13: Nested blocks passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 13: Nested blocks failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 14: Row- and paragraph-level loop expansion
+  try {
+    const templater = new DocxTemplaterPro();
+    const cell = text => `<w:tc><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:tc>`;
+    const paragraph = text => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`;
+    const template = `<w:tbl><w:tr>${cell('{%loop line in lines%}{{line.name}}')}${cell('{{line.qty}}{%endloop%}')}</w:tr></w:tbl>` +
+      paragraph('{%loop note in notes%}') + paragraph('{{note}}') + paragraph('{%endloop%}');
+    const result = await templater.contextProcessor.process(templater.templateParser.parse(template), {
+      lines: [{ name: 'A', qty: 1 }, { name: 'B', qty: 2 }],
+      notes: ['x', 'y']
+    });
+    
+    assert(result.startsWith(`<w:tbl><w:tr>${cell('A')}${cell('1')}</w:tr><w:tr>${cell('B')}${cell('2')}</w:tr></w:tbl>`), 'Should repeat the whole table row');
+    assert(result.endsWith(paragraph('x') + paragraph('y')), 'Should repeat paragraphs and drop the tag paragraphs');
+    console.log('✓ Test 14: Structural loop expansion passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 14: Structural loop expansion failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 15: Paragraph placeholders remove or clone their paragraph
+  try {
+    const templater = new DocxTemplaterPro();
+    const paragraph = text => `<w:p><w:pPr><w:jc w:val="right"/></w:pPr><w:r><w:t>${text}</w:t></w:r></w:p>`;
+    const template = paragraph('Dear') + paragraph('{{?middleName}}') + paragraph('{{?address}}');
+    const result = await templater.contextProcessor.process(templater.templateParser.parse(template), {
+      middleName: '',
+      address: ['1 Main St', 'Springfield']
+    });
+    
+    assert(result === paragraph('Dear') + paragraph('1 Main St') + paragraph('Springfield'), 'Should remove empty and clone array paragraphs');
+    
+    const placeholderModule = new modules.ParagraphPlaceholderModule();
+    const moduleResult = await placeholderModule.process(paragraph('{{?note}}') + paragraph('{%html body%}'), { context: {} });
+    assert(moduleResult === paragraph('{%html body%}'), 'Module should remove paragraphs left by other modules');
+    
+    // Tags introduced by modules follow the templater's delimiters, filters and options
+    const injected = (options, context) => {
+      const custom = new DocxTemplaterPro({ delimiters: { start: '[[', end: ']]' }, ...options });
+      custom.addFilter('shout', value => `${value}!`);
+      custom.attachModule({ name: 'injector', priority: 50, process: content => content.replace('NOTE', '[[?note | shout]]') });
+      custom.attachModule(new modules.ParagraphPlaceholderModule());
+      custom.setContext(context);
+      return custom;
+    };
+    const docx = await createDocx(paragraph('[[title]]') + paragraph('NOTE'));
+    const custom = injected({}, { title: 'Hi', note: 'a' });
+    await custom.loadTemplate(docx);
+    const customXml = await readPart(await custom.render(), 'word/document.xml');
+    assert(customXml.includes(paragraph('Hi') + paragraph('a!')), 'Module should use the configured delimiters and filters');
+    assert(placeholderModule.hasTagsToProcess('[[?note]]', { options: custom.contextProcessor.options }), 'Should detect tags with the configured delimiters');
+    assert(!placeholderModule.hasTagsToProcess('{{?note}}', { contextProcessor: custom.contextProcessor }), 'Should ignore other delimiters');
+    
+    const strict = injected({ errorOnMissingData: true }, { title: 'Hi' });
+    await strict.loadTemplate(docx);
+    await assert.rejects(strict.render(), /Property 'note' not found in context/, 'Module should honour errorOnMissingData');
+    console.log('✓ Test 15: Paragraph placeholders passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 15: Paragraph placeholders failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 16: Expressions in conditions and placeholders
+  try {
+    const templater = new DocxTemplaterPro();
+    const template = '{%if total > 1000 &amp;&amp; !customer.exempt%}taxed{%else%}exempt{%endif%}|' +
+      '{{ items[0].name + " x" + items.length }}|{{ total >= 1000 ? "big" : "small" }}|{%if "vip" in customer.tags%}vip{%endif%}';
+    const result = await templater.contextProcessor.process(templater.templateParser.parse(template), {
+      total: 1500,
+      customer: { exempt: false, tags: ['vip'] },
+      items: [{ name: 'Widget' }, { name: 'Gadget' }]
+    });
+    
+    assert(result === 'taxed|Widget x2|big|vip', 'Should evaluate logical, arithmetic, ternary and in operators');
+    await assert.rejects(() => templater.contextProcessor._evaluate('items.constructor', { items: [] }), 'Should not expose prototype internals');
+    console.log('✓ Test 16: Expressions passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 16: Expressions failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 17: Pipe filters and custom filters
+  try {
+    const templater = new DocxTemplaterPro({ filters: { shout: value => `${value}!` } });
+    templater.addFilter('wrap', (value, open, close) => open + value + close);
+    const template = '{{ amount | currency:"EUR" }}|{{ name | upper | shout }}|{{ tags | join:", " }}|' +
+      '{{ middle | default:"N/A" }}|{{ name | wrap:"[":"]" }}|{%if tags | length > 1%}many{%endif%}';
+    const result = await templater.contextProcessor.process(templater.templateParser.parse(template), {
+      amount: 1234.5,
+      name: 'ann',
+      tags: ['a', 'b']
+    });
+    
+    assert(result === '€1,234.50|ANN!|a, b|N/A|[ann]|many', 'Should apply built-in and custom filters');
+    console.log('✓ Test 17: Filters passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 17: Filters failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 18: Locale-aware formatting with per-render overrides
+  try {
+    const templater = new DocxTemplaterPro({ locale: 'de-DE', timeZone: 'Europe/Berlin' });
+    const parsed = templater.templateParser.parse('{{ amount | currency:"EUR" }}|{{ due | date:"d MMMM yyyy HH:mm" }}|{{ due }}');
+    const context = { amount: 1234.5, due: new Date(Date.UTC(2024, 0, 5, 23, 30)) };
+    
+    const german = await templater.contextProcessor.process(parsed, context);
+    assert(german === '1.234,50\u00a0€|6 Januar 2024 00:30|06.01.2024', 'Should format with the configured locale and time zone');
+    
+    const arabic = await templater.contextProcessor.withOptions({ locale: 'ar-EG' }).process(parsed, context);
+    assert(arabic.includes('٢٠٢٤'), 'Should use Arabic-Indic digits for Arabic locales');
+    console.log('✓ Test 18: Locale formatting passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 18: Locale formatting failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 19: Right-to-left values get bidi properties
+  try {
+    const templater = new DocxTemplaterPro();
+    templater.attachModule(new modules.TableModule());
+    await templater.loadTemplate(await createDocx(
+      '<w:p><w:pPr><w:jc w:val="left"/></w:pPr><w:r><w:rPr><w:b/><w:lang w:val="ar-SA"/></w:rPr><w:t>{{name}}</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t>{{city}}</w:t></w:r></w:p><w:p><w:r><w:t>{%table items%}</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:rPr><w:i/></w:rPr><w:t>Dear {{name}}, welcome</w:t></w:r></w:p>'
+    ));
+    templater.setContext({ name: 'مرحبا بالعالم', city: 'Paris', items: { headers: ['שם'], rows: [['Ada']] } });
+    const xml = await readPart(await templater.render(), 'word/document.xml');
+    
+    assert(xml.includes('<w:pPr><w:bidi/><w:jc w:val="left"/></w:pPr>'), 'Should add w:bidi before w:jc');
+    assert(xml.includes('<w:rPr><w:b/><w:rtl/><w:lang w:val="ar-SA"/></w:rPr>'), 'Should add w:rtl before w:lang');
+    assert(xml.includes('<w:p><w:r><w:t>Paris</w:t></w:r></w:p>'), 'Should leave left-to-right values untouched');
+    assert(xml.includes('<w:bidiVisual/>'), 'Should mirror right-to-left tables');
+    assert(!xml.includes('\uE000') && !xml.includes('\uE007'), 'Should remove direction marks');
+    assert(xml.includes('<w:p><w:r><w:rPr><w:i/></w:rPr><w:t xml:space="preserve">Dear </w:t></w:r><w:r><w:rPr><w:i/><w:rtl/></w:rPr><w:t>مرحبا بالعالم</w:t></w:r><w:r><w:rPr><w:i/></w:rPr><w:t>, welcome</w:t></w:r></w:p>'), 'Should split runs and keep left-to-right paragraphs');
+    
+    const forced = await templater.render({ rtl: true });
+    assert((await readPart(forced, 'word/document.xml')).includes('<w:p><w:pPr><w:bidi/></w:pPr><w:r><w:rPr><w:rtl/></w:rPr><w:t>Paris</w:t></w:r></w:p>'), 'Should make paragraphs right-to-left when forced');
+    
+    const slide = templater.bidiProcessor.applyMarks('<a:p><a:pPr algn="r"/><a:r><a:t>\uE000שלום</a:t></a:r></a:p>', 'pptx');
+    assert(slide === '<a:p><a:pPr algn="r" rtl="1"/><a:r><a:t>שלום</a:t></a:r></a:p>', 'Should set rtl on PPTX paragraphs');
+    const sentence = templater.bidiProcessor.applyMarks('<a:p><a:r><a:t>Hello \uE000שלום\uE007</a:t></a:r></a:p>', 'pptx');
+    assert(sentence === '<a:p><a:r><a:t>Hello שלום</a:t></a:r></a:p>', 'Should keep left-to-right PPTX paragraphs');
+    console.log('✓ Test 19: Right-to-left text passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 19: Right-to-left text failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 20: Custom delimiters, delimiter switches and escapes
+  try {
+    const templater = new DocxTemplaterPro({
+      delimiters: { start: '<<', end: '>>' },
+      moduleDelimiters: { start: '[%', end: '%]' }
+    });
+    await templater.loadTemplate(await createDocx(
+      '<w:p><w:r><w:t>&lt;&lt;na</w:t></w:r><w:r><w:t>me&gt;&gt; [%if paid%]paid[%endif%] {{literal}}</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t>&lt;&lt;=[[ ]]=&gt;&gt;[[name]] \\[[name]]</w:t></w:r></w:p>'
+    ));
+    templater.setContext({ name: 'Ann', paid: true });
+    const xml = await readPart(await templater.render(), 'word/document.xml');
+    
+    assert(xml.includes('<w:t>Ann</w:t>') && xml.includes('> paid {{literal}}</w:t>'), 'Should use the configured delimiters');
+    assert(xml.includes('<w:t>Ann [[name]]</w:t>'), 'Should switch delimiters and keep escaped ones literal');
+    assert.deepStrictEqual(templater.getErrors(), [], 'Should not report the previous delimiters');
+    
+    // Validation follows delimiter switches
+    const parser = new DocxTemplaterPro().templateParser;
+    assert.deepStrictEqual(parser.validate('{{=[[ ]]=}}Use {{ braces [[x]]'), [], 'Should accept the previous delimiters as text');
+    const unclosed = parser.validate('{{=[[ ]]=}}Use [[x');
+    assert(unclosed.length === 1 && unclosed[0].code === 'MALFORMED_TAG' && unclosed[0].tag === '[[' && unclosed[0].index === 15,
+      'Should report unclosed tags with the switched delimiters');
+    console.log('✓ Test 20: Custom delimiters passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 20: Custom delimiters failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 21: Async data resolvers and lazy values
+  try {
+    const templater = new DocxTemplaterPro({ concurrency: 2 });
+    const calls = [];
+    let running = 0;
+    let maxRunning = 0;
+    const fetch = (name, value) => async () => {
+      calls.push(name);
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return value;
+    };
+    
+    const template = '{{ total }}|{%loop line in lines%}{{ label }}:{{ total }},{%endloop%}|{{ rate }}';
+    const result = await templater.contextProcessor.withOptions({}).process(templater.templateParser.parse(template), {
+      total: fetch('total', 42),
+      lines: fetch('lines', ['a', 'b', 'c']),
+      rate: Promise.resolve(0.2),
+      label: scope => scope.line.toUpperCase() + scope.$index,
+      unused: fetch('unused', 1)
+    });
+    
+    assert(result === '42|A0:42,B1:42,C2:42,|0.2', 'Should resolve functions and promises, passing the loop scope');
+    assert(calls.filter(name => name === 'total').length === 1, 'Should call parameterless functions once per render');
+    assert(!calls.includes('unused'), 'Should only fetch referenced data');
+    assert(maxRunning <= 2, 'Should respect the concurrency limit');
+    
+    // Lazy values read through the scope are resolved too, without waiting for a free slot
+    const nested = await new DocxTemplaterPro({ concurrency: 1 }).contextProcessor.withOptions({}).process(templater.templateParser.parse(
+      '{%loop i in items%}{{ f }},{%endloop%}{{ g }}|{{ h }}'
+    ), {
+      items: [{ v: async () => 1 }, { v: () => 2 }],
+      f: s => s.i.v,
+      g: async s => (await s.$root.rows[1].n) * 10 + s.rows.map(row => typeof row.n).join('').length,
+      h: s => Object.isFrozen(s.frozen) && s.frozen.n,
+      rows: [{ n: 1 }, { n: () => 3 }],
+      frozen: Object.freeze({ n: 4 })
+    });
+    assert(nested === '1,2,42|4', 'Should resolve lazy values read by lazy functions');
+    
+    // A value queued for a slot is started for a lazy function reading it
+    const single = new DocxTemplaterPro({ concurrency: 1 }).contextProcessor.withOptions({});
+    const rendered = single.process(templater.templateParser.parse('{{ a }} {{ b }}'), {
+      a: async s => (await s.b) + 1,
+      b: async () => 2
+    });
+    const settled = await Promise.race([rendered, new Promise(resolve => setTimeout(resolve, 1000, 'timeout'))]);
+    assert(settled === '3 2', 'Should not wait for slots held by the reading function');
+    
+    // Failing resolvers are reported with their own message
+    const lenient = templater.contextProcessor.withOptions({});
+    const failed = await lenient.process(templater.templateParser.parse('[{{ v }}]'), { v: () => Promise.reject(new Error('db down')) });
+    assert(failed === '[]' && lenient.errors.length === 1 && lenient.errors[0].code === 'RESOLVE_FAILED' && lenient.errors[0].message === 'db down',
+      'Should report failing resolvers');
+    const strict = new DocxTemplaterPro({ errorOnMissingData: true }).contextProcessor.withOptions({});
+    await assert.rejects(strict.process(templater.templateParser.parse('[{{ v }}]'), { v: () => { throw new Error('db down'); } }),
+      error => error.code === 'RESOLVE_FAILED' && error.message === 'db down');
+    console.log('✓ Test 21: Async resolvers passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 21: Async resolvers failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 22: Scope chain in nested loops
+  try {
+    const templater = new DocxTemplaterPro();
+    const template = '{%loop group in groups%}{%loop name in group.names%}' +
+      '{{$loop.group.number}}.{{$number}} {{name}} ({{$parent.$index}}/{{$length}}{{$odd ? " odd" : ""}}) {{$root.name}}|' +
+      '{%endloop%}{%endloop%}';
+    const result = await templater.contextProcessor.process(templater.templateParser.parse(template), {
+      name: 'root',
+      groups: [{ names: ['a', 'b'] }, { names: ['c'] }]
+    });
+    
+    assert(result === '1.1 a (0/2) root|1.2 b (0/2 odd) root|2.1 c (1/1) root|', 'Should expose outer loop metadata, $parent and $root');
+    
+    const nested = await templater.contextProcessor.process(templater.templateParser.parse(
+      '{%loop o in outer%}{%loop i in o%}{%set y = i%}{{$parent.$index}}/{{y}} {%endloop%}{%endloop%}'
+    ), { outer: [[0, 1], [2]] });
+    assert(nested === '0/0 0/1 1/2 ', 'Should skip set scopes when resolving $parent');
+    console.log('✓ Test 22: Scope chain passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 22: Scope chain failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 23: Loops over objects and ranges with modifiers and else
+  try {
+    const templater = new DocxTemplaterPro();
+    const render = template => templater.contextProcessor.process(templater.templateParser.parse(template), {
+      settings: { theme: 'dark', lang: 'ar' },
+      products: [
+        { name: 'Pen', price: 3, active: true },
+        { name: 'Ink', price: 9, active: false },
+        { name: 'Pad', price: 5, active: true },
+        { name: 'Cap', price: 7, active: true }
+      ],
+      empty: []
+    });
+    
+    assert(await render('{%loop entry in settings%}{{entry.key}}={{entry.value}};{%endloop%}') === 'theme=dark;lang=ar;', 'Should iterate object entries');
+    assert(await render('{%loop i in 1..3%}{{i}}{%endloop%}') === '123', 'Should iterate ranges');
+    assert(await render('{%loop p in products where p.active orderby p.price desc limit 2%}{{p.name}}{{$last ? "" : ","}}{%endloop%}') === 'Cap,Pad', 'Should filter, sort and limit');
+    assert(await render('{%loop p in empty%}{{p}}{%else%}none{%endloop%}') === 'none', 'Should render else for empty collections');
+    assert(await render('{%loop p in products where p.price > 100%}{{p}}{%else%}none{%endloop%}') === 'none', 'Should render else when nothing matches');
+    
+    const xml = '<w:body><w:p><w:r><w:t>{%loop p in empty%}</w:t></w:r></w:p><w:p><w:r><w:t>{{p}}</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t>{%else%}</w:t></w:r></w:p><w:p><w:r><w:t>No items</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t>{%endloop%}</w:t></w:r></w:p></w:body>';
+    assert(await render(xml) === '<w:body><w:p><w:r><w:t>No items</w:t></w:r></w:p></w:body>', 'Should drop else tag paragraphs');
+    
+    console.log('✓ Test 23: Loop modifiers passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 23: Loop modifiers failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 24: Grouping loops with aggregates
+  try {
+    const templater = new DocxTemplaterPro();
+    const sales = [
+      { region: 'North', name: 'A', amount: 10 },
+      { region: 'South', name: 'B', amount: 4 },
+      { region: 'North', name: 'C', amount: 5 }
+    ];
+    const render = template => templater.contextProcessor.process(templater.templateParser.parse(template), { sales });
+    
+    const inline = await render('{%group row in sales by row.region%}{{group.key}}:{{group.items | count}}/{{group.items | sum:"amount"}}' +
+      '/{{group.items | avg:"amount"}}/{{group.items | min:"amount"}}-{{group.items | max:"amount"}} {{row.name}};{%endgroup%}');
+    assert(inline === 'North:2/15/7.5/5-10 A;South:1/4/4/4-4 B;', 'Should group items and aggregate them');
+    
+    const row = cells => `<w:tr>${cells.map(cell => `<w:tc><w:p><w:r><w:t>${cell}</w:t></w:r></w:p></w:tc>`).join('')}</w:tr>`;
+    const table = '<w:tbl>' +
+      row(['{%group row in sales by row.region%}{{group.key}}', '']) +
+      row(['{%loop item in group.items%}{{item.name}}', '{{item.amount}}{%endloop%}']) +
+      row(['Subtotal', '{{group.items | sum:"amount"}}{%endgroup%}']) +
+      '</w:tbl>';
+    const result = await render(table);
+    const cells = [...result.matchAll(/<w:t>([^<]*)<\/w:t>/g)].map(match => match[1]);
+    
+    assert((result.match(/<w:tr>/g) || []).length === 7, 'Should repeat the header, item and subtotal rows');
+    assert(cells.join('|') === 'North||A|10|C|5|Subtotal|15|South||B|4|Subtotal|4', 'Should render group headers and subtotals');
+    
+    console.log('✓ Test 24: Grouping loops passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 24: Grouping loops failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 25: Set tags and macros
+  try {
+    const templater = new DocxTemplaterPro();
+    const data = {
+      items: [{ price: 2 }, { price: 3 }],
+      customer: { name: 'Ann', billing: { street: 'Main St 1', city: 'Oslo' } }
+    };
+    const render = template => templater.contextProcessor.process(templater.templateParser.parse(template), data);
+    
+    const inline = await render('{%set total = items | sum:"price"%}Total {{total}};' +
+      '{%loop item in items%}{%set double = item.price * 2%}{{double}},{%endloop%}[{{double}}]');
+    assert(inline === 'Total 5;4,6,[]', 'Should assign variables scoped to their block');
+    
+    const macro = await render('{%call greet(customer.name, "!")%} {%macro greet(name, mark)%}Hi {{name}}{{mark}}{%endmacro%}');
+    assert(macro === 'Hi Ann! ', 'Should call macros declared in the same block');
+    
+    const paragraph = text => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`;
+    const xml = '<w:body>' +
+      paragraph('{%macro address(a)%}') + paragraph('{{a.street}}') + paragraph('{{a.city}}') + paragraph('{%endmacro%}') +
+      paragraph('{%set who = customer.name%}') +
+      paragraph('To {{who}}') +
+      paragraph('{%call address(customer.billing)%}') +
+      '</w:body>';
+    assert(await render(xml) === '<w:body>' + paragraph('To Ann') + paragraph('Main St 1') + paragraph('Oslo') + '</w:body>',
+      'Should drop macro and set paragraphs and insert macro paragraphs');
+    
+    console.log('✓ Test 25: Set and macros passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 25: Set and macros failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 26: Template inspection
+  try {
+    const docx = await createDocx(
+      '<w:p><w:r><w:t>{{customer.name}} {%if customer.vip%}{{customer.discount}}{%endif%}</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t>{%loop item in order.items%}{{item.name}}: {{item.price | currency}}{%endloop%}</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t>{{ order.items | sum:"qty" }} {%html notes%}</w:t></w:r></w:p>'
+    );
+    const result = await DocxTemplaterPro.inspect(docx);
+    const [part] = result.parts;
+    const { schema } = result;
+    const items = schema.properties.order.properties.items;
+    
+    assert(result.documentType === 'docx' && part.name === 'word/document.xml', 'Should report the part');
+    assert.deepStrictEqual(part.tags.map(tag => tag.type), ['placeholder', 'conditional', 'loop', 'placeholder', 'module'], 'Should list top-level tags');
+    assert(part.tags[2].children.map(tag => tag.expression).join() === 'item.name,item.price | currency', 'Should nest loop tags');
+    assert.deepStrictEqual(schema.required, ['customer', 'order'], 'Should require data used outside conditionals');
+    assert.deepStrictEqual(schema.properties.customer.required, ['name'], 'Should keep conditional data optional');
+    assert(items.type === 'array' && items.items.required.join() === 'name,price', 'Should infer arrays from loops and list filters');
+    assert(items.items.properties.qty, 'Should infer item properties from aggregate filters');
+    
+    const entries = (await DocxTemplaterPro.inspect(await createDocx('<w:p><w:r><w:t>{%loop e in prices%}{{e.key}}: {{e.value}}{%endloop%}</w:t></w:r></w:p>'))).schema.properties.prices;
+    assert.deepStrictEqual(entries.type, ['array', 'object'], 'Should infer loop collections as arrays or objects');
+    assert(entries.items.properties.key && !entries.items.required, 'Should not require entry keys and values');
+    assert(schema.properties.notes && !schema.required.includes('notes'), 'Should include module data');
+    
+    console.log('✓ Test 26: Template inspection passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 26: Template inspection failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 27: Context validation against a schema
+  try {
+    const docx = await createDocx(
+      '<w:p><w:r><w:t>Intro</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t>{{customer.name}}</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t>{%loop item in items%}{{item.price}}{%endloop%}</w:t></w:r></w:p>'
+    );
+    const templater = new DocxTemplaterPro();
+    await templater.loadTemplate(docx);
+    templater.setContext({ customer: {}, items: 'none' });
+    
+    const violations = await templater.validateContext();
+    assert.deepStrictEqual(violations.map(violation => [violation.keyword, violation.path, violation.tag]), [
+      ['required', 'customer.name', '{{customer.name}}'],
+      ['type', 'items', '{%loop item in items%}']
+    ], 'Should report violations with their tags');
+    assert(violations[0].part === 'word/document.xml' && violations[0].index > 0, 'Should locate the tag in its part');
+    assert(violations[0] instanceof MissingDataError && violations[0].code === 'SCHEMA_VIOLATION' && violations[0].paragraph === 1, 'Should report violations as located errors');
+    
+    const custom = await templater.validateContext({ type: 'object', properties: { items: { type: 'array' } }, required: ['total'] });
+    assert.deepStrictEqual(custom.map(violation => violation.message), ['Missing required field total', 'Expected array but got string at items'], 'Should validate custom schemas');
+    
+    templater.attachModule(new modules.ErrorLocationModule());
+    const buffer = await templater.render({ schema: true });
+    const documentXml = await readPart(buffer, 'word/document.xml');
+    const commentsXml = await readPart(buffer, 'word/comments.xml');
+    
+    assert(templater.getErrors().filter(error => error.type === 'schema').length === 2, 'Should add violations to getErrors()');
+    assert(commentsXml.includes('Missing required field customer.name'), 'Should comment violations');
+    assert(documentXml.indexOf('commentReference') > documentXml.indexOf('Intro'), 'Should comment at the rendered tag');
+    assert(!documentXml.includes('docx-templater-error'), 'Should remove error marks');
+    
+    const strict = new DocxTemplaterPro({ errorOnMissingData: true });
+    await strict.loadTemplate(docx);
+    strict.setContext({ items: [] });
+    await assert.rejects(strict.render({ schema: true }), /Missing required field customer/);
+    
+    const entries = new DocxTemplaterPro({ errorOnMissingData: true });
+    await entries.loadTemplate(await createDocx('<w:p><w:r><w:t>{%loop e in obj%}{{e.key}}={{e.value}};{%endloop%}</w:t></w:r></w:p>'));
+    entries.setContext({ obj: { a: 1, b: 2 } });
+    assert.deepStrictEqual(await entries.validateContext(true), [], 'Should accept objects iterated by loops');
+    assert((await readPart(await entries.render({ schema: true }), 'word/document.xml')).includes('a=1;b=2;'), 'Should render object loops validated against the inferred schema');
+    entries.setContext({ obj: new Map([['a', 1]]) });
+    assert.deepStrictEqual(await entries.validateContext(true), [], 'Should accept Maps iterated by loops');
+    
+    console.log('✓ Test 27: Context validation passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 27: Context validation failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 28: Structured errors
+  try {
+    const docx = await createDocx(
+      '<w:p><w:r><w:t>Total: {{ total + }}</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t>{%loop item in items%}{{item}}</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t>Dear {{customer.name}}</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t>{{missing}}</w:t></w:r></w:p>'
+    );
+    const templater = new DocxTemplaterPro();
+    await templater.loadTemplate(docx);
+    templater.setContext({ total: 1, items: [] });
+    templater.attachModule({ name: 'broken', process: () => { throw new Error('boom'); } });
+    await templater.render();
+    
+    const errors = templater.getErrors();
+    const byCode = code => errors.find(error => error.code === code);
+    const syntax = byCode('EXPRESSION_SYNTAX');
+    
+    assert(errors.every(error => error instanceof TemplateError), 'Should collect TemplateErrors');
+    assert(syntax instanceof TemplateSyntaxError && syntax.tag === '{{ total + }}', 'Should report syntax errors with their tag');
+    assert(syntax.part === 'word/document.xml' && syntax.paragraph === 0 && syntax.context === 'Total: {{ total + }}', 'Should locate errors by part and paragraph');
+    assert(byCode('UNMATCHED_TAG').tag === '{%loop item in items%}' && byCode('UNMATCHED_TAG').paragraph === 1, 'Should report unmatched tags');
+    assert(byCode('MODULE_FAILED') instanceof ModuleError && byCode('MODULE_FAILED').cause.message === 'boom', 'Should collect module failures');
+    assert(!byCode('MISSING_DATA'), 'Should not report missing data when lenient');
+    
+    const strict = new DocxTemplaterPro({ errorOnMissingData: true });
+    await strict.loadTemplate(await createDocx(
+      '<w:p><w:r><w:t>Dear {{customer.name}}</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t>{{missing}}</w:t></w:r></w:p>'
+    ));
+    strict.setContext({ customer: {} });
+    
+    const error = await strict.render().then(() => null, caught => caught);
+    assert(error instanceof MultiError && error.code === 'MULTIPLE_ERRORS', 'Should throw a MultiError at the end of render');
+    assert.deepStrictEqual(error.errors.map(item => [item.constructor, item.tag, item.paragraph]), [
+      [MissingDataError, '{{customer.name}}', 0],
+      [MissingDataError, '{{missing}}', 1]
+    ], 'Should collect every failing tag');
+    assert(JSON.parse(JSON.stringify(error)).errors[0].context === 'Dear {{customer.name}}', 'Should serialize errors');
+    
+    const images = new DocxTemplaterPro();
+    images.attachModule(new modules.ImageModule());
+    await images.loadTemplate(await createDocx('<w:p><w:r><w:t>{%image logo%}</w:t></w:r></w:p>'));
+    images.setContext({ logo: { src: path.join(os.tmpdir(), 'missing-logo.png') } });
+    await images.render();
+    assert(images.getErrors().some(item => item instanceof ModuleError && /Image file not found/.test(item.message)), 'Should report images that cannot be read');
+    
+    const strictImages = new DocxTemplaterPro({ errorOnMissingData: true });
+    strictImages.attachModule(new modules.ImageModule());
+    await strictImages.loadTemplate(await createDocx('<w:p><w:r><w:t>{%image logo%}</w:t></w:r></w:p>'));
+    strictImages.setContext({ logo: path.join(os.tmpdir(), 'missing-logo.png') });
+    await assert.rejects(strictImages.render(), /Image file not found/);
+    
+    console.log('✓ Test 28: Structured errors passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 28: Structured errors failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 29: Rendered package validation
+  try {
+    const docx = await createDocx('<w:p><w:r><w:t>{{name}}</w:t></w:r></w:p><w:p><w:r><w:t>{%drawing%}</w:t></w:r></w:p>');
+    const drawing = '<w:r><w:drawing><wp:docPr id="1" name="Picture"/><a:blip r:embed="rId9"/></w:drawing></w:r>';
+    const drawingModule = {
+      name: 'drawing',
+      process: (content, context) => {
+        context.zip.file('word/media/chart.emf', 'emf');
+        return content.replace('{%drawing%}', `</w:t></w:r>${drawing}${drawing}<w:r><w:t>`);
+      }
+    };
+    
+    const templater = new DocxTemplaterPro();
+    await templater.loadTemplate(docx);
+    templater.setContext({ name: 'Tom & Jerry <3' });
+    
+    const escaped = await readPart(await templater.render(), 'word/document.xml');
+    assert(escaped.includes('Tom &amp; Jerry &lt;3'), 'Should escape placeholder values');
+    
+    templater.setContext({ name: 'Ann' });
+    assert((await readPart(await templater.render(), 'word/document.xml')).includes('Ann'), 'Should render the template again from scratch');
+    
+    templater.attachModule(drawingModule);
+    const error = await templater.render().then(() => null, caught => caught);
+    assert(error instanceof MultiError, 'Should refuse to return a corrupt package');
+    assert.deepStrictEqual(error.errors.map(item => item.code).sort(), ['DUPLICATE_ID', 'MISSING_CONTENT_TYPE', 'MISSING_RELATIONSHIP']);
+    assert(error.errors.every(item => item instanceof XmlIntegrityError), 'Should report XmlIntegrityErrors');
+    const missing = error.errors.find(item => item.code === 'MISSING_RELATIONSHIP');
+    assert(missing.part === 'word/document.xml' && missing.tag === 'r:embed="rId9"' && missing.paragraph === 1, 'Should locate missing relationships');
+    
+    const broken = new DocxTemplaterPro();
+    await broken.loadTemplate(docx);
+    broken.attachModule({ name: 'broken', process: content => content.replace('</w:body>', '<w:p></w:body>') });
+    const malformed = await broken.render().then(() => null, caught => caught);
+    assert(malformed && malformed.errors[0].code === 'XML_MALFORMED' && malformed.errors[0].line === 1, 'Should report malformed parts');
+    
+    templater.options.validateOutput = false;
+    assert(Buffer.isBuffer(await templater.render()), 'Should skip validation when disabled');
+    assert(await new DocumentProcessor().isValidXml('<a>') === false, 'Should detect malformed XML');
+    
+    console.log('✓ Test 29: Package validation passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 29: Package validation failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 30: Word stories found through content types and relationships
+  try {
+    const W = 'application/vnd.openxmlformats-officedocument.wordprocessingml';
+    const override = (part, type) => `<Override PartName="/${part}" ContentType="${type}"/>`;
+    const relationship = (id, type, target) => `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}" Target="${target}"/>`;
+    const paragraph = text => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`;
+    const textBox = `<w:p><w:r><w:drawing><wps:txbx><w:txbxContent>${paragraph('Box {{name}}')}</w:txbxContent></wps:txbx></w:drawing></w:r></w:p>`;
+    
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="xml" ContentType="application/xml"/><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      override('doc/main.xml', `${W}.document.main+xml`) +
+      override('doc/notes.xml', `${W}.footnotes+xml`) +
+      override('doc/comments.xml', `${W}.comments+xml`) +
+      override('docProps/core.xml', 'application/vnd.openxmlformats-package.core-properties+xml') + '</Types>');
+    zip.file('_rels/.rels', '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      relationship('rId1', 'officeDocument', 'doc/main.xml') +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/></Relationships>');
+    zip.file('doc/_rels/main.xml.rels', '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      relationship('rId1', 'footnotes', 'notes.xml') + relationship('rId2', 'endnotes', 'endnotes.xml') +
+      relationship('rId3', 'comments', 'comments.xml') + relationship('rId4', 'hyperlink', 'https://example.com') + '</Relationships>');
+    zip.file('doc/main.xml', `<w:document><w:body>${paragraph('Dear {{name}}')}${textBox}</w:body></w:document>`);
+    zip.file('doc/notes.xml', `<w:footnotes><w:footnote w:id="1">${paragraph('Note {{name}}')}</w:footnote></w:footnotes>`);
+    zip.file('doc/endnotes.xml', `<w:endnotes><w:endnote w:id="1">${paragraph('End {{name}}')}</w:endnote></w:endnotes>`);
+    zip.file('doc/comments.xml', `<w:comments><w:comment w:id="0">${paragraph('Comment {{name}}')}</w:comment></w:comments>`);
+    zip.file('docProps/core.xml', '<cp:coreProperties><dc:title>Letter to {{name}}</dc:title></cp:coreProperties>');
+    zip.file('customXml/item1.xml', '<data><name>{{name}}</name></data>');
+    const docx = await zip.generateAsync({ type: 'nodebuffer' });
+    
+    const templater = new DocxTemplaterPro();
+    await templater.loadTemplate(docx);
+    templater.setContext({ name: 'Ann' });
+    
+    const { parts } = await templater.inspect();
+    assert.deepStrictEqual(parts.map(part => [part.name, part.kind]), [
+      ['doc/main.xml', 'main'],
+      ['doc/notes.xml', 'footnotes'],
+      ['doc/endnotes.xml', 'endnotes'],
+      ['doc/comments.xml', 'comments'],
+      ['docProps/core.xml', 'coreProperties']
+    ], 'Should find stories through content types and relationships');
+    
+    const buffer = await templater.render();
+    assert((await readPart(buffer, 'doc/main.xml')).includes('Box Ann'), 'Should template text boxes');
+    for (const [part, text] of [['doc/notes.xml', 'Note Ann'], ['doc/endnotes.xml', 'End Ann'], ['doc/comments.xml', 'Comment Ann'], ['docProps/core.xml', 'Letter to Ann']]) {
+      assert((await readPart(buffer, part)).includes(text), `Should template ${part}`);
+    }
+    
+    const selective = new DocxTemplaterPro({ parts: { exclude: ['comments', 'doc/endnotes.xml'], include: [/^customXml\//] } });
+    await selective.loadTemplate(docx);
+    selective.setContext({ name: 'Ann' });
+    const partial = await selective.render();
+    assert((await readPart(partial, 'doc/comments.xml')).includes('{{name}}'), 'Should skip excluded kinds');
+    assert((await readPart(partial, 'doc/endnotes.xml')).includes('{{name}}'), 'Should skip excluded parts');
+    assert((await readPart(partial, 'customXml/item1.xml')).includes('<name>Ann</name>'), 'Should add included parts');
+    
+    console.log('✓ Test 30: Word stories passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 30: Word stories failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 31: Presentation parts found through relationships
+  try {
+    const P = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const rels = (...entries) => `<Relationships>${entries.map(([id, type, target]) => `<Relationship Id="${id}" Type="${P}/${type}" Target="${target}"/>`).join('')}</Relationships>`;
+    const shape = text => `<p:sp><p:txBody><a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:txBody></p:sp>`;
+    
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', '<Types><Default Extension="xml" ContentType="application/xml"/><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Override PartName="/ppt/presentation.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml"/></Types>');
+    zip.file('_rels/.rels', rels(['rId1', 'officeDocument', 'ppt/presentation.xml']));
+    zip.file('ppt/presentation.xml', '<p:presentation><p:sldIdLst><p:sldId id="256" r:id="rId3"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst></p:presentation>');
+    zip.file('ppt/_rels/presentation.xml.rels', rels(['rId1', 'slideMaster', 'slideMasters/slideMaster1.xml'], ['rId2', 'slide', 'slides/slide1.xml'], ['rId3', 'slide', 'slides/slide2.xml'], ['rId4', 'notesMaster', 'notesMasters/notesMaster1.xml']));
+    zip.file('ppt/slides/slide1.xml', `<p:sld>${shape('{%set speaker = team.lead%}')}${shape('Agenda')}</p:sld>`);
+    zip.file('ppt/slides/_rels/slide1.xml.rels', rels(['rId1', 'slideLayout', '../slideLayouts/slideLayout2.xml'], ['rId2', 'notesSlide', '../notesSlides/notesSlide1.xml'], ['rId3', 'chart', '../charts/chart1.xml']));
+    zip.file('ppt/slides/slide2.xml', `<p:sld>${shape('{{title}}')}</p:sld>`);
+    zip.file('ppt/notesSlides/notesSlide1.xml', `<p:notes>${shape('Presented by {{speaker}}')}</p:notes>`);
+    zip.file('ppt/charts/chart1.xml', '<c:chartSpace><c:title><c:tx><c:rich><a:p><a:r><a:t>Sales {{year}}</a:t></a:r></a:p></c:rich></c:tx></c:title></c:chartSpace>');
+    zip.file('ppt/slideLayouts/slideLayout1.xml', `<p:sldLayout>${shape('{{company}}')}</p:sldLayout>`);
+    zip.file('ppt/slideLayouts/slideLayout2.xml', `<p:sldLayout>${shape('Layout')}</p:sldLayout>`);
+    zip.file('ppt/slideMasters/slideMaster1.xml', `<p:sldMaster>${shape('© {{company}} {{year}}')}</p:sldMaster>`);
+    zip.file('ppt/slideMasters/_rels/slideMaster1.xml.rels', rels(['rId1', 'slideLayout', '../slideLayouts/slideLayout1.xml'], ['rId2', 'slideLayout', '../slideLayouts/slideLayout2.xml']));
+    zip.file('ppt/notesMasters/notesMaster1.xml', `<p:notesMaster>${shape('{{company}}')}</p:notesMaster>`);
+    const pptx = await zip.generateAsync({ type: 'nodebuffer' });
+    
+    const templater = new DocxTemplaterPro();
+    await templater.loadTemplate(pptx);
+    templater.setContext({ title: 'Results', team: { lead: 'Ann' }, year: 2024, company: 'Acme' });
+    
+    const { parts } = await templater.inspect();
+    assert.deepStrictEqual(parts.map(part => `${part.kind}:${part.name}`), [
+      'slide:ppt/slides/slide2.xml',
+      'slide:ppt/slides/slide1.xml',
+      'notesSlide:ppt/notesSlides/notesSlide1.xml',
+      'chart:ppt/charts/chart1.xml',
+      'slideLayout:ppt/slideLayouts/slideLayout1.xml',
+      'slideLayout:ppt/slideLayouts/slideLayout2.xml',
+      'slideMaster:ppt/slideMasters/slideMaster1.xml',
+      'notesMaster:ppt/notesMasters/notesMaster1.xml'
+    ], 'Should list slides in presentation order, then related parts');
+    
+    const buffer = await templater.render();
+    assert((await readPart(buffer, 'ppt/notesSlides/notesSlide1.xml')).includes('Presented by Ann'), 'Should render notes in their slide context');
+    assert((await readPart(buffer, 'ppt/charts/chart1.xml')).includes('Sales 2024'), 'Should render chart titles');
+    assert((await readPart(buffer, 'ppt/slideLayouts/slideLayout1.xml')).includes('Acme'), 'Should render layouts');
+    assert((await readPart(buffer, 'ppt/slideMasters/slideMaster1.xml')).includes('© Acme 2024'), 'Should render masters');
+    assert((await readPart(buffer, 'ppt/slides/slide2.xml')).includes('Results'), 'Should render slides');
+    
+    console.log('✓ Test 31: Presentation parts passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 31: Presentation parts failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 32: Spreadsheet cells, row loops and references
+  try {
+    const xlsx = await createXlsx({
+      Sales: '<dimension ref="A1:D4"/><sheetData>' +
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>' +
+        '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2" t="s"><v>3</v></c><c r="C2" t="s"><v>4</v></c><c r="D2"><f>B2*2</f><v>0</v></c></row>' +
+        '<row r="4"><c r="A4" t="s"><v>5</v></c><c r="B4"><f>SUM(B2:B3)</f><v>0</v></c></row>' +
+        '</sheetData><mergeCells count="1"><mergeCell ref="E2:F2"/></mergeCells>' +
+        '<conditionalFormatting sqref="B2"><cfRule type="cellIs" priority="1"><formula>100</formula></cfRule></conditionalFormatting>',
+      Summary: '<sheetData><row r="1"><c r="A1" t="s"><v>1</v></c><c r="B1"><f>Sales!B4</f></c></row></sheetData>'
+    }, ['Item', '{{title}}', '{%loop item in items%}{{item.name}}', '{{item.amount}}', '{{item.date}}{%endloop%}', 'Total'], {
+      definedNames: '<definedNames><definedName name="Amounts">Sales!$B$2:$B$2</definedName></definedNames>'
+    });
+    
+    const templater = new DocxTemplaterPro();
+    await templater.loadTemplate(xlsx);
+    templater.setContext({
+      title: 'Q1',
+      items: [
+        { name: 'Pens', amount: 12.5, date: new Date(2024, 0, 15) },
+        { name: 'Q1', amount: true, date: new Date(2024, 0, 16, 12) },
+        { name: 'Ink', amount: '7' }
+      ]
+    });
+    
+    const { parts } = await templater.inspect();
+    assert.deepStrictEqual(parts.map(part => `${part.kind}:${part.name}`), ['sheet:xl/worksheets/sheet1.xml', 'sheet:xl/worksheets/sheet2.xml'], 'Should list sheets in tab order');
+    
+    const buffer = await templater.render();
+    assert.deepStrictEqual(templater.getErrors(), [], 'Should render without errors');
+    const sheet = await readPart(buffer, 'xl/worksheets/sheet1.xml');
+    const strings = [...(await readPart(buffer, 'xl/sharedStrings.xml')).matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => match[1]);
+    const cell = ref => (sheet.match(new RegExp(`<c r="${ref}"[^>]*?(?:/>|>[\\s\\S]*?</c>)`)) || [])[0];
+    const text = ref => strings[Number(cell(ref).match(/<v>(\d+)<\/v>/)[1])];
+    
+    assert.strictEqual(cell('B2'), '<c r="B2" t="n"><v>12.5</v></c>', 'Should write numbers as typed cells');
+    assert.strictEqual(cell('B3'), '<c r="B3" t="b"><v>1</v></c>', 'Should write booleans as typed cells');
+    assert(/^<c r="C2" t="n" s="1"><v>45306<\/v><\/c>$/.test(cell('C2')), 'Should write dates as serial numbers');
+    assert(cell('C3').includes('<v>45307.5</v>'), 'Should keep the time of dates');
+    assert.strictEqual(text('B4'), '<t>7</t>', 'Should keep strings as text');
+    assert.strictEqual(cell('C4'), '<c r="C4"/>', 'Should empty cells left without text');
+    assert.deepStrictEqual(['A2', 'A3', 'A4'].map(text), ['<t>Pens</t>', '<t>Q1</t>', '<t>Ink</t>'], 'Should repeat the loop row');
+    assert.strictEqual(cell('A3').match(/<v>(\d+)/)[1], cell('B1').match(/<v>(\d+)/)[1], 'Should reuse equal shared strings');
+    assert.strictEqual(strings.length, 7, 'Should add shared strings only for diverging values');
+    assert(!strings.some(string => string.includes('{{')), 'Should not leave tags in shared strings');
+    
+    assert(sheet.includes('<dimension ref="A1:D6"/>'), 'Should update the dimension');
+    assert(sheet.includes('<c r="D3"><f>B3*2</f>'), 'Should point formulas in repeated rows at their own row');
+    assert(sheet.includes('<row r="6"><c r="A6" t="s"><v>5</v></c><c r="B6"><f>SUM(B2:B5)</f>'), 'Should shift rows below and grow ranges');
+    assert(sheet.includes('<mergeCells count="3"><mergeCell ref="E2:F2"/><mergeCell ref="E3:F3"/><mergeCell ref="E4:F4"/></mergeCells>'), 'Should repeat merged cells');
+    assert(sheet.includes('<conditionalFormatting sqref="B2:B4">'), 'Should grow conditional formatting ranges');
+    assert((await readPart(buffer, 'xl/worksheets/sheet2.xml')).includes('<f>Sales!B6</f>'), 'Should update references from other sheets');
+    const workbook = await readPart(buffer, 'xl/workbook.xml');
+    assert(workbook.includes('Sales!$B$2:$B$4'), 'Should update defined names');
+    assert(workbook.includes('<calcPr fullCalcOnLoad="1"/>'), 'Should recalculate formulas on open');
+    assert((await readPart(buffer, 'xl/styles.xml')).includes('<cellXfs count="3">'), 'Should add date formats');
+    
+    templater.setContext({ title: 'Q2', items: [] });
+    const empty = await readPart(await templater.render(), 'xl/worksheets/sheet1.xml');
+    assert(empty.includes('<row r="3"><c r="A3" t="s"><v>5</v></c><c r="B3"><f>SUM(B2:B2)</f>'), 'Should move rows up when a loop has no items');
+    assert(!empty.includes('mergeCell') && !empty.includes('conditionalFormatting'), 'Should drop ranges of removed rows');
+    
+    const shared = await createXlsx({
+      Sheet1: '<sheetData>' +
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1"><f t="shared" ref="C1:C2" si="0">A1*B1</f></c><c r="D1"><f t="array" ref="D1">SUM(A1:B1*2)</f></c></row>' +
+        '<row r="2"><c r="A2"><v>1</v></c><c r="B2"><v>2</v></c><c r="C2"><f t="shared" si="0"/></c></row>' +
+        '</sheetData>'
+    }, ['{%loop item in items%}{{item.price}}', '{{item.quantity}}{%endloop%}']);
+    await templater.loadTemplate(shared);
+    templater.setContext({ items: [{ price: 2, quantity: 3 }, { price: 4, quantity: 5 }] });
+    const formulas = await readPart(await templater.render(), 'xl/worksheets/sheet1.xml');
+    assert.deepStrictEqual([...formulas.matchAll(/<c r="([A-Z]+\d+)"><f([^>]*)>([^<]*)<\/f>/g)].map(match => match.slice(1).join(' ')), [
+      'C1  A1*B1', 'D1  t="array" ref="D1" SUM(A1:B1*2)',
+      'C2  A2*B2', 'D2  t="array" ref="D2" SUM(A2:B2*2)',
+      'C3  A3*B3'
+    ], 'Should give every copy of a repeated row formulas of its own');
+    
+    console.log('✓ Test 32: Spreadsheet templating passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 32: Spreadsheet templating failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 33: Spreadsheet tables follow the rendered rows
+  try {
+    const R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const xlsx = await createXlsx({
+      Sales: '<sheetData>' +
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>' +
+        '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2" t="s"><v>3</v></c></row>' +
+        '<row r="3"><c r="A3" t="s"><v>4</v></c><c r="B3"><f>SUBTOTAL(109,Sales[Amount])</f></c></row>' +
+        `</sheetData><tableParts count="1"><tablePart xmlns:r="${R}" r:id="rId1"/></tableParts>`
+    }, ['Item', '{{label}}', '{%loop item in items%}{{item.name}}', '{{item.amount}}{%endloop%}', 'Total'], {
+      files: {
+        'xl/worksheets/_rels/sheet1.xml.rels': `<Relationships><Relationship Id="rId1" Type="${R}/table" Target="../tables/table1.xml"/></Relationships>`,
+        'xl/tables/table1.xml': '<table id="1" name="Sales" displayName="Sales" ref="A1:B3" totalsRowCount="1"><autoFilter ref="A1:B2"/>' +
+          '<tableColumns count="2"><tableColumn id="1" name="Item" totalsRowLabel="Total"/><tableColumn id="2" name="Amount" totalsRowFunction="custom"><totalsRowFormula>SUBTOTAL(109,Sales[Amount])&amp;A3</totalsRowFormula></tableColumn></tableColumns></table>'
+      }
+    });
+    
+    const templater = new DocxTemplaterPro();
+    templater.attachModule(new modules.XlsxModule());
+    await templater.loadTemplate(xlsx);
+    templater.setContext({ label: 'Qty', items: [{ name: 'Pens', amount: 1 }, { name: 'Ink', amount: 2 }, { name: 'Pads', amount: 3 }] });
+    
+    const buffer = await templater.render();
+    assert.deepStrictEqual(templater.getErrors(), [], 'Should render without errors');
+    const table = await readPart(buffer, 'xl/tables/table1.xml');
+    const sheet = await readPart(buffer, 'xl/worksheets/sheet1.xml');
+    
+    assert(table.includes('ref="A1:B5"'), 'Should grow the table with the loop');
+    assert(table.includes('<autoFilter ref="A1:B4"/>'), 'Should keep the totals row out of the autoFilter');
+    assert(table.includes('<tableColumn id="2" name="Qty"'), 'Should name columns after the rendered header');
+    assert(table.includes('<totalsRowFormula>SUBTOTAL(109,Sales[Qty])&amp;A5</totalsRowFormula>'), 'Should update totals row formulas');
+    assert(sheet.includes('<c r="B5"><f>SUBTOTAL(109,Sales[Qty])</f>'), 'Should rename structured references on the sheet');
+    
+    templater.setContext({ label: 'Qty', items: [] });
+    const empty = await templater.render();
+    assert((await readPart(empty, 'xl/tables/table1.xml')).includes('ref="A1:B3" totalsRowCount="1"><autoFilter ref="A1:B2"/>'), 'Should keep a data row in empty tables');
+    assert((await readPart(empty, 'xl/worksheets/sheet1.xml')).includes('<row r="2"/><row r="3">'), 'Should keep the data row empty');
+    
+    const core = new DocxTemplaterPro();
+    await core.loadTemplate(xlsx);
+    core.setContext({ label: 'Qty', items: [{ name: 'Pens', amount: 1 }, { name: 'Ink', amount: 2 }] });
+    const coreTable = await readPart(await core.render(), 'xl/tables/table1.xml');
+    assert(coreTable.includes('ref="A1:B4"') && coreTable.includes('<autoFilter ref="A1:B3"/>') && coreTable.includes('&amp;A4</totalsRowFormula>'), 'Should fit tables to their rows without the module');
+    
+    console.log('✓ Test 33: Spreadsheet tables passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 33: Spreadsheet tables failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 34: Spreadsheet column loops
+  try {
+    const R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const xlsx = await createXlsx({
+      Sales: '<dimension ref="A1:C3"/><cols><col min="2" max="2" width="9" style="1" customWidth="1"/><col min="3" max="3" width="12"/></cols><sheetData>' +
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c></row>' +
+        '<row r="2"><c r="A2" t="s"><v>3</v></c><c r="B2" t="s"><v>4</v></c><c r="C2" t="s"><v>5</v></c></row>' +
+        '<row r="3"><c r="A3" t="s"><v>6</v></c><c r="B3"><f>SUM(B2:B2)</f></c><c r="C3"><f>SUM(C2:C2)</f></c></row>' +
+        `</sheetData><mergeCells count="1"><mergeCell ref="B4:B5"/></mergeCells><tableParts count="1"><tablePart xmlns:r="${R}" r:id="rId1"/></tableParts>`,
+      Summary: '<sheetData><row r="1"><c r="A1"><f>Sales!C3+SUM(Sales!B:B)</f></c></row></sheetData>'
+    }, ['Product', '{%loop m in months%}{{m}}{%endloop%}', 'Target', '{%loop p in products%}{{p.name}}', '{%loop m in months%}{{p.sales[m]}}{%endloop%}', '{{p.target}}{%endloop%}', 'Total'], {
+      files: {
+        'xl/worksheets/_rels/sheet1.xml.rels': `<Relationships><Relationship Id="rId1" Type="${R}/table" Target="../tables/table1.xml"/></Relationships>`,
+        'xl/tables/table1.xml': '<table id="1" name="Sales" displayName="Sales" ref="A1:C2"><autoFilter ref="A1:C2"/>' +
+          '<tableColumns count="3"><tableColumn id="1" name="Product"/><tableColumn id="2" name="Month"/><tableColumn id="3" name="Target"/></tableColumns></table>'
+      }
+    });
+    
+    const templater = new DocxTemplaterPro();
+    templater.attachModule(new modules.XlsxModule());
+    await templater.loadTemplate(xlsx);
+    templater.setContext({
+      months: ['Jan', 'Feb', 'Mar'],
+      products: [
+        { name: 'Pens', sales: { Jan: 1, Feb: 2, Mar: 3 }, target: 5 },
+        { name: 'Ink', sales: { Jan: 4, Feb: 5, Mar: 6 }, target: 12 }
+      ]
+    });
+    
+    const buffer = await templater.render();
+    assert.deepStrictEqual(templater.getErrors(), [], 'Should render without errors');
+    const sheet = await readPart(buffer, 'xl/worksheets/sheet1.xml');
+    const table = await readPart(buffer, 'xl/tables/table1.xml');
+    
+    assert(sheet.includes('<row r="2"><c r="A2" t="s"><v>3</v></c><c r="B2" t="n"><v>1</v></c><c r="C2" t="n"><v>2</v></c><c r="D2" t="n"><v>3</v></c><c r="E2" t="n"><v>5</v></c></row>'), 'Should repeat looped cells across columns');
+    assert(sheet.includes('<c r="D3" t="n"><v>6</v></c><c r="E3" t="n"><v>12</v></c>'), 'Should combine row and column loops');
+    assert(sheet.includes('<c r="B4"><f>SUM(B2:D3)</f></c><c r="E4"><f>SUM(E2:E3)</f></c>'), 'Should update formulas for rows and columns');
+    assert(sheet.includes('<col min="2" max="4" width="9" style="1" customWidth="1"/><col min="5" max="5" width="12"/>'), 'Should copy column widths and styles');
+    assert(sheet.includes('<mergeCell ref="B5:B6"/><mergeCell ref="C5:C6"/><mergeCell ref="D5:D6"/>'), 'Should repeat merged cells with their column');
+    assert(sheet.includes('<dimension ref="A1:E4"/>') && !sheet.includes('_loopColumns'), 'Should update the dimension and drop row marks');
+    assert((await readPart(buffer, 'xl/worksheets/sheet2.xml')).includes('<f>Sales!E4+SUM(Sales!B:D)</f>'), 'Should update references from other sheets');
+    assert(table.includes('ref="A1:E3"') && table.includes('<autoFilter ref="A1:E3"/>'), 'Should widen tables');
+    assert(/<tableColumn id="2" name="Jan"\/><tableColumn id="4" name="Feb"\/><tableColumn id="5" name="Mar"\/><tableColumn id="3" name="Target"\/>/.test(table), 'Should add table columns for the copies');
+    
+    templater.setContext({ months: [], products: [{ name: 'Pens', sales: {}, target: 5 }] });
+    const empty = await readPart(await templater.render(), 'xl/worksheets/sheet1.xml');
+    assert(empty.includes('<c r="C2" t="n"><v>5</v></c>') && empty.includes('<c r="B3"><f>SUM(B2:B2)</f></c>'), 'Should keep columns holding other cells');
+    
+    const shared = await createXlsx({
+      Sheet1: '<sheetData>' +
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1"><v>1</v></c><c r="C1"><v>2</v></c></row>' +
+        '<row r="2"><c r="A2"><f t="shared" ref="A2:B2" si="0">SUM(A1:B1)</f></c><c r="B2"><f t="shared" si="0"/></c></row>' +
+        '<row r="3"><c r="B3"><f t="array" ref="B3">SUM(A1:A1*2)</f></c></row>' +
+        '</sheetData>'
+    }, ['{%loop m in months%}{{m}}{%endloop%}']);
+    await templater.loadTemplate(shared);
+    templater.setContext({ months: ['Jan', 'Feb', 'Mar'] });
+    const formulas = await readPart(await templater.render(), 'xl/worksheets/sheet1.xml');
+    assert.deepStrictEqual([...formulas.matchAll(/<c r="([A-Z]+\d+)"><f([^>]*)>([^<]*)<\/f>/g)].map(match => match.slice(1).join(' ')), [
+      'A2  SUM(A1:D1)', 'D2  SUM(D1:E1)', 'D3  t="array" ref="D3" SUM(A1:C1*2)'
+    ], 'Should write shared formulas out once columns move');
+    
+    console.log('✓ Test 34: Spreadsheet column loops passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 34: Spreadsheet column loops failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 35: Sheets repeated per item
+  try {
+    const R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const xlsx = await createXlsx({
+      Overview: '<sheetData><row r="1"><c r="A1"><f>SUM(\'{{region.name}}\'!B1)</f></c></row></sheetData>',
+      '{{region.name}}': '<sheetViews><sheetView tabSelected="1" workbookViewId="0"/></sheetViews><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1"><f>Sales[Amount]</f></c></row></sheetData>' +
+        `<tableParts count="1"><tablePart xmlns:r="${R}" r:id="rId1"/></tableParts>`,
+      Notes: '<sheetData/>'
+    }, ['{%sheets region in regions%}{{region.name}}', '{{region.total}}'], {
+      definedNames: '<definedNames><definedName name="_xlnm.Print_Area" localSheetId="1">\'{{region.name}}\'!$A$1:$B$1</definedName><definedName name="Notes" localSheetId="2">Notes!$A$1</definedName></definedNames>',
+      files: {
+        '[Content_Types].xml': XLSX_CONTENT_TYPES.replace('</Types>', '<Override PartName="/xl/tables/table1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.table+xml"/></Types>'),
+        '_rels/.rels': `<Relationships><Relationship Id="rId1" Type="${R}/officeDocument" Target="xl/workbook.xml"/><Relationship Id="rId2" Type="${R}/extended-properties" Target="docProps/app.xml"/></Relationships>`,
+        'docProps/app.xml': '<Properties xmlns:vt="http://schemas.openxmlformats.org/officeDocument/2006/docPropsVTypes"><HeadingPairs><vt:vector size="2" baseType="variant"><vt:variant><vt:lpstr>Worksheets</vt:lpstr></vt:variant><vt:variant><vt:i4>3</vt:i4></vt:variant></vt:vector></HeadingPairs>' +
+          '<TitlesOfParts><vt:vector size="3" baseType="lpstr"><vt:lpstr>Overview</vt:lpstr><vt:lpstr>{{region.name}}</vt:lpstr><vt:lpstr>Notes</vt:lpstr></vt:vector></TitlesOfParts></Properties>',
+        'xl/worksheets/_rels/sheet2.xml.rels': `<Relationships><Relationship Id="rId1" Type="${R}/table" Target="../tables/table1.xml"/></Relationships>`,
+        'xl/tables/table1.xml': '<table id="1" name="Sales" displayName="Sales" ref="A1:B1"><tableColumns count="2"><tableColumn id="1" name="Region"/><tableColumn id="2" name="Amount"/></tableColumns></table>'
+      }
+    });
+    
+    const templater = new DocxTemplaterPro();
+    await templater.loadTemplate(xlsx);
+    templater.setContext({ regions: [{ name: 'North', total: 10 }, { name: 'South/East', total: 20 }, { name: 'north', total: 30 }] });
+    
+    const buffer = await templater.render();
+    assert.deepStrictEqual(templater.getErrors(), [], 'Should render without errors');
+    const workbook = await readPart(buffer, 'xl/workbook.xml');
+    const copy = await readPart(buffer, 'xl/worksheets/sheet5.xml');
+    
+    assert(workbook.includes('<sheet name="North" sheetId="2" r:id="rId2"/><sheet name="SouthEast" sheetId="4" r:id="rId6"/><sheet name="north (2)" sheetId="5" r:id="rId7"/><sheet name="Notes"'), 'Should list the copies with sanitized names');
+    assert(workbook.includes('<definedName name="_xlnm.Print_Area" localSheetId="3">\'north (2)\'!$A$1:$B$1</definedName><definedName name="Notes" localSheetId="4">'), 'Should repeat and move sheet-scoped names');
+    assert((await readPart(buffer, 'xl/_rels/workbook.xml.rels')).includes('<Relationship Id="rId7" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet5.xml"/>'), 'Should add workbook relationships');
+    assert((await readPart(buffer, '[Content_Types].xml')).includes('<Override PartName="/xl/tables/table3.xml"'), 'Should declare copied parts');
+    assert((await readPart(buffer, 'docProps/app.xml')).includes('<vt:i4>5</vt:i4></vt:variant></vt:vector></HeadingPairs><TitlesOfParts><vt:vector size="5" baseType="lpstr"><vt:lpstr>Overview</vt:lpstr><vt:lpstr>North</vt:lpstr><vt:lpstr>SouthEast</vt:lpstr><vt:lpstr>north (2)</vt:lpstr>'), 'Should update the titles');
+    assert(copy.includes('<c r="B1" t="n"><v>30</v></c><c r="C1"><f>Sales3[Amount]</f></c>') && !copy.includes('tabSelected'), 'Should render each copy with its item');
+    assert((await readPart(buffer, 'xl/tables/table3.xml')).includes('<table id="3" name="Sales3" displayName="Sales3"'), 'Should give copied tables their own names');
+    assert((await readPart(buffer, 'xl/worksheets/sheet1.xml')).includes('<f>SUM(North!B1)</f>'), 'Should point other sheets at the first copy');
+    
+    templater.setContext({ regions: [] });
+    const empty = await templater.render();
+    assert(/<sheets><sheet name="Overview"[^>]*\/><sheet name="Notes"[^>]*\/><\/sheets><definedNames><definedName name="Notes" localSheetId="1">/.test(await readPart(empty, 'xl/workbook.xml')), 'Should remove the sheet for an empty list');
+    assert(!(await JSZip.loadAsync(empty)).file('xl/worksheets/sheet2.xml'), 'Should remove the sheet part');
+    
+    const single = new DocxTemplaterPro();
+    await single.loadTemplate(await createXlsx({ '{{region.name}}': '<sheetData><row r="1"><c r="A1" t="s"><v>0</v></c></row></sheetData>' }, ['{%sheets region in regions%}Total']));
+    single.setContext({ regions: [] });
+    const kept = await single.render();
+    assert((await readPart(kept, 'xl/workbook.xml')).includes('<sheets><sheet name="{{region.name}}"'), 'Should keep the only sheet of the workbook');
+    assert((await readPart(kept, 'xl/sharedStrings.xml')).includes('<t>Total</t>'), 'Should drop the loop tag of the kept sheet');
+    assert.deepStrictEqual(single.getErrors().map(error => error.code), ['EMPTY_WORKBOOK'], 'Should report the empty list');
+    
+    const schema = (await templater.inspect()).schema;
+    assert.deepStrictEqual(schema.properties.regions.items.required, ['name', 'total'], 'Should inspect the sheet as a loop body');
+    
+    console.log('✓ Test 35: Sheets repeated per item passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 35: Sheets repeated per item failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 36: Spreadsheet images and QR codes
+  const logo = path.join(os.tmpdir(), 'docxtemplaterpro-logo.png');
+  try {
+    const R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    fs.writeFileSync(logo, Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64'));
+    
+    const xlsx = await createXlsx({
+      Report: '<sheetData><row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>' +
+        '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2" t="s"><v>0</v></c></row><row r="3"><c r="A3" t="s"><v>3</v></c></row></sheetData><mergeCells count="1"><mergeCell ref="B1:C1"/></mergeCells><tableParts count="0"/>',
+      Chart: `<sheetData><row r="1"><c r="A1" t="s"><v>4</v></c></row></sheetData><drawing r:id="rId1"/>`
+    }, ['{%image logo%}', '{%qrcode link%}', '{%loop item in items%}{{item}}', '{%endloop%}', '{%qrcode link%}'], {
+      files: {
+        'xl/worksheets/_rels/sheet2.xml.rels': `<Relationships><Relationship Id="rId1" Type="${R}/drawing" Target="../drawings/drawing1.xml"/></Relationships>`,
+        'xl/drawings/drawing1.xml': '<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">' +
+          '<xdr:absoluteAnchor><xdr:pos x="0" y="0"/><xdr:ext cx="1" cy="1"/><xdr:sp><xdr:nvSpPr><xdr:cNvPr id="2" name="Shape"/><xdr:cNvSpPr/></xdr:nvSpPr><xdr:spPr/></xdr:sp><xdr:clientData/></xdr:absoluteAnchor></xdr:wsDr>'
+      }
+    });
+    
+    const templater = new DocxTemplaterPro();
+    templater.attachModule(new modules.ImageModule()).attachModule(new modules.QrCodeModule());
+    await templater.loadTemplate(xlsx);
+    templater.setContext({ logo: { src: logo, width: 40, height: 20, alt: 'A & B' }, link: 'https://example.com', items: ['a', 'b'] });
+    
+    const buffer = await templater.render();
+    assert.deepStrictEqual(templater.getErrors(), [], 'Should render a valid package');
+    const zip = await JSZip.loadAsync(buffer);
+    const sheet = await readPart(buffer, 'xl/worksheets/sheet1.xml');
+    const drawing = await readPart(buffer, 'xl/drawings/drawing2.xml');
+    
+    assert(sheet.includes('<row r="1"><c r="A1"/><c r="B1"/></row>') && !sheet.includes('_pictures'), 'Should empty the picture cells');
+    assert(sheet.includes('<drawing xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" r:id="rId1"/><tableParts'), 'Should add the drawing before table parts');
+    assert((await readPart(buffer, 'xl/worksheets/_rels/sheet1.xml.rels')).includes(`<Relationship Id="rId1" Type="${R}/drawing" Target="../drawings/drawing2.xml"/>`), 'Should relate the new drawing');
+    assert(drawing.includes('<xdr:oneCellAnchor><xdr:from><xdr:col>0</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>0</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:from><xdr:ext cx="381000" cy="190500"/>'), 'Should anchor images at their cell');
+    assert(drawing.includes('descr="A &amp; B"'), 'Should escape the description');
+    assert(/<xdr:twoCellAnchor editAs="oneCell"><xdr:from><xdr:col>1<\/xdr:col>.*?<xdr:to><xdr:col>3<\/xdr:col><xdr:colOff>0<\/xdr:colOff><xdr:row>1<\/xdr:row>/.test(drawing), 'Should fill merged cells');
+    assert(['1', '3'].every(row => drawing.includes(`<xdr:col>1</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${row}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:from><xdr:ext`)), 'Should anchor images in repeated rows');
+    assert((await readPart(buffer, 'xl/drawings/drawing1.xml')).includes('<xdr:cNvPr id="3" name="QR Code 2"'), 'Should add to existing drawings');
+    assert(zip.file('xl/media/image1.png') && zip.file('xl/media/qrcode1.png') && !zip.file('word/media/image1.png'), 'Should store media in the workbook');
+    
+    const contentTypes = await readPart(buffer, '[Content_Types].xml');
+    assert(contentTypes.includes('<Override PartName="/xl/drawings/drawing2.xml" ContentType="application/vnd.openxmlformats-officedocument.drawing+xml"/>') && contentTypes.includes('<Default Extension="png" ContentType="image/png"/>'), 'Should declare content types');
+    
+    templater.setContext({ logo: path.join(os.tmpdir(), 'missing-logo.png'), link: 'https://example.com', items: [] });
+    await templater.render();
+    assert(templater.getErrors().some(error => error instanceof ModuleError && error.part === 'xl/worksheets/sheet1.xml'), 'Should report images that cannot be read');
+    
+    console.log('✓ Test 36: Spreadsheet images and QR codes passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 36: Spreadsheet images and QR codes failed:', error.message);
+    testsFailed++;
+  } finally {
+    fs.rmSync(logo, { force: true });
+  }
+  
+  // Test 37: Loop and conditional body cache
+  try {
+    const templater = new DocxTemplaterPro();
+    const { contextProcessor } = templater;
+    const body = '{%if total%}{{ total }}{%endif%}';
+    const key = content => `{{\u0000}}\u0000${content}`;
+    
+    await contextProcessor.process(templater.templateParser.parse(body), { total: 1 });
+    const first = contextProcessor.parseCache.get(key('{{ total }}'));
+    
+    for (let i = 0; i < 300; i++) {
+      await contextProcessor.process(templater.templateParser.parse(`{%if total%}${i}{%endif%}` + body), { total: 1 });
+    }
+    
+    assert(contextProcessor.parseCache.size === 200, 'Should bound the body cache');
+    assert(first && contextProcessor.parseCache.get(key('{{ total }}')) === first, 'Should keep recently used bodies');
+    assert(contextProcessor.parseCache.get(key('299')) && contextProcessor.parseCache.get(key('0')) === undefined, 'Should drop the least recently used bodies');
+    console.log('✓ Test 37: Body cache passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 37: Body cache failed:', error.message);
+    testsFailed++;
+  }
+  
+  // Test 38: Expression cache
+  try {
+    const { expressionParser } = new DocxTemplaterPro().contextProcessor;
+    const first = expressionParser.parse('total + 0');
+    
+    for (let i = 1; i <= 1500; i++) {
+      expressionParser.parse(`total + ${i}`);
+      expressionParser.parse('total + 0');
+    }
+    
+    assert(expressionParser.cache.size === 1000, 'Should bound the expression cache');
+    assert(expressionParser.parse('total + 0') === first, 'Should keep recently used expressions');
+    assert(expressionParser.cache.get('total + 1') === undefined, 'Should drop the least recently used expressions');
+    console.log('✓ Test 38: Expression cache passed');
+    testsPassed++;
+  } catch (error) {
+    console.log('✗ Test 38: Expression cache failed:', error.message);
+    testsFailed++;
+  }
+  
   // Summary
   console.log('\nTest Summary:');
   console.log(`✓ Passed: ${testsPassed}`);
   console.log(`✗ Failed: ${testsFailed}`);
   console.log(`Total: ${testsPassed + testsFailed}`);
-  
+
   if (testsFailed === 0) {
     console.log('\n🎉 All tests passed!');
     process.exit(0);